@@ -9,9 +9,15 @@ dotenv.config();
 // Import routes
 const githubRoutes = require('./routes/github');
 const convertRoutes = require('./routes/convert');
+const analyzeRoutes = require('./routes/analyze');
+const uploadRoutes = require('./routes/uploads');
 const authRoutes = require('./routes/auth');
 const downloadRoutes = require('./routes/download');        // New route
 const githubCreateRoutes = require('./routes/github-create'); // New route
+const githubPrRoutes = require('./routes/github-pr');
+const historyRoutes = require('./routes/history');
+const { loadSession, requireSession } = require('./lib/sessions');
+const { isAllowedOrigin } = require('./lib/origins');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -19,25 +25,29 @@ const PORT = process.env.PORT || 3000;
 // Trust proxy for proper IP detection
 app.set('trust proxy', 1);
 
+// The session cookie may be sent cross-site (SESSION_COOKIE_SAMESITE=None),
+// so state-changing requests from a browser must come from an allowed origin.
+// Requests without an Origin header are not from a cross-site page.
+app.use((req, res, next) => {
+  const origin = req.get('origin');
+  if (['GET', 'HEAD', 'OPTIONS'].includes(req.method) || !origin) return next();
+
+  if (isAllowedOrigin(origin) || process.env.NODE_ENV === 'development') {
+    return next();
+  }
+  res.status(403).json({
+    error: `Origin ${origin} is not allowed`,
+    timestamp: new Date().toISOString()
+  });
+});
+
 // Enhanced CORS configuration
 app.use(cors({
   origin: function (origin, callback) {
     if (!origin) return callback(null, true);
     
-    const allowedOrigins = [
-      'http://localhost:3000',
-      'http://localhost:3001',
-      'http://localhost:5173',
-      'http://localhost:8080',
-      'http://127.0.0.1:3000',
-      'http://127.0.0.1:5173'
-    ];
-    
-    if (process.env.FRONTEND_URL) {
-      allowedOrigins.push(process.env.FRONTEND_URL);
-    }
-    
-    if (allowedOrigins.includes(origin) || process.env.NODE_ENV === 'development') {
+    // Shared with the return_to allowlist of the GitHub login, see lib/origins
+    if (isAllowedOrigin(origin) || process.env.NODE_ENV === 'development') {
       callback(null, true);
     } else {
       callback(new Error('Not allowed by CORS'));
@@ -66,10 +76,9 @@ app.use(express.json({
     req.rawBody = buf;
   }
 }));
-app.use(express.urlencoded({ 
-  extended: true, 
-  limit: '50mb' 
-}));
+
+// Resolve the GitHub token from the session cookie (req.githubToken)
+app.use(loadSession);
 
 // Request timeout middleware
 app.use((req, res, next) => {
@@ -101,11 +110,15 @@ app.use((req, res, next) => {
 app.use('/public', express.static(path.join(__dirname, 'public')));
 
 // API Routes
-app.use('/api/github', githubRoutes);
-app.use('/api/convert', convertRoutes);
+app.use('/api/github', requireSession, githubRoutes);
+app.use('/api/convert', requireSession, convertRoutes);
+app.use('/api/analyze', requireSession, analyzeRoutes);
+app.use('/api/uploads', requireSession, uploadRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/download', downloadRoutes);           // New ZIP download route
-app.use('/api/github-create', githubCreateRoutes);  // New GitHub repo creation route
+app.use('/api/github-create', requireSession, githubCreateRoutes);  // New GitHub repo creation route
+app.use('/api/github-pr', requireSession, githubPrRoutes);
+app.use('/api/history', requireSession, historyRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -128,9 +141,13 @@ app.get('/', (req, res) => {
       health: '/health',
       github: '/api/github',
       convert: '/api/convert',
+      analyze: '/api/analyze',
+      uploads: '/api/uploads',
       auth: '/api/auth',
       download: '/api/download',
-      'github-create': '/api/github-create'
+      'github-create': '/api/github-create',
+      'github-pr': '/api/github-pr',
+      history: '/api/history'
     },
     docs: 'https://github.com/your-repo/staxchange-api'
   });
@@ -183,9 +200,10 @@ process.on('unhandledRejection', (reason, promise) => {
   }
 });
 
-// Start server
-const server = app.listen(PORT, '0.0.0.0', () => {
-  console.log(`
+// Start server, unless required by the tests (they listen on a port of their own)
+if (require.main === module) {
+  const server = app.listen(PORT, '0.0.0.0', () => {
+    console.log(`
 🚀 StaxChange API Server Started Successfully!
 📊 Environment: ${process.env.NODE_ENV || 'development'}
 🌐 Server running on: http://localhost:${PORT}
@@ -196,20 +214,25 @@ const server = app.listen(PORT, '0.0.0.0', () => {
 📋 Available Endpoints:
    • GitHub API: /api/github
    • Convert Code: /api/convert  
+   • Analyze Repository: /api/analyze
+   • Upload Archive: /api/uploads
    • Authentication: /api/auth
    • Download ZIP: /api/download
    • Create Repository: /api/github-create
+   • Open Pull Request: /api/github-pr
+   • Conversion History: /api/history
   `);
-});
+  });
 
-// Handle server errors
-server.on('error', (err) => {
-  if (err.code === 'EADDRINUSE') {
-    console.error(`❌ Port ${PORT} is already in use. Please try a different port.`);
-    process.exit(1);
-  } else {
-    console.error('❌ Server error:', err);
-  }
-});
+  // Handle server errors
+  server.on('error', (err) => {
+    if (err.code === 'EADDRINUSE') {
+      console.error(`❌ Port ${PORT} is already in use. Please try a different port.`);
+      process.exit(1);
+    } else {
+      console.error('❌ Server error:', err);
+    }
+  });
+}
 
 module.exports = app;
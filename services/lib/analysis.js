@@ -0,0 +1,238 @@
+const path = require('path').posix;
+const { createBatches } = require('./batching');
+const { isLargeFile, splitIntoChunks } = require('./chunking');
+
+// Pre-conversion analysis of a fetched repository: what stack it is written
+// in, what it is made of, and roughly what converting it will cost. Nothing
+// here calls the LLM.
+//
+// Cost estimates use LLM_INPUT_COST_PER_MTOK / LLM_OUTPUT_COST_PER_MTOK (USD
+// per million tokens) when set; models with a ":free" suffix cost nothing.
+
+const LANGUAGES = {
+  '.ts': 'TypeScript', '.tsx': 'TypeScript',
+  '.js': 'JavaScript', '.jsx': 'JavaScript', '.mjs': 'JavaScript', '.cjs': 'JavaScript',
+  '.py': 'Python',
+  '.cs': 'C#',
+  '.java': 'Java',
+  '.kt': 'Kotlin',
+  '.scala': 'Scala',
+  '.go': 'Go',
+  '.rs': 'Rust',
+  '.php': 'PHP',
+  '.rb': 'Ruby',
+  '.sql': 'SQL',
+  '.sh': 'Shell'
+};
+
+const STYLE_EXTENSIONS = ['.html', '.css', '.scss', '.less'];
+const DOC_EXTENSIONS = ['.md', '.txt'];
+const TEST_PATTERN = /(^|\/)(__tests__|tests?|spec)\/|\.(test|spec)\.[^/]+$|(^|\/)test_[^/]+\.py$/i;
+
+// Detection rules: `files` is matched against the file name, `match` against
+// its content. Manifests are the main signal; a few rules also look at
+// source files for imports that manifests do not show.
+const STACK_RULES = [
+  // JavaScript / TypeScript
+  { kind: 'framework', name: 'React', files: /^package\.json$/, match: /"react"\s*:/ },
+  { kind: 'framework', name: 'Next.js', files: /^package\.json$/, match: /"next"\s*:/ },
+  { kind: 'framework', name: 'Vue', files: /^package\.json$/, match: /"vue"\s*:/ },
+  { kind: 'framework', name: 'Nuxt', files: /^package\.json$/, match: /"nuxt"\s*:/ },
+  { kind: 'framework', name: 'Angular', files: /^package\.json$/, match: /"@angular\/core"\s*:/ },
+  { kind: 'framework', name: 'Svelte', files: /^package\.json$/, match: /"svelte"\s*:/ },
+  { kind: 'framework', name: 'Express', files: /^package\.json$/, match: /"express"\s*:/ },
+  { kind: 'framework', name: 'Fastify', files: /^package\.json$/, match: /"fastify"\s*:/ },
+  { kind: 'framework', name: 'Koa', files: /^package\.json$/, match: /"koa"\s*:/ },
+  { kind: 'framework', name: 'NestJS', files: /^package\.json$/, match: /"@nestjs\/core"\s*:/ },
+  { kind: 'orm', name: 'Prisma', files: /^package\.json$/, match: /"(@prisma\/client|prisma)"\s*:/ },
+  { kind: 'orm', name: 'TypeORM', files: /^package\.json$/, match: /"typeorm"\s*:/ },
+  { kind: 'orm', name: 'Sequelize', files: /^package\.json$/, match: /"sequelize"\s*:/ },
+  { kind: 'orm', name: 'Mongoose', files: /^package\.json$/, match: /"mongoose"\s*:/ },
+  { kind: 'orm', name: 'Knex', files: /^package\.json$/, match: /"knex"\s*:/ },
+  { kind: 'orm', name: 'Drizzle', files: /^package\.json$/, match: /"drizzle-orm"\s*:/ },
+  { kind: 'database', name: 'PostgreSQL', files: /^package\.json$/, match: /"(pg|postgres|@supabase\/supabase-js)"\s*:/ },
+  { kind: 'database', name: 'MySQL', files: /^package\.json$/, match: /"mysql2?"\s*:/ },
+  { kind: 'database', name: 'SQLite', files: /^package\.json$/, match: /"(sqlite3|better-sqlite3)"\s*:/ },
+  { kind: 'database', name: 'MongoDB', files: /^package\.json$/, match: /"(mongodb|mongoose)"\s*:/ },
+  { kind: 'database', name: 'Redis', files: /^package\.json$/, match: /"(redis|ioredis)"\s*:/ },
+
+  // Python
+  { kind: 'framework', name: 'Django', files: /^(requirements.*\.txt|pyproject\.toml|Pipfile)$/, match: /^\s*"?django\b/im },
+  { kind: 'framework', name: 'Flask', files: /^(requirements.*\.txt|pyproject\.toml|Pipfile)$/, match: /^\s*"?flask\b/im },
+  { kind: 'framework', name: 'FastAPI', files: /^(requirements.*\.txt|pyproject\.toml|Pipfile)$/, match: /^\s*"?fastapi\b/im },
+  { kind: 'orm', name: 'SQLAlchemy', files: /^(requirements.*\.txt|pyproject\.toml|Pipfile)$/, match: /^\s*"?sqlalchemy\b/im },
+  { kind: 'orm', name: 'Django ORM', files: /\.py$/, match: /^from django\.db import models/m },
+  { kind: 'database', name: 'PostgreSQL', files: /^(requirements.*\.txt|pyproject\.toml|Pipfile)$/, match: /^\s*"?(psycopg2?|psycopg2-binary|asyncpg)\b/im },
+  { kind: 'database', name: 'MySQL', files: /^(requirements.*\.txt|pyproject\.toml|Pipfile)$/, match: /^\s*"?(pymysql|mysqlclient|mysql-connector-python)\b/im },
+  { kind: 'database', name: 'MongoDB', files: /^(requirements.*\.txt|pyproject\.toml|Pipfile)$/, match: /^\s*"?(pymongo|motor)\b/im },
+
+  // Java / Kotlin
+  { kind: 'framework', name: 'Spring Boot', files: /^(pom\.xml|build\.gradle(\.kts)?)$/, match: /spring-boot/ },
+  { kind: 'orm', name: 'Hibernate / JPA', files: /^(pom\.xml|build\.gradle(\.kts)?)$/, match: /hibernate|spring-boot-starter-data-jpa|jakarta\.persistence/ },
+  { kind: 'database', name: 'PostgreSQL', files: /^(pom\.xml|build\.gradle(\.kts)?)$/, match: /org\.postgresql|<artifactId>postgresql<\/artifactId>/ },
+  { kind: 'database', name: 'MySQL', files: /^(pom\.xml|build\.gradle(\.kts)?)$/, match: /mysql-connector/ },
+
+  // .NET
+  { kind: 'framework', name: 'ASP.NET Core', files: /\.(csproj|cs)$/, match: /Microsoft\.AspNetCore/ },
+  { kind: 'orm', name: 'Entity Framework Core', files: /\.(csproj|cs)$/, match: /Microsoft\.EntityFrameworkCore/ },
+  { kind: 'database', name: 'PostgreSQL', files: /\.(csproj|cs)$/, match: /Npgsql/ },
+  { kind: 'database', name: 'SQL Server', files: /\.(csproj|cs)$/, match: /EntityFrameworkCore\.SqlServer|System\.Data\.SqlClient/ },
+
+  // Go
+  { kind: 'framework', name: 'Gin', files: /^go\.mod$|\.go$/, match: /github\.com\/gin-gonic\/gin/ },
+  { kind: 'framework', name: 'Echo', files: /^go\.mod$|\.go$/, match: /github\.com\/labstack\/echo/ },
+  { kind: 'orm', name: 'GORM', files: /^go\.mod$|\.go$/, match: /gorm\.io\/gorm/ },
+  { kind: 'database', name: 'PostgreSQL', files: /^go\.mod$|\.go$/, match: /github\.com\/(lib\/pq|jackc\/pgx)/ },
+
+  // Ruby
+  { kind: 'framework', name: 'Ruby on Rails', files: /^Gemfile$/, match: /^\s*gem ['"]rails['"]/m },
+  { kind: 'framework', name: 'Sinatra', files: /^Gemfile$/, match: /^\s*gem ['"]sinatra['"]/m },
+  { kind: 'orm', name: 'ActiveRecord', files: /^Gemfile$/, match: /^\s*gem ['"](rails|activerecord)['"]/m },
+  { kind: 'database', name: 'PostgreSQL', files: /^Gemfile$/, match: /^\s*gem ['"]pg['"]/m },
+  { kind: 'database', name: 'MySQL', files: /^Gemfile$/, match: /^\s*gem ['"]mysql2['"]/m },
+
+  // PHP
+  { kind: 'framework', name: 'Laravel', files: /^composer\.json$/, match: /"laravel\/framework"/ },
+  { kind: 'framework', name: 'Symfony', files: /^composer\.json$/, match: /"symfony\/framework-bundle"/ },
+  { kind: 'orm', name: 'Doctrine', files: /^composer\.json$/, match: /"doctrine\/orm"/ },
+
+  // Rust
+  { kind: 'framework', name: 'Actix Web', files: /^Cargo\.toml$/, match: /^actix-web\s*=/m },
+  { kind: 'framework', name: 'Axum', files: /^Cargo\.toml$/, match: /^axum\s*=/m },
+  { kind: 'orm', name: 'Diesel', files: /^Cargo\.toml$/, match: /^diesel\s*=/m },
+  { kind: 'orm', name: 'SQLx', files: /^Cargo\.toml$/, match: /^sqlx\s*=/m },
+
+  // Plain SQL schemas
+  { kind: 'database', name: 'PostgreSQL', files: /\.sql$/, match: /\b(SERIAL|JSONB|BIGSERIAL)\b/ },
+  { kind: 'database', name: 'MySQL', files: /\.sql$/, match: /\bAUTO_INCREMENT\b|ENGINE\s*=\s*InnoDB/i }
+];
+
+// Rough prompt size (system prompt, rules, manifest) added to every LLM call
+const PROMPT_OVERHEAD_CHARS = 6000;
+const CHARS_PER_TOKEN = 4;
+
+function estimateTokens(chars) {
+  return Math.ceil(chars / CHARS_PER_TOKEN);
+}
+
+function getCategory(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+
+  if (TEST_PATTERN.test(filePath)) return 'tests';
+  if (LANGUAGES[ext]) return 'source';
+  if (STYLE_EXTENSIONS.includes(ext)) return 'markup';
+  if (DOC_EXTENSIONS.includes(ext)) return 'docs';
+  return 'config';
+}
+
+function tally(map, key, size) {
+  const entry = map.get(key) || { files: 0, bytes: 0 };
+  entry.files++;
+  entry.bytes += size;
+  map.set(key, entry);
+}
+
+// Source stack as "language/framework/database", the same shape as the
+// conversion target
+function formatStack({ languages, frameworks, databases }) {
+  return [
+    languages[0]?.name || 'unknown',
+    frameworks[0] || 'none',
+    databases[0] || 'none'
+  ].join('/');
+}
+
+function detectStack(files) {
+  const languages = new Map();
+  const found = { framework: new Set(), orm: new Set(), database: new Set() };
+
+  for (const file of files) {
+    const language = LANGUAGES[path.extname(file.path).toLowerCase()];
+    if (language) tally(languages, language, file.size);
+
+    const filename = path.basename(file.path);
+    for (const rule of STACK_RULES) {
+      if (!found[rule.kind].has(rule.name) && rule.files.test(filename) && rule.match.test(file.content)) {
+        found[rule.kind].add(rule.name);
+      }
+    }
+  }
+
+  const stack = {
+    languages: Array.from(languages, ([name, stats]) => ({ name, ...stats }))
+      .sort((a, b) => b.bytes - a.bytes),
+    frameworks: Array.from(found.framework),
+    orms: Array.from(found.orm),
+    databases: Array.from(found.database)
+  };
+
+  return { ...stack, summary: formatStack(stack) };
+}
+
+// Batches, LLM calls and tokens the conversion is expected to need, using
+// the same batching and chunking as the real run
+function estimateConversion(files, { model, sizeLimit = 80000 } = {}) {
+  const { batches } = createBatches(files, { sizeLimit });
+
+  let calls = 0;
+  let largeFiles = 0;
+  for (const batch of batches) {
+    if (batch.length === 1 && isLargeFile(batch[0])) {
+      largeFiles++;
+      calls += splitIntoChunks(batch[0]).length;
+    } else {
+      calls++;
+    }
+  }
+
+  const contentChars = files.reduce((sum, f) => sum + f.content.length, 0);
+  const inputTokens = estimateTokens(contentChars + calls * PROMPT_OVERHEAD_CHARS);
+  // Converted code comes out about as long as it went in
+  const outputTokens = estimateTokens(contentChars);
+
+  return {
+    batches: batches.length,
+    largeFiles,
+    llmCalls: calls,
+    inputTokens,
+    outputTokens,
+    estimatedCost: estimateCost(model, inputTokens, outputTokens)
+  };
+}
+
+function estimateCost(model, inputTokens, outputTokens) {
+  if (model && model.endsWith(':free')) {
+    return 0;
+  }
+
+  const inputPrice = parseFloat(process.env.LLM_INPUT_COST_PER_MTOK);
+  const outputPrice = parseFloat(process.env.LLM_OUTPUT_COST_PER_MTOK);
+  if (Number.isNaN(inputPrice) || Number.isNaN(outputPrice)) {
+    return null;
+  }
+
+  const cost = (inputTokens * inputPrice + outputTokens * outputPrice) / 1e6;
+  return Math.round(cost * 10000) / 10000;
+}
+
+function analyzeRepository(files, { model } = {}) {
+  const categories = new Map();
+  for (const file of files) {
+    tally(categories, getCategory(file.path), file.size);
+  }
+
+  return {
+    sourceStack: detectStack(files),
+    categories: Object.fromEntries(categories),
+    totalFiles: files.length,
+    totalBytes: files.reduce((sum, f) => sum + f.size, 0),
+    estimate: estimateConversion(files, { model })
+  };
+}
+
+module.exports = {
+  LANGUAGES,
+  analyzeRepository,
+  detectStack,
+  estimateTokens
+};
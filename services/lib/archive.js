@@ -0,0 +1,271 @@
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+const JSZip = require('jszip');
+
+// In-memory archive extraction. Entries come back as { path, data } with
+// `data` a Buffer; directories, links and other special entries are dropped.
+// `limits` ({ maxBytes, maxEntries }) cap the uncompressed size and number
+// of files, so untrusted archives cannot expand without bound.
+
+const BLOCK_SIZE = 512;
+
+function readString(buffer, start, length) {
+  const field = buffer.subarray(start, start + length);
+  const end = field.indexOf(0);
+  return field.subarray(0, end === -1 ? field.length : end).toString('utf-8');
+}
+
+function readSize(header) {
+  // Sizes over 8GB use GNU base-256 encoding
+  if (header[124] & 0x80) {
+    let size = 0;
+    for (let i = 125; i < 136; i++) {
+      size = size * 256 + header[i];
+    }
+    return size;
+  }
+  return parseInt(readString(header, 124, 12).trim() || '0', 8);
+}
+
+// PAX extended headers: "<length> <key>=<value>\n" records
+function readPaxPath(data) {
+  const text = data.toString('utf-8');
+  const match = text.match(/\d+ path=([^\n]*)\n/);
+  return match ? match[1] : null;
+}
+
+function tooLarge(message) {
+  const error = new Error(message);
+  error.status = 413;
+  return error;
+}
+
+function checkLimits(count, bytes, { maxBytes = Infinity, maxEntries = Infinity }) {
+  if (count > maxEntries) {
+    throw tooLarge(`Archive has more than ${maxEntries} files`);
+  }
+  if (bytes > maxBytes) {
+    throw tooLarge(`Archive expands to more than ${maxBytes} bytes`);
+  }
+}
+
+function gunzip(buffer, { maxBytes = Infinity }) {
+  if (!Number.isFinite(maxBytes)) return zlib.gunzipSync(buffer);
+
+  try {
+    return zlib.gunzipSync(buffer, { maxOutputLength: maxBytes });
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+      throw tooLarge(`Archive expands to more than ${maxBytes} bytes`);
+    }
+    throw error;
+  }
+}
+
+function isGzip(buffer) {
+  return buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+}
+
+// Incremental tar parser: feed it the archive with push(), in chunks of any
+// size, and it calls `onEntry(path, data)` for every file `keep(path)`
+// accepts. The data of other entries is skipped without being buffered.
+function createTarReader({ keep = () => true, onEntry }) {
+  let pending = Buffer.alloc(0);
+  // Entry whose data is being read, and bytes to skip after it
+  let entry = null;
+  let padding = 0;
+  let longName = null;
+  let paxPath = null;
+  let ended = false;
+
+  function startEntry(header) {
+    const name = readString(header, 0, 100);
+    const size = readSize(header);
+    const type = String.fromCharCode(header[156] || 48);
+    const isUstar = readString(header, 257, 5) === 'ustar';
+    const prefix = isUstar ? readString(header, 345, 155) : '';
+
+    padding = Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE - size;
+
+    if (type === 'L' || type === 'x' || type === 'g') {
+      return { type, remaining: size, chunks: [] };
+    }
+
+    const path = paxPath || longName || (prefix ? `${prefix}/${name}` : name);
+    paxPath = null;
+    longName = null;
+
+    const isFile = type === '0' || type === '7';
+    return { type, path, remaining: size, chunks: isFile && keep(path) ? [] : null };
+  }
+
+  function finishEntry({ type, path, chunks }) {
+    if (!chunks) return;
+
+    const data = Buffer.concat(chunks);
+    if (type === 'L') {
+      longName = readString(data, 0, data.length);
+    } else if (type === 'x') {
+      paxPath = readPaxPath(data);
+    } else if (type !== 'g') {
+      onEntry(path, data);
+    }
+  }
+
+  function push(chunk) {
+    if (ended) return;
+
+    const buffer = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+    let offset = 0;
+
+    while (offset < buffer.length) {
+      if (entry) {
+        const take = Math.min(entry.remaining, buffer.length - offset);
+        if (entry.chunks) entry.chunks.push(buffer.subarray(offset, offset + take));
+        entry.remaining -= take;
+        offset += take;
+
+        if (entry.remaining > 0) break;
+        finishEntry(entry);
+        entry = null;
+      } else if (padding > 0) {
+        const take = Math.min(padding, buffer.length - offset);
+        padding -= take;
+        offset += take;
+      } else if (buffer.length - offset >= BLOCK_SIZE) {
+        const header = buffer.subarray(offset, offset + BLOCK_SIZE);
+        offset += BLOCK_SIZE;
+
+        // Two zero blocks mark the end of the archive
+        if (header[0] === 0) {
+          ended = true;
+          break;
+        }
+        entry = startEntry(header);
+      } else {
+        break;
+      }
+    }
+
+    pending = ended ? Buffer.alloc(0) : Buffer.from(buffer.subarray(offset));
+  }
+
+  return { push };
+}
+
+// Reads a .tar or .tar.gz archive
+function extractTar(buffer, limits = {}) {
+  const tar = isGzip(buffer) ? gunzip(buffer, limits) : buffer;
+  const entries = [];
+
+  createTarReader({
+    onEntry: (path, data) => {
+      entries.push({ path, data });
+      checkLimits(entries.length, tar.length, { maxEntries: limits.maxEntries });
+    }
+  }).push(tar);
+
+  return entries;
+}
+
+// Reads a .tar.gz from a stream (e.g. a download) without holding the whole
+// archive in memory. Only entries `keep(path)` accepts are kept, and only
+// those count towards `limits`.
+async function extractTarStream(stream, { keep, ...limits } = {}) {
+  const entries = [];
+  let bytes = 0;
+
+  const reader = createTarReader({
+    keep,
+    onEntry: (path, data) => {
+      entries.push({ path, data });
+      bytes += data.length;
+      checkLimits(entries.length, bytes, limits);
+    }
+  });
+
+  await pipeline(stream, zlib.createGunzip(), async (tar) => {
+    for await (const chunk of tar) {
+      reader.push(chunk);
+    }
+  });
+
+  return entries;
+}
+
+// Drops the single top-level directory archives usually wrap everything in
+// (e.g. "owner-repo-sha/" in GitHub tarballs)
+function stripCommonRoot(entries) {
+  if (entries.length === 0) return entries;
+
+  const roots = new Set(entries.map(e => e.path.split('/')[0]));
+  const [root] = roots;
+
+  if (roots.size !== 1 || entries.some(e => !e.path.includes('/'))) {
+    return entries;
+  }
+
+  return entries.map(e => ({ ...e, path: e.path.slice(root.length + 1) }));
+}
+
+function isZip(buffer) {
+  return buffer.length > 4 && buffer.readUInt32LE(0) === 0x04034b50;
+}
+
+// Inflates one zip entry, stopping as soon as the archive has expanded past
+// `maxBytes`; `bytes` is what the earlier entries expanded to
+function inflateEntry(entry, bytes, { maxBytes = Infinity }) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let total = bytes;
+    const stream = entry.nodeStream('nodebuffer');
+
+    stream.on('data', (chunk) => {
+      total += chunk.length;
+      if (total > maxBytes) {
+        stream.destroy();
+        reject(tooLarge(`Archive expands to more than ${maxBytes} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    stream.on('error', reject);
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+  });
+}
+
+async function extractZip(buffer, limits = {}) {
+  const zip = await JSZip.loadAsync(buffer);
+  const files = Object.values(zip.files).filter(entry => !entry.dir);
+  checkLimits(files.length, 0, limits);
+
+  // The sizes in the zip headers cannot be trusted, so what inflating
+  // produces is counted instead
+  const entries = [];
+  let bytes = 0;
+  for (const entry of files) {
+    const data = await inflateEntry(entry, bytes, limits);
+    bytes += data.length;
+    entries.push({ path: entry.name, data });
+  }
+
+  return entries;
+}
+
+// Reads a .zip, .tar or .tar.gz archive, whichever `buffer` holds
+async function extractArchive(buffer, limits) {
+  return isZip(buffer) ? extractZip(buffer, limits) : extractTar(buffer, limits);
+}
+
+function isBinary(data) {
+  return data.subarray(0, 8000).includes(0);
+}
+
+module.exports = {
+  tooLarge,
+  extractTar,
+  extractTarStream,
+  extractArchive,
+  stripCommonRoot,
+  isBinary
+};
@@ -0,0 +1,154 @@
+const { buildImportGraph, stronglyConnectedComponents, isSharedDefinition } = require('./import-graph');
+
+const DEFAULT_SIZE_LIMIT = 80000;
+
+// Conversion order: build/config files, then shared type and model
+// definitions, then everything else
+function getStage(file) {
+  if (file.priority === 1) return 0;
+  if (isSharedDefinition(file.path)) return 1;
+  return 2;
+}
+
+const STAGE_NAMES = ['config', 'definitions', 'other'];
+
+function getStageName(file) {
+  return STAGE_NAMES[getStage(file)];
+}
+
+// Groups files into batches of at most `sizeLimit` characters, keeping files
+// that import each other together and ordering batches so dependencies are
+// converted before the files that use them.
+function createBatches(files, { sizeLimit = DEFAULT_SIZE_LIMIT } = {}) {
+  const graph = buildImportGraph(files);
+  const byPath = new Map(files.map(f => [f.path, f]));
+
+  // Dependency order of individual files; cycles stay adjacent
+  const components = stronglyConnectedComponents(graph);
+  const order = new Map();
+  components.flat().forEach((p, i) => order.set(p, i));
+
+  // Union-find over files, merging coupled files while the cluster fits
+  const parent = new Map(files.map(f => [f.path, f.path]));
+  const clusterSize = new Map(files.map(f => [f.path, f.content.length]));
+
+  const find = (p) => {
+    while (parent.get(p) !== p) {
+      parent.set(p, parent.get(parent.get(p)));
+      p = parent.get(p);
+    }
+    return p;
+  };
+
+  const union = (a, b) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA === rootB) return;
+    if (getStage(byPath.get(a)) !== getStage(byPath.get(b))) return;
+    if (clusterSize.get(rootA) + clusterSize.get(rootB) > sizeLimit) return;
+
+    parent.set(rootB, rootA);
+    clusterSize.set(rootA, clusterSize.get(rootA) + clusterSize.get(rootB));
+  };
+
+  // Circular imports are the tightest coupling, then mutual and direct imports
+  for (const component of components) {
+    for (let i = 1; i < component.length; i++) {
+      union(component[0], component[i]);
+    }
+  }
+
+  const edges = [];
+  for (const [from, deps] of graph) {
+    for (const to of deps) {
+      const mutual = graph.get(to)?.has(from);
+      edges.push({ from, to, mutual });
+    }
+  }
+  edges
+    .sort((a, b) => (b.mutual - a.mutual) || (order.get(a.from) - order.get(b.from)))
+    .forEach(({ from, to }) => union(from, to));
+
+  // Collect clusters
+  const clusters = new Map();
+  for (const file of files) {
+    const root = find(file.path);
+    if (!clusters.has(root)) {
+      clusters.set(root, { files: [], stage: getStage(file), deps: new Set(), rank: Infinity });
+    }
+    const cluster = clusters.get(root);
+    cluster.files.push(file);
+    cluster.rank = Math.min(cluster.rank, order.get(file.path));
+  }
+
+  for (const [root, cluster] of clusters) {
+    for (const file of cluster.files) {
+      for (const dep of graph.get(file.path)) {
+        const depRoot = find(dep);
+        if (depRoot !== root) cluster.deps.add(depRoot);
+      }
+    }
+    cluster.files.sort((a, b) => order.get(a.path) - order.get(b.path));
+  }
+
+  // Order clusters by stage, then dependencies first. When a cycle between
+  // clusters blocks progress, the earliest remaining cluster goes next.
+  const orderedClusters = [];
+  const done = new Set();
+  const pending = Array.from(clusters.entries())
+    .sort(([, a], [, b]) => (a.stage - b.stage) || (a.rank - b.rank));
+
+  while (pending.length) {
+    let next = pending.findIndex(([, cluster]) =>
+      Array.from(cluster.deps).every(dep => done.has(dep) || clusters.get(dep).stage > cluster.stage));
+    if (next === -1) next = 0;
+
+    const [[root, cluster]] = pending.splice(next, 1);
+    done.add(root);
+    orderedClusters.push(cluster);
+  }
+
+  // Pack clusters into batches without splitting any cluster
+  const batches = [];
+  let currentBatch = [];
+  let currentSize = 0;
+
+  for (const cluster of orderedClusters) {
+    const size = cluster.files.reduce((sum, f) => sum + f.content.length, 0);
+
+    if (currentSize + size > sizeLimit && currentBatch.length > 0) {
+      batches.push(currentBatch);
+      currentBatch = [];
+      currentSize = 0;
+    }
+
+    currentBatch.push(...cluster.files);
+    currentSize += size;
+  }
+
+  if (currentBatch.length > 0) {
+    batches.push(currentBatch);
+  }
+
+  return { batches, graph };
+}
+
+// Files outside the batch that the batch imports
+function getBatchDependencies(batch, graph) {
+  const members = new Set(batch.map(f => f.path));
+  const deps = new Set();
+
+  for (const file of batch) {
+    for (const dep of graph.get(file.path) || []) {
+      if (!members.has(dep)) deps.add(dep);
+    }
+  }
+
+  return Array.from(deps);
+}
+
+module.exports = {
+  createBatches,
+  getBatchDependencies,
+  getStageName
+};
@@ -0,0 +1,77 @@
+const path = require('path').posix;
+
+// Splits large source files into chunks at syntactic boundaries so each
+// chunk can be converted on its own and the results stitched back together.
+
+// Files above this size are converted chunk by chunk instead of in a batch
+const LARGE_FILE_THRESHOLD = 100000;
+const DEFAULT_CHUNK_SIZE = 60000;
+
+// Top-level declarations, and class members one level in (methods with an
+// access modifier, Python methods, decorators and annotations)
+const TOP_LEVEL_PATTERN = /^(?:export\s+|default\s+|public\s+|internal\s+|static\s+|abstract\s+|async\s+|final\s+|sealed\s+|pub\s+)*(?:function|class|interface|type|enum|struct|record|trait|impl|def|func|fn|module|namespace|const|let|var)\b|^@\w+/;
+const MEMBER_PATTERN = /^(?:\t| {2,4})(?:(?:public|private|protected|internal)\s|def\s|async\s+def\s|@\w+)/;
+
+function isLargeFile(file) {
+  return file.content.length > LARGE_FILE_THRESHOLD;
+}
+
+// Boundary strength of the break *before* line i: 1 syntactic, 2 blank line,
+// 3 any line
+function getBoundary(lines, i, isSql) {
+  if (isSql) {
+    return /;\s*$/.test(lines[i - 1]) ? 1 : (lines[i - 1].trim() === '' ? 2 : 3);
+  }
+
+  if (TOP_LEVEL_PATTERN.test(lines[i]) || MEMBER_PATTERN.test(lines[i]) || /^[}\])]/.test(lines[i - 1])) {
+    return 1;
+  }
+  return lines[i - 1].trim() === '' ? 2 : 3;
+}
+
+// Returns the content split into chunks of at most `maxSize` characters
+// (except single lines longer than that), cut at the strongest boundary
+// available within each chunk
+function splitIntoChunks(file, maxSize = DEFAULT_CHUNK_SIZE) {
+  const lines = file.content.split('\n');
+  const isSql = path.extname(file.path).toLowerCase() === '.sql';
+  const chunks = [];
+
+  let start = 0;
+  let size = 0;
+  let best = { 1: -1, 2: -1, 3: -1 };
+
+  for (let i = 0; i < lines.length; i++) {
+    const lineSize = lines[i].length + 1;
+
+    if (i > start) {
+      best[getBoundary(lines, i, isSql)] = i;
+    }
+
+    if (size + lineSize > maxSize && i > start) {
+      const cut = [best[1], best[2], best[3]].find(b => b > start) || i;
+      chunks.push(lines.slice(start, cut).join('\n'));
+
+      start = cut;
+      size = lines.slice(cut, i).reduce((sum, l) => sum + l.length + 1, 0);
+      best = { 1: -1, 2: -1, 3: -1 };
+      for (let j = start + 1; j <= i; j++) {
+        best[getBoundary(lines, j, isSql)] = j;
+      }
+    }
+
+    size += lineSize;
+  }
+
+  if (start < lines.length) {
+    chunks.push(lines.slice(start).join('\n'));
+  }
+
+  return chunks;
+}
+
+module.exports = {
+  LARGE_FILE_THRESHOLD,
+  isLargeFile,
+  splitIntoChunks
+};
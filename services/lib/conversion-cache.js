@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getSourcePaths } = require('./coverage');
+
+// Converted output cached per source file, so re-running a conversion after a
+// small change only sends the changed files to the model. Entries are keyed
+// by the git blob sha of the source, its path (output paths are derived from
+// it), the target stack, the model and the prompt version, and stored as one
+// JSON file each under CONVERSION_CACHE_DIR.
+//
+// An entry's modification time is when it was last used. Entries unused for
+// CONVERSION_CACHE_TTL_DAYS expire, and beyond CONVERSION_CACHE_MAX_ENTRIES
+// the least recently used ones are removed.
+
+const CACHE_DIR = process.env.CONVERSION_CACHE_DIR || path.join(__dirname, '..', '.data', 'cache');
+const CACHE_TTL_MS = (parseInt(process.env.CONVERSION_CACHE_TTL_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+const MAX_ENTRIES = parseInt(process.env.CONVERSION_CACHE_MAX_ENTRIES, 10) || 10000;
+
+// `options` is { target, model, promptVersion }
+function getCacheKey(file, { target, model, promptVersion }) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([file.sha, file.path, target.language, target.framework, target.database, model, promptVersion]))
+    .digest('hex');
+}
+
+function getEntryPath(key) {
+  return path.join(CACHE_DIR, key.slice(0, 2), `${key}.json`);
+}
+
+// Cached outputs by source path, for the files that have an entry
+function lookupConversions(files, options) {
+  const hits = new Map();
+
+  for (const file of files) {
+    if (!file.sha) continue;
+
+    const entryPath = getEntryPath(getCacheKey(file, options));
+    try {
+      if (Date.now() - fs.statSync(entryPath).mtimeMs > CACHE_TTL_MS) {
+        fs.rmSync(entryPath, { force: true });
+        continue;
+      }
+
+      const entry = JSON.parse(fs.readFileSync(entryPath, 'utf8'));
+      hits.set(file.path, entry.files.map(f => ({ ...f, cached: true })));
+
+      const now = new Date();
+      fs.utimesSync(entryPath, now, now);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Could not read cached conversion of ${file.path}:`, error.message);
+      }
+    }
+  }
+
+  return hits;
+}
+
+// Caches what each of `sources` was converted to in `outputs`. Sources merged
+// into an output together with other files, fallback stubs and output marked
+// `invalid` by validation are left out: none can be replayed on its own.
+function storeConversions(sources, outputs, options) {
+  let stored = 0;
+
+  for (const file of sources) {
+    const own = outputs.filter(f => getSourcePaths(f).includes(file.path));
+    if (!file.sha || own.length === 0) continue;
+    if (own.some(f => f.isFallback || f.failedChunks || f.invalid || getSourcePaths(f).length > 1)) continue;
+
+    const entryPath = getEntryPath(getCacheKey(file, options));
+    try {
+      fs.mkdirSync(path.dirname(entryPath), { recursive: true });
+      fs.writeFileSync(entryPath, JSON.stringify({
+        source: file.path,
+        sha: file.sha,
+        files: own.map(({ cached, invalid, ...f }) => f),
+        created_at: new Date().toISOString()
+      }));
+      stored++;
+    } catch (error) {
+      console.error(`Could not cache conversion of ${file.path}:`, error.message);
+    }
+  }
+
+  if (stored > 0) {
+    pruneCache();
+  }
+}
+
+// Removes expired entries and, beyond MAX_ENTRIES, the least recently used
+function pruneCache() {
+  let entries;
+  try {
+    entries = fs.readdirSync(CACHE_DIR, { withFileTypes: true })
+      .filter(dir => dir.isDirectory())
+      .flatMap(dir => fs.readdirSync(path.join(CACHE_DIR, dir.name)).map(name => path.join(CACHE_DIR, dir.name, name)))
+      .map(entryPath => ({ entryPath, usedAt: fs.statSync(entryPath).mtimeMs }))
+      .sort((a, b) => b.usedAt - a.usedAt);
+  } catch (error) {
+    console.error('Could not list the conversion cache:', error.message);
+    return;
+  }
+
+  const now = Date.now();
+  const evicted = entries.filter((entry, i) => i >= MAX_ENTRIES || now - entry.usedAt > CACHE_TTL_MS);
+  for (const { entryPath } of evicted) {
+    fs.rmSync(entryPath, { force: true });
+  }
+
+  if (evicted.length > 0) {
+    console.log(`Evicted ${evicted.length} cached conversions`);
+  }
+}
+
+module.exports = {
+  lookupConversions,
+  storeConversions
+};
@@ -0,0 +1,78 @@
+// Reconciles source files against the model's output using each output
+// file's `originalPath`, which may name several sources when the model
+// merged them into one file.
+
+function normalizePath(p) {
+  return String(p).trim().replace(/^\.?\/+/, '');
+}
+
+// Source paths an output file claims to come from
+function getSourcePaths(file) {
+  const raw = file.originalPath;
+  if (!raw) return [];
+
+  const paths = Array.isArray(raw) ? raw : String(raw).split(',');
+  return paths.map(normalizePath).filter(Boolean);
+}
+
+// Source files in `batch` that no output file accounts for
+function findMissingSources(batch, outputFiles) {
+  const covered = new Set(outputFiles.flatMap(getSourcePaths));
+  return batch.filter(f => !covered.has(normalizePath(f.path)));
+}
+
+// Per-source coverage table: converted, merged, partial (a chunked file with
+// some chunks stubbed), fallback or dropped. `dropped` lists sources the
+// model omitted even after a targeted re-conversion (they got fallback stubs).
+function buildCoverage(originals, converted, { dropped = [] } = {}) {
+  const droppedSet = new Set(dropped);
+  const outputsBySource = new Map();
+
+  for (const file of converted) {
+    const sources = getSourcePaths(file);
+    for (const source of sources) {
+      if (!outputsBySource.has(source)) outputsBySource.set(source, []);
+      outputsBySource.get(source).push({ file, sources });
+    }
+  }
+
+  const files = originals.map(({ path }) => {
+    const outputs = outputsBySource.get(normalizePath(path)) || [];
+    const outputPaths = outputs.map(o => o.file.path);
+
+    if (droppedSet.has(path)) {
+      return { path, status: 'dropped', outputs: outputPaths };
+    }
+    if (outputs.length === 0) {
+      return { path, status: 'dropped', outputs: [] };
+    }
+    if (outputs.every(o => o.file.isFallback)) {
+      return { path, status: 'fallback', outputs: outputPaths };
+    }
+    if (outputs.some(o => o.file.failedChunks)) {
+      return { path, status: 'partial', outputs: outputPaths };
+    }
+    if (outputs.every(o => o.sources.length > 1)) {
+      return { path, status: 'merged', outputs: outputPaths };
+    }
+    return { path, status: 'converted', outputs: outputPaths };
+  });
+
+  const count = (status) => files.filter(f => f.status === status).length;
+
+  return {
+    total: files.length,
+    converted: count('converted'),
+    merged: count('merged'),
+    partial: count('partial'),
+    fallback: count('fallback'),
+    dropped: count('dropped'),
+    files
+  };
+}
+
+module.exports = {
+  getSourcePaths,
+  findMissingSources,
+  buildCoverage
+};
@@ -0,0 +1,106 @@
+const ignore = require('ignore');
+
+// Which repository files are sent for conversion. Built-in rules skip tool
+// and build output folders and keep known source/config types; a request can
+// narrow or widen that with include/exclude globs, and a repo can add its own
+// rules in a .staxchangeignore file. All patterns use gitignore semantics.
+
+const IGNORE_FILE = '.staxchangeignore';
+
+// Skip common ignored directories and files
+const skipPatterns = [
+  /node_modules\//,
+  /\.git\//,
+  /\.DS_Store$/,
+  /\.log$/,
+  /\.cache\//,
+  /dist\//,
+  /build\//,
+  /coverage\//,
+  /\.nyc_output\//,
+  /\.vscode\//,
+  /\.idea\//,
+  // Lock files are regenerated by the target toolchain and only cost tokens
+  /(^|\/)(package-lock\.json|yarn\.lock|pnpm-lock\.yaml|composer\.lock|Gemfile\.lock|Cargo\.lock|poetry\.lock|go\.sum)$/
+];
+
+// Documentation costs tokens and converts to nothing useful, so it is left
+// out unless an `include` glob asks for it
+const docPatterns = [
+  /\.(md|mdx|markdown|rst|adoc)$/i,
+  /(^|\/)(license|licence|changelog|changes|authors|contributors|notice|copying)(\.txt)?$/i
+];
+
+// Include code and config files
+const relevantExtensions = /\.(ts|tsx|js|jsx|py|cs|java|go|rs|php|rb|kt|scala|sql|sh|yml|yaml|json|html|css|scss|less|md|txt|env|gitignore|toml|xml|properties|conf|ini|dockerfile|makefile|gradle|maven|pom|package|lock|requirements|gemfile|cargo|composer|csproj)$/i;
+
+// Also include files without extensions that are commonly important
+const importantFiles = /^(dockerfile|makefile|rakefile|gulpfile|gruntfile|webpack\.config|rollup\.config|vite\.config|tsconfig|jsconfig|babel\.config|eslint|prettier|package|requirements|gemfile|cargo|composer|pipfile|go\.mod)$/i;
+
+function isSkippedPath(path) {
+  return skipPatterns.some(pattern => pattern.test(path));
+}
+
+function isDocumentation(path) {
+  return docPatterns.some(pattern => pattern.test(path));
+}
+
+function hasRelevantType(path) {
+  const filename = path.split('/').pop() || '';
+  return !isDocumentation(path) && (relevantExtensions.test(path) || importantFiles.test(filename));
+}
+
+// Improved file detection - includes more file types
+function isRelevantFile(path) {
+  return !isSkippedPath(path) && hasRelevantType(path);
+}
+
+function toPatternList(patterns) {
+  if (!patterns) return [];
+  const list = Array.isArray(patterns) ? patterns : String(patterns).split(/\r?\n|,/);
+  return list.map(p => String(p).trim()).filter(Boolean);
+}
+
+// Returns a predicate for repository paths. `include` replaces the built-in
+// file type list when given (skipped folders still apply); `exclude` and the
+// contents of the repo's .staxchangeignore (`ignoreRules`) remove files.
+function createFileFilter({ include, exclude, ignoreRules } = {}) {
+  const includeList = toPatternList(include);
+  const included = ignore().add(includeList);
+  const excluded = ignore().add(toPatternList(exclude));
+  const ignored = ignore().add(ignoreRules || '');
+
+  return (path) => {
+    if (isSkippedPath(path) || path === IGNORE_FILE) return false;
+    if (includeList.length > 0 ? !included.ignores(path) : !hasRelevantType(path)) return false;
+    return !excluded.ignores(path) && !ignored.ignores(path);
+  };
+}
+
+// Get file priority for processing order
+function getFilePriority(path) {
+  const filename = path.toLowerCase();
+  
+  // High priority - core config files
+  if (filename.includes('package.json') || filename.includes('requirements.txt') || 
+      filename.includes('gemfile') || filename.includes('cargo.toml') ||
+      filename.includes('pom.xml') || filename.includes('composer.json')) {
+    return 1;
+  }
+  
+  // Medium priority - main application files
+  if (filename.includes('main') || filename.includes('index') || 
+      filename.includes('app.') || filename.includes('server.')) {
+    return 2;
+  }
+  
+  // Normal priority
+  return 3;
+}
+
+module.exports = {
+  IGNORE_FILE,
+  isRelevantFile,
+  createFileFilter,
+  getFilePriority
+};
@@ -0,0 +1,247 @@
+const { gh, getBlobSha } = require('./github');
+
+// Writes converted files to a GitHub repository as a single commit through
+// the Git Data API: every file becomes a blob, the blobs a tree on top of
+// the branch's current tree, and the branch ref is only moved once the
+// commit exists. A failure part way leaves the branch untouched.
+//
+// Exports are idempotent: files whose content already matches the branch are
+// left alone, and blobs uploaded by an earlier, failed attempt are remembered
+// so running the export again only uploads what is still missing.
+
+const BLOB_CONCURRENCY = 5;
+const BLOB_RETRIES = 2;
+const COMMITTER = { name: "StaxChange", email: "bot@staxchange.ai" };
+
+// Blob shas known to exist per repository, kept for an hour
+const uploadedBlobs = new Map();
+const UPLOADED_BLOBS_TTL_MS = 60 * 60 * 1000;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function getUploadedBlobs(owner, repo) {
+  const key = `${owner}/${repo}`.toLowerCase();
+  if (!uploadedBlobs.has(key)) {
+    uploadedBlobs.set(key, new Set());
+    setTimeout(() => uploadedBlobs.delete(key), UPLOADED_BLOBS_TTL_MS).unref();
+  }
+  return uploadedBlobs.get(key);
+}
+
+// Splits files into committable entries and invalid ones reported back
+function prepareFiles(files) {
+  const entries = [];
+  const invalid = [];
+
+  files.forEach((f, index) => {
+    if (!f || !f.path || f.content === undefined) {
+      console.warn(`Skipping invalid file at index ${index}:`, f);
+      invalid.push({ path: f?.path || 'unknown', error: 'Invalid file object' });
+      return;
+    }
+
+    const path = f.path.replace(/^\/+/, "");
+    if (!path) {
+      console.warn(`Skipping file with empty path at index ${index}`);
+      invalid.push({ path: 'empty', error: 'Empty file path' });
+      return;
+    }
+
+    entries.push({ path, content: f.content, sha: getBlobSha(f.content) });
+  });
+
+  return { entries, invalid };
+}
+
+// Head commit of `branch`, or null when the branch does not exist yet
+async function getBranchHead(token, owner, repo, branch) {
+  try {
+    const ref = await gh(token, `/repos/${owner}/${repo}/git/ref/heads/${encodeURIComponent(branch)}`);
+    return ref.object.sha;
+  } catch (error) {
+    if (error.status === 404) return null;
+    throw error;
+  }
+}
+
+// Blob sha of every file in a tree. A truncated listing only means more files
+// are re-uploaded than necessary.
+async function getTreeFiles(token, owner, repo, treeSha) {
+  const tree = await gh(token, `/repos/${owner}/${repo}/git/trees/${treeSha}?recursive=1`);
+  if (tree.truncated) {
+    console.warn(`Tree listing for ${owner}/${repo} is truncated; unchanged files may be uploaded again`);
+  }
+  return new Map((tree.tree || []).filter(n => n.type === 'blob').map(n => [n.path, n.sha]));
+}
+
+async function createBlob(token, owner, repo, content) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await gh(token, `/repos/${owner}/${repo}/git/blobs`, {
+        method: "POST",
+        body: JSON.stringify({ content: Buffer.from(content, 'utf8').toString('base64'), encoding: 'base64' })
+      });
+    } catch (error) {
+      // Client errors and exhausted rate limits will not go away on retry
+      const retryable = !error.status || (error.status >= 500 && error.status !== 501);
+      if (!retryable || attempt >= BLOB_RETRIES) throw error;
+      await sleep(1000 * (attempt + 1));
+    }
+  }
+}
+
+// Uploads the blobs not yet in the repository; returns the files that failed
+async function uploadBlobs(token, owner, repo, entries) {
+  const known = getUploadedBlobs(owner, repo);
+  const pending = entries.filter(e => !known.has(e.sha));
+  const failed = [];
+
+  for (let i = 0; i < pending.length; i += BLOB_CONCURRENCY) {
+    const group = pending.slice(i, i + BLOB_CONCURRENCY);
+
+    await Promise.all(group.map(async ({ path, content, sha }) => {
+      try {
+        await createBlob(token, owner, repo, content);
+        known.add(sha);
+      } catch (error) {
+        console.error(`Error uploading ${path}:`, error.message);
+        failed.push({ path, error: error.message });
+      }
+    }));
+
+    console.log(`Uploaded ${Math.min(i + BLOB_CONCURRENCY, pending.length)}/${pending.length} blobs`);
+  }
+
+  return failed;
+}
+
+// Commits every file to `branch` in one commit, together with removing the
+// `deletions` paths that exist there. The branch is created from `baseSha`
+// (or the head of `baseBranch`) when it does not exist yet. Returns the
+// upload stats reported to the client; when some files cannot be uploaded
+// nothing is committed and the error carries the stats as `uploadStats`.
+async function commitFiles(token, owner, repo, files, { branch, baseBranch, baseSha, message, deletions = [] }) {
+  const { entries, invalid } = prepareFiles(files);
+
+  if (entries.length === 0 && deletions.length === 0) {
+    const error = new Error("No valid files to commit");
+    error.status = 400;
+    throw error;
+  }
+
+  const head = await getBranchHead(token, owner, repo, branch);
+  const parent = head || baseSha || (baseBranch && await getBranchHead(token, owner, repo, baseBranch));
+
+  if (!parent) {
+    const error = new Error(`Branch ${baseBranch || branch} not found on ${owner}/${repo}`);
+    error.status = 404;
+    throw error;
+  }
+
+  const parentCommit = await gh(token, `/repos/${owner}/${repo}/git/commits/${parent}`);
+  const existing = await getTreeFiles(token, owner, repo, parentCommit.tree.sha);
+
+  const changed = entries.filter(e => existing.get(e.path) !== e.sha);
+  const written = new Set(entries.map(e => e.path));
+  const deleted = deletions.filter(p => existing.has(p) && !written.has(p));
+  const stats = {
+    total: files.length,
+    added: changed.filter(e => !existing.has(e.path)).length,
+    updated: changed.filter(e => existing.has(e.path)).length,
+    unchanged: entries.length - changed.length,
+    deleted: deleted.length,
+    branch
+  };
+
+  console.log(`Exporting to ${owner}/${repo}:${branch}: ${stats.added} new, ${stats.updated} changed, ${stats.unchanged} unchanged, ${stats.deleted} deleted`);
+
+  const failedUploads = await uploadBlobs(token, owner, repo, changed);
+  if (failedUploads.length > 0) {
+    const error = new Error(`${failedUploads.length} files could not be uploaded; nothing was committed. Run the export again to retry them.`);
+    error.status = 502;
+    error.uploadStats = {
+      ...stats,
+      successful: entries.length - failedUploads.length,
+      failed: invalid.length + failedUploads.length,
+      failed_files: [...invalid, ...failedUploads],
+      commit: null
+    };
+    throw error;
+  }
+
+  let commitSha = parent;
+  const modified = changed.length + deleted.length > 0;
+
+  if (modified) {
+    // A null sha removes the path from the base tree
+    const tree = await gh(token, `/repos/${owner}/${repo}/git/trees`, {
+      method: "POST",
+      body: JSON.stringify({
+        base_tree: parentCommit.tree.sha,
+        tree: [
+          ...changed.map(e => ({ path: e.path, mode: '100644', type: 'blob', sha: e.sha })),
+          ...deleted.map(p => ({ path: p, mode: '100644', type: 'blob', sha: null }))
+        ]
+      })
+    });
+
+    const commit = await gh(token, `/repos/${owner}/${repo}/git/commits`, {
+      method: "POST",
+      body: JSON.stringify({
+        message,
+        tree: tree.sha,
+        parents: [parent],
+        author: COMMITTER,
+        committer: COMMITTER
+      })
+    });
+    commitSha = commit.sha;
+  }
+
+  if (head && commitSha !== head) {
+    // Not forced: fails if the branch moved while the commit was built
+    await gh(token, `/repos/${owner}/${repo}/git/refs/heads/${encodeURIComponent(branch)}`, {
+      method: "PATCH",
+      body: JSON.stringify({ sha: commitSha, force: false })
+    });
+  } else if (!head) {
+    await gh(token, `/repos/${owner}/${repo}/git/refs`, {
+      method: "POST",
+      body: JSON.stringify({ ref: `refs/heads/${branch}`, sha: commitSha })
+    });
+  }
+
+  if (modified) {
+    console.log(`Committed ${changed.length} files and ${deleted.length} deletions to ${owner}/${repo}:${branch} (${commitSha.slice(0, 7)})`);
+  } else {
+    console.log(`${owner}/${repo}:${branch} is already up to date`);
+  }
+
+  return {
+    ...stats,
+    successful: entries.length,
+    failed: invalid.length,
+    failed_files: invalid,
+    commit: modified ? commitSha : null
+  };
+}
+
+// Validation shared by the export endpoints; returns an error message or null.
+// A patch set may consist of deletions only.
+function getFilesError(files, deletions = []) {
+  if (!Array.isArray(deletions) || deletions.some(p => typeof p !== 'string' || !p)) {
+    return "Deletions must be an array of file paths";
+  }
+  if (!Array.isArray(files) || (files.length === 0 && deletions.length === 0)) {
+    return "Files must be a non-empty array";
+  }
+  return null;
+}
+
+module.exports = {
+  commitFiles,
+  getFilesError,
+  sleep
+};
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+
+// GitHub REST helper that honours rate-limit headers: when a request is
+// throttled it waits for the reset (or Retry-After) and tries again, as long
+// as the wait is short enough to be worth it. GITHUB_API_URL points it at
+// another API server, e.g. https://github.example.com/api/v3.
+
+const API_BASE = 'https://api.github.com';
+const MAX_RATE_LIMIT_WAIT_MS = 60 * 1000;
+const MAX_RATE_LIMIT_RETRIES = 3;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function readRateLimit(headers) {
+  const remaining = headers.get('x-ratelimit-remaining');
+  const reset = headers.get('x-ratelimit-reset');
+
+  if (remaining === null || remaining === undefined) {
+    return null;
+  }
+
+  return {
+    limit: parseInt(headers.get('x-ratelimit-limit'), 10) || null,
+    remaining: parseInt(remaining, 10),
+    resetAt: reset ? new Date(parseInt(reset, 10) * 1000) : null
+  };
+}
+
+// How long to wait before retrying a throttled response, or null if the
+// response was not throttled
+function getRetryDelay(resp) {
+  if (resp.status !== 403 && resp.status !== 429) {
+    return null;
+  }
+
+  const retryAfter = resp.headers.get('retry-after');
+  if (retryAfter) {
+    return parseInt(retryAfter, 10) * 1000;
+  }
+
+  const rateLimit = readRateLimit(resp.headers);
+  if (rateLimit && rateLimit.remaining === 0 && rateLimit.resetAt) {
+    return Math.max(rateLimit.resetAt.getTime() - Date.now(), 0) + 1000;
+  }
+
+  return null;
+}
+
+// Raw fetch against the GitHub API (or a full URL), retrying when throttled.
+// The last seen rate limit is attached to the response as `rateLimit`.
+async function ghFetch(token, pathOrUrl, init = {}) {
+  const url = pathOrUrl.startsWith('http') ? pathOrUrl : `${process.env.GITHUB_API_URL || API_BASE}${pathOrUrl}`;
+
+  for (let attempt = 0; ; attempt++) {
+    const resp = await fetch(url, {
+      ...init,
+      headers: {
+        Authorization: `Bearer ${token}`,
+        Accept: "application/vnd.github+json",
+        'User-Agent': 'StaxChange-NodeJS-Server',
+        ...(init.body && { "Content-Type": "application/json" }),
+        ...(init.headers || {}),
+      },
+    });
+
+    resp.rateLimit = readRateLimit(resp.headers);
+
+    const delay = getRetryDelay(resp);
+    if (delay === null || attempt >= MAX_RATE_LIMIT_RETRIES) {
+      return resp;
+    }
+
+    if (delay > MAX_RATE_LIMIT_WAIT_MS) {
+      const resetAt = new Date(Date.now() + delay).toISOString();
+      const error = new Error(`GitHub API rate limit exceeded, resets at ${resetAt}`);
+      error.status = 429;
+      error.resetAt = resetAt;
+      throw error;
+    }
+
+    console.warn(`GitHub rate limit hit for ${url}, waiting ${Math.ceil(delay / 1000)}s`);
+    await sleep(delay);
+  }
+}
+
+async function gh(token, path, init = {}) {
+  const resp = await ghFetch(token, path, init);
+
+  if (!resp.ok) {
+    const errorText = await resp.text();
+    const error = new Error(`GitHub API error ${resp.status}: ${errorText}`);
+    error.status = resp.status;
+    throw error;
+  }
+
+  return resp.json();
+}
+
+// The sha git gives a file with this content (a string or raw bytes), as
+// listed in tree listings
+function getBlobSha(content) {
+  const data = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+  return crypto.createHash('sha1')
+    .update(`blob ${data.length}\0`)
+    .update(data)
+    .digest('hex');
+}
+
+module.exports = {
+  gh,
+  ghFetch,
+  getBlobSha
+};
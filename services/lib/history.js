@@ -0,0 +1,231 @@
+const fs = require('fs');
+const path = require('path');
+const fetch = require('node-fetch');
+const { subscribe } = require('./jobs');
+
+// Conversion history. Every job is recorded as a row shaped like the
+// `conversions` table, updated as the job progresses, and its converted files
+// are kept next to it once it completes, so a run outlives both the page and
+// the in-memory job. Rows and artifacts live under HISTORY_DIR; with
+// SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY set, rows are also upserted into
+// the Supabase `conversions` table for users with a profile.
+
+const HISTORY_DIR = process.env.HISTORY_DIR || path.join(__dirname, '..', '.data', 'history');
+const INDEX_PATH = path.join(HISTORY_DIR, 'conversions.json');
+
+// Columns of the Supabase `conversions` table
+const TABLE_COLUMNS = [
+  'id', 'repo_name', 'source_stack', 'target_stack', 'status', 'progress', 'error_message',
+  'github_url', 'download_url', 'created_at', 'completed_at'
+];
+
+const conversions = new Map();
+const profileIds = new Map();
+
+// Jobs only live in memory, so runs still going at the last shutdown are lost
+function loadIndex() {
+  try {
+    for (const row of JSON.parse(fs.readFileSync(INDEX_PATH, 'utf8'))) {
+      if (row.status === 'queued' || row.status === 'running') {
+        Object.assign(row, { status: 'failed', error_message: 'Interrupted by a server restart' });
+      }
+      conversions.set(row.id, row);
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Could not read conversion history:', error.message);
+    }
+  }
+}
+
+function saveIndex() {
+  try {
+    fs.mkdirSync(HISTORY_DIR, { recursive: true });
+    fs.writeFileSync(INDEX_PATH, JSON.stringify(Array.from(conversions.values())));
+  } catch (error) {
+    console.error('Could not write conversion history:', error.message);
+  }
+}
+
+function getArtifactsPath(id) {
+  return path.join(HISTORY_DIR, `${id}.json`);
+}
+
+function formatTargetStack(target) {
+  return [target.language, target.framework, target.database].filter(Boolean).join('/');
+}
+
+function supabaseRequest(pathAndQuery, init = {}) {
+  const key = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  return fetch(`${process.env.SUPABASE_URL}/rest/v1${pathAndQuery}`, {
+    ...init,
+    headers: {
+      apikey: key,
+      Authorization: `Bearer ${key}`,
+      'Content-Type': 'application/json',
+      ...(init.headers || {})
+    }
+  });
+}
+
+// Profile id of a GitHub user, or null when they have no profile
+async function getProfileId(login) {
+  if (!profileIds.has(login)) {
+    const resp = await supabaseRequest(`/profiles?username=eq.${encodeURIComponent(login)}&select=id`);
+    if (!resp.ok) {
+      throw new Error(`Supabase profiles lookup failed: ${resp.status}`);
+    }
+    const [profile] = await resp.json();
+    profileIds.set(login, profile?.id || null);
+  }
+  return profileIds.get(login);
+}
+
+// Best effort: the local history stays the source of truth
+async function syncRow(row) {
+  if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY || !row.user_login) {
+    return;
+  }
+
+  try {
+    const userId = await getProfileId(row.user_login);
+    if (!userId) return;
+
+    const record = { user_id: userId };
+    TABLE_COLUMNS.forEach(column => { record[column] = row[column]; });
+
+    const resp = await supabaseRequest('/conversions?on_conflict=id', {
+      method: 'POST',
+      headers: { Prefer: 'resolution=merge-duplicates,return=minimal' },
+      body: JSON.stringify(record)
+    });
+    if (!resp.ok) {
+      console.warn(`Could not sync conversion ${row.id} to Supabase: ${resp.status} ${await resp.text()}`);
+    }
+  } catch (error) {
+    console.warn(`Could not sync conversion ${row.id} to Supabase:`, error.message);
+  }
+}
+
+function updateRow(id, changes) {
+  const row = conversions.get(id);
+  if (!row) return null;
+
+  Object.assign(row, changes);
+  saveIndex();
+  syncRow(row);
+  return row;
+}
+
+function saveArtifacts(job) {
+  try {
+    fs.mkdirSync(HISTORY_DIR, { recursive: true });
+    fs.writeFileSync(getArtifactsPath(job.id), JSON.stringify({
+      files: job.files || [],
+      ...(job.deletions && { deletions: job.deletions }),
+      summary: job.summary,
+      warnings: job.warnings
+    }));
+  } catch (error) {
+    console.error(`Could not save artifacts of conversion ${job.id}:`, error.message);
+  }
+}
+
+// Records a new job of `user` and follows it
+function trackConversion(job, user) {
+  const { owner, repo, branch, uploadId, sourceName, rootPath, include, exclude, target, provider, base, previousConversionId } = job.params;
+
+  const row = {
+    id: job.id,
+    user_login: user.login,
+    repo_name: sourceName,
+    source_stack: '',
+    target_stack: formatTargetStack(target),
+    status: job.status,
+    progress: job.progress,
+    error_message: null,
+    github_url: null,
+    download_url: null,
+    created_at: job.created_at,
+    completed_at: null,
+    // Not in the table: what is needed to re-open or re-export the run
+    source: {
+      ...(uploadId ? { uploadId } : { owner, repo, branch, ...(base && { base, previousConversionId }) }),
+      rootPath: rootPath || '',
+      ...(include?.length && { include }),
+      ...(exclude?.length && { exclude })
+    },
+    target,
+    model: `${provider.name}/${provider.model}`,
+    // Source commit the run converted, once known
+    commit: null
+  };
+
+  conversions.set(row.id, row);
+  saveIndex();
+  syncRow(row);
+
+  subscribe(job, (event) => {
+    if (event.type !== 'status' && event.type !== 'batch-completed') return;
+
+    const changes = {
+      status: job.status,
+      progress: job.progress,
+      error_message: job.error_message,
+      completed_at: job.completed_at
+    };
+
+    if (job.status === 'completed') {
+      saveArtifacts(job);
+      changes.commit = job.summary?.ingestion?.commit || null;
+      changes.source_stack = job.summary?.sourceStack || '';
+      changes.download_url = `/api/history/${job.id}/download`;
+    }
+
+    updateRow(job.id, changes);
+  });
+
+  return row;
+}
+
+// Runs of a user, newest first
+function listConversions(login) {
+  return Array.from(conversions.values())
+    .filter(row => row.user_login === login)
+    .sort((a, b) => b.created_at.localeCompare(a.created_at));
+}
+
+// A run of `login`, or null
+function getConversion(id, login) {
+  const row = conversions.get(id);
+  return row && row.user_login === login ? row : null;
+}
+
+// Converted files (and deletions of a patch set), summary and warnings of a
+// completed run
+function loadArtifacts(id) {
+  try {
+    return JSON.parse(fs.readFileSync(getArtifactsPath(id), 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Could not read artifacts of conversion ${id}:`, error.message);
+    }
+    return null;
+  }
+}
+
+// Links an export to the run it came from
+function recordExport(id, login, githubUrl) {
+  if (!id || !getConversion(id, login)) return null;
+  return updateRow(id, { github_url: githubUrl });
+}
+
+loadIndex();
+
+module.exports = {
+  trackConversion,
+  listConversions,
+  getConversion,
+  loadArtifacts,
+  recordExport
+};
@@ -0,0 +1,289 @@
+const path = require('path').posix;
+
+// Builds a file-level dependency graph from import/require/using statements.
+// Only imports that resolve to another fetched file are kept; packages and
+// standard library imports are ignored.
+
+const JS_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs', '.json', '.d.ts'];
+
+// Type, model and schema definitions that other files build on
+const DEFINITION_PATTERN = /(^|\/)(types?|typings|models?|entities|entity|interfaces?|schemas?|dtos?|domain|contracts?)(\/|\.|$)|\.d\.ts$/i;
+
+function getLanguage(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+
+  switch (ext) {
+    case '.ts':
+    case '.tsx':
+    case '.js':
+    case '.jsx':
+    case '.mjs':
+    case '.cjs':
+    case '.vue':
+    case '.svelte':
+      return 'js';
+    case '.py':
+      return 'python';
+    case '.cs':
+      return 'csharp';
+    case '.java':
+    case '.kt':
+    case '.scala':
+      return 'java';
+    case '.go':
+      return 'go';
+    case '.rb':
+      return 'ruby';
+    case '.php':
+      return 'php';
+    default:
+      return null;
+  }
+}
+
+function collect(content, regex) {
+  return Array.from(content.matchAll(regex), (m) => m[1]);
+}
+
+// Raw import specifiers as written in the source
+function parseImports(file) {
+  const { content } = file;
+
+  switch (getLanguage(file.path)) {
+    case 'js':
+      return [
+        ...collect(content, /\bimport\s+(?:type\s+)?(?:[\w*{}\s,$]+\s+from\s+)?['"]([^'"]+)['"]/g),
+        ...collect(content, /\bexport\s+(?:type\s+)?[\w*{}\s,$]+\s+from\s+['"]([^'"]+)['"]/g),
+        ...collect(content, /\brequire\(\s*['"]([^'"]+)['"]\s*\)/g),
+        ...collect(content, /\bimport\(\s*['"]([^'"]+)['"]\s*\)/g)
+      ];
+    case 'python':
+      return [
+        ...collect(content, /^\s*from\s+([.\w]+)\s+import\b/gm),
+        ...collect(content, /^\s*import\s+([\w.]+)/gm)
+      ];
+    case 'csharp':
+      return collect(content, /^\s*(?:global\s+)?using\s+(?:static\s+)?([\w.]+)\s*;/gm);
+    case 'java':
+      return collect(content, /^\s*import\s+(?:static\s+)?([\w.]+(?:\.\*)?)\s*;?\s*$/gm);
+    case 'go': {
+      const blocks = collect(content, /^\s*import\s*\(([\s\S]*?)\)/gm).join('\n');
+      return [
+        ...collect(content, /^\s*import\s+(?:[\w.]+\s+)?"([^"]+)"/gm),
+        ...collect(blocks, /"([^"]+)"/g)
+      ];
+    }
+    case 'ruby':
+      return collect(content, /\brequire(?:_relative)?\s*\(?\s*['"]([^'"]+)['"]/g);
+    case 'php':
+      return [
+        ...collect(content, /^\s*use\s+([\w\\]+)/gm),
+        ...collect(content, /\b(?:require|include)(?:_once)?\s*\(?\s*['"]([^'"]+)['"]/g)
+      ];
+    default:
+      return [];
+  }
+}
+
+function createIndex(files) {
+  const paths = new Set(files.map(f => f.path));
+  const lowerPaths = files.map(f => ({ path: f.path, lower: f.path.toLowerCase() }));
+
+  return {
+    has: (p) => paths.has(p),
+    // Files whose path (without extension) ends with the given suffix
+    bySuffix(suffix, extensions) {
+      const wanted = suffix.toLowerCase();
+      return lowerPaths
+        .filter(({ lower }) => {
+          const ext = path.extname(lower);
+          const stem = lower.slice(0, lower.length - ext.length);
+          return (stem === wanted || stem.endsWith(`/${wanted}`)) &&
+            (!extensions || extensions.includes(ext));
+        })
+        .map(({ path: p }) => p);
+    },
+    // Files directly inside a directory ending with the given suffix
+    byDirectory(suffix, extensions) {
+      const wanted = suffix.toLowerCase();
+      return lowerPaths
+        .filter(({ lower }) => {
+          const dir = path.dirname(lower);
+          return (dir === wanted || dir.endsWith(`/${wanted}`)) &&
+            (!extensions || extensions.includes(path.extname(lower)));
+        })
+        .map(({ path: p }) => p);
+    }
+  };
+}
+
+function resolveRelative(index, base, candidates) {
+  for (const candidate of candidates) {
+    const resolved = path.normalize(path.join(base, candidate));
+    if (index.has(resolved)) {
+      return [resolved];
+    }
+  }
+  return [];
+}
+
+function resolveImport(spec, fromPath, index) {
+  const dir = path.dirname(fromPath);
+
+  switch (getLanguage(fromPath)) {
+    case 'js': {
+      let target;
+      if (spec.startsWith('.')) {
+        target = path.join(dir, spec);
+      } else if (spec.startsWith('@/') || spec.startsWith('~/')) {
+        target = path.join('src', spec.slice(2));
+      } else {
+        return [];
+      }
+      return resolveRelative(index, '', [
+        target,
+        ...JS_EXTENSIONS.map(ext => `${target}${ext}`),
+        ...JS_EXTENSIONS.map(ext => `${target}/index${ext}`)
+      ]);
+    }
+    case 'python': {
+      const dots = spec.match(/^\.*/)[0].length;
+      const modulePath = spec.slice(dots).split('.').filter(Boolean).join('/');
+
+      if (dots > 0) {
+        const base = path.join(dir, ...Array(dots - 1).fill('..'));
+        return resolveRelative(index, base, [`${modulePath}.py`, `${modulePath}/__init__.py`]);
+      }
+      return index.bySuffix(modulePath, ['.py']).concat(index.bySuffix(`${modulePath}/__init__`, ['.py']));
+    }
+    case 'csharp': {
+      // A namespace maps onto every file in the matching folder
+      const namespacePath = spec.split('.').join('/');
+      const matches = index.byDirectory(namespacePath, ['.cs']);
+      return matches.length ? matches : index.byDirectory(spec.split('.').pop(), ['.cs']);
+    }
+    case 'java': {
+      const parts = spec.replace(/\.\*$/, '').split('.');
+      if (spec.endsWith('.*')) {
+        return index.byDirectory(parts.join('/'), ['.java', '.kt', '.scala']);
+      }
+      return index.bySuffix(parts.join('/'), ['.java', '.kt', '.scala']);
+    }
+    case 'go': {
+      // Match on the last two segments of the import path
+      const segments = spec.split('/');
+      return index.byDirectory(segments.slice(-2).join('/'), ['.go']);
+    }
+    case 'ruby': {
+      const withExt = spec.endsWith('.rb') ? spec : `${spec}.rb`;
+      if (spec.startsWith('.')) {
+        return resolveRelative(index, dir, [withExt]);
+      }
+      return index.bySuffix(withExt.replace(/\.rb$/, ''), ['.rb']);
+    }
+    case 'php': {
+      if (/\.php$/.test(spec)) {
+        return resolveRelative(index, dir, [spec]);
+      }
+      // PSR-4 style: App\Models\User -> .../Models/User.php
+      return index.bySuffix(spec.split('\\').slice(-2).join('/'), ['.php']);
+    }
+    default:
+      return [];
+  }
+}
+
+// Map of path -> Set of paths it depends on
+function buildImportGraph(files) {
+  const index = createIndex(files);
+  const graph = new Map();
+
+  for (const file of files) {
+    const deps = new Set();
+
+    for (const spec of parseImports(file)) {
+      for (const resolved of resolveImport(spec, file.path, index)) {
+        if (resolved !== file.path) {
+          deps.add(resolved);
+        }
+      }
+    }
+
+    graph.set(file.path, deps);
+  }
+
+  return graph;
+}
+
+// Strongly connected components, dependencies before dependents (Tarjan's
+// algorithm, iterative to cope with deep graphs)
+function stronglyConnectedComponents(graph) {
+  const indexOf = new Map();
+  const lowLink = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const components = [];
+  let counter = 0;
+
+  for (const start of graph.keys()) {
+    if (indexOf.has(start)) continue;
+
+    const work = [{ node: start, deps: Array.from(graph.get(start) || []), next: 0 }];
+    indexOf.set(start, counter);
+    lowLink.set(start, counter);
+    counter++;
+    stack.push(start);
+    onStack.add(start);
+
+    while (work.length) {
+      const frame = work[work.length - 1];
+
+      if (frame.next < frame.deps.length) {
+        const dep = frame.deps[frame.next++];
+        if (!graph.has(dep)) continue;
+
+        if (!indexOf.has(dep)) {
+          indexOf.set(dep, counter);
+          lowLink.set(dep, counter);
+          counter++;
+          stack.push(dep);
+          onStack.add(dep);
+          work.push({ node: dep, deps: Array.from(graph.get(dep) || []), next: 0 });
+        } else if (onStack.has(dep)) {
+          lowLink.set(frame.node, Math.min(lowLink.get(frame.node), indexOf.get(dep)));
+        }
+        continue;
+      }
+
+      work.pop();
+      if (work.length) {
+        const parent = work[work.length - 1].node;
+        lowLink.set(parent, Math.min(lowLink.get(parent), lowLink.get(frame.node)));
+      }
+
+      if (lowLink.get(frame.node) === indexOf.get(frame.node)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== frame.node);
+        components.push(component);
+      }
+    }
+  }
+
+  return components;
+}
+
+function isSharedDefinition(filePath) {
+  return DEFINITION_PATTERN.test(filePath);
+}
+
+module.exports = {
+  parseImports,
+  buildImportGraph,
+  stronglyConnectedComponents,
+  isSharedDefinition
+};
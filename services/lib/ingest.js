@@ -0,0 +1,481 @@
+const { gh, ghFetch, getBlobSha } = require('./github');
+const { tooLarge, extractTarStream, stripCommonRoot, isBinary } = require('./archive');
+const { IGNORE_FILE, createFileFilter, getFilePriority } = require('./file-filters');
+const { getUpload } = require('./uploads');
+
+// Repository ingestion. The whole branch is downloaded as one tarball and
+// extracted as it streams in; if that fails, files are fetched one by one
+// through the blobs API. Progress lives in a caller-owned `state` object, so
+// a run that fails part way (e.g. on the rate limit) can be resumed later
+// against the same commit. The per-file fetch resumes without refetching
+// what it already has; a tarball is all or nothing and is downloaded again.
+
+// Files beyond this size are not converted at all
+const MAX_FILE_SIZE = 2000000;
+const BLOB_CONCURRENCY = 10;
+const DOWNLOAD_PROGRESS_INTERVAL = 1024 * 1024;
+
+// Extracted files stay in memory, so what a tarball may download and expand
+// to is capped; a repository over the limits fails with 413
+const TARBALL_LIMITS = {
+  maxDownloadBytes: (parseInt(process.env.REPO_MAX_DOWNLOAD_MB, 10) || 500) * 1024 * 1024,
+  maxBytes: (parseInt(process.env.REPO_MAX_EXTRACTED_MB, 10) || 300) * 1024 * 1024,
+  maxEntries: parseInt(process.env.REPO_MAX_FILES, 10) || 20000
+};
+
+function normalizeRootPath(rootPath) {
+  return (rootPath || '').trim().replace(/^\/+|\/+$/g, '');
+}
+
+// Re-roots a repository path under `root`, or null when it lies outside
+function scopeToRoot(path, root) {
+  if (!root) return path;
+  return path.startsWith(`${root}/`) ? path.slice(root.length + 1) : null;
+}
+
+// `sha` is the git blob sha of the file, which keys the conversion cache
+function toSourceFile(path, content, sha) {
+  return {
+    path,
+    content,
+    size: content.length,
+    priority: getFilePriority(path),
+    sha
+  };
+}
+
+function sortFiles(files) {
+  // Sort by priority and then alphabetically
+  return files.sort((a, b) => (a.priority - b.priority) || a.path.localeCompare(b.path));
+}
+
+async function resolveCommit(token, owner, repo, branch) {
+  const branchInfo = await gh(token, `/repos/${owner}/${repo}/branches/${encodeURIComponent(branch)}`);
+  const sha = branchInfo?.commit?.sha;
+
+  if (!sha) {
+    throw new Error(`Could not find SHA for branch ${branch}`);
+  }
+
+  return sha;
+}
+
+// Commit sha of a branch, tag or (abbreviated) commit sha
+async function resolveRef(token, owner, repo, ref) {
+  const commit = await gh(token, `/repos/${owner}/${repo}/commits/${encodeURIComponent(ref)}`);
+  return commit.sha;
+}
+
+// Sorts one repository file into included, filtered or skipped. `sha` comes
+// from the tree listing when there is one.
+function classify(state, filter, path, data, sha) {
+  if (!filter(path)) {
+    state.filtered.push(path);
+    return;
+  }
+  if (isBinary(data)) {
+    state.skipped.push({ path, size: data.length, reason: 'Binary file' });
+    return;
+  }
+
+  const content = data.toString('utf-8');
+  if (content.length > MAX_FILE_SIZE) {
+    console.warn(`Skipping large file: ${path} (${content.length} chars)`);
+    state.skipped.push({ path, size: content.length, reason: `File exceeds ${MAX_FILE_SIZE} characters` });
+    return;
+  }
+
+  state.files.set(path, toSourceFile(path, content, sha || getBlobSha(data)));
+}
+
+// Classifies in-memory archive entries, scoped to state.rootPath
+function ingestEntries(state, entries, filterOptions) {
+  const scoped = entries
+    .map(e => ({ ...e, path: scopeToRoot(e.path, state.rootPath) }))
+    .filter(e => e.path !== null);
+
+  const ignoreEntry = scoped.find(e => e.path === IGNORE_FILE);
+  state.ignoreRules = ignoreEntry ? ignoreEntry.data.toString('utf-8') : null;
+  const filter = createFileFilter({ ...filterOptions, ignoreRules: state.ignoreRules });
+
+  state.totalFiles = scoped.length;
+  for (const entry of scoped) {
+    classify(state, filter, entry.path, entry.data);
+  }
+}
+
+async function fetchViaTarball(token, owner, repo, state, { filterOptions, onProgress, signal }) {
+  const resp = await ghFetch(token, `/repos/${owner}/${repo}/tarball/${state.sha}`, { signal });
+
+  if (!resp.ok) {
+    const errorText = await resp.text();
+    throw new Error(`GitHub API error ${resp.status}: ${errorText}`);
+  }
+
+  // Reports download progress and stops the download past the cap
+  async function* download(body) {
+    let received = 0;
+    let reported = 0;
+
+    for await (const chunk of body) {
+      received += chunk.length;
+      if (received > TARBALL_LIMITS.maxDownloadBytes) {
+        throw tooLarge(`Tarball is larger than ${TARBALL_LIMITS.maxDownloadBytes} bytes`);
+      }
+
+      if (onProgress && received - reported >= DOWNLOAD_PROGRESS_INTERVAL) {
+        onProgress({ phase: 'download', bytes: received });
+        reported = received;
+      }
+      yield chunk;
+    }
+  }
+
+  // Tarball paths start with an "owner-repo-sha/" folder; files outside the
+  // root folder are skipped as they stream past and count towards no limit
+  const keep = path => scopeToRoot(path.slice(path.indexOf('/') + 1), state.rootPath) !== null;
+
+  let entries;
+  try {
+    entries = stripCommonRoot(await extractTarStream(download(resp.body), {
+      keep,
+      maxBytes: TARBALL_LIMITS.maxBytes,
+      maxEntries: TARBALL_LIMITS.maxEntries
+    }));
+  } catch (error) {
+    if (error.status === 413) {
+      error.message = `${owner}/${repo} is too large to convert: ${error.message}`;
+    }
+    throw error;
+  }
+  console.log(`Extracted ${entries.length} files from ${owner}/${repo}@${state.sha.slice(0, 7)} tarball`);
+
+  ingestEntries(state, entries, filterOptions);
+}
+
+async function fetchViaBlobs(token, owner, repo, state, { filterOptions, onProgress, signal }) {
+  const tree = await gh(token, `/repos/${owner}/${repo}/git/trees/${state.sha}?recursive=1`);
+
+  if (tree.truncated) {
+    console.warn(`Tree listing for ${owner}/${repo} is truncated; some files will be missing`);
+  }
+
+  const blobs = (tree.tree || [])
+    .filter(n => n.type === 'blob')
+    .map(n => ({ ...n, path: scopeToRoot(n.path, state.rootPath) }))
+    .filter(n => n.path !== null);
+  state.totalFiles = blobs.length;
+
+  const ignoreNode = blobs.find(n => n.path === IGNORE_FILE);
+  if (ignoreNode && state.ignoreRules == null) {
+    const blob = await gh(token, `/repos/${owner}/${repo}/git/blobs/${ignoreNode.sha}`);
+    state.ignoreRules = Buffer.from(blob.content, 'base64').toString('utf-8');
+  }
+  const filter = createFileFilter({ ...filterOptions, ignoreRules: state.ignoreRules });
+
+  const done = new Set([...state.files.keys(), ...state.filtered, ...state.skipped.map(s => s.path)]);
+  const pending = blobs.filter(n => !done.has(n.path));
+  const relevant = pending.filter(n => filter(n.path));
+  state.filtered.push(...pending.filter(n => !filter(n.path)).map(n => n.path));
+
+  console.log(`Fetching ${relevant.length} files via the blobs API (${state.files.size} already fetched)`);
+
+  for (let i = 0; i < relevant.length; i += BLOB_CONCURRENCY) {
+    if (signal?.aborted) return;
+
+    const group = relevant.slice(i, i + BLOB_CONCURRENCY);
+
+    // Failures other than rate limiting are recorded per file; a rate limit
+    // that cannot be waited out stops the run with progress kept in `state`
+    await Promise.all(group.map(async (node) => {
+      try {
+        const blob = await gh(token, `/repos/${owner}/${repo}/git/blobs/${node.sha}`);
+        classify(state, filter, node.path, Buffer.from(blob.content, 'base64'), node.sha);
+      } catch (error) {
+        if (error.status === 429) throw error;
+        console.error(`Error fetching ${node.path}:`, error.message);
+        state.skipped.push({ path: node.path, reason: `Fetch failed: ${error.message}` });
+      }
+    }));
+
+    if (onProgress) {
+      onProgress({
+        phase: 'files',
+        fetched: Math.min(i + BLOB_CONCURRENCY, relevant.length),
+        total: relevant.length
+      });
+    }
+  }
+}
+
+// The compare API lists at most this many files
+const MAX_COMPARE_FILES = 300;
+
+// Paths of every blob in a commit's tree
+async function getTreeBlobs(token, owner, repo, sha) {
+  const tree = await gh(token, `/repos/${owner}/${repo}/git/trees/${sha}?recursive=1`);
+  if (tree.truncated) {
+    console.warn(`Tree listing for ${owner}/${repo}@${sha.slice(0, 7)} is truncated; some changes will be missed`);
+  }
+  return new Map((tree.tree || []).filter(n => n.type === 'blob').map(n => [n.path, n.sha]));
+}
+
+// Same change list as the compare API, from the two trees, for comparisons
+// with more files than it lists. Renames show up as a removal and an addition.
+async function diffTrees(token, owner, repo, base, head) {
+  const [before, after] = await Promise.all([
+    getTreeBlobs(token, owner, repo, base),
+    getTreeBlobs(token, owner, repo, head)
+  ]);
+
+  const files = [];
+  for (const [path, sha] of after) {
+    if (!before.has(path)) files.push({ filename: path, status: 'added' });
+    else if (before.get(path) !== sha) files.push({ filename: path, status: 'modified' });
+  }
+  for (const path of before.keys()) {
+    if (!after.has(path)) files.push({ filename: path, status: 'removed' });
+  }
+  return files;
+}
+
+// Files changed between `base` (any commit-ish) and the `head` commit sha,
+// scoped to `rootPath`. Returns { base, head, added, modified, removed,
+// renamed: [{ from, to }] } with `base` resolved to a sha. A rename across
+// the root folder counts as an addition or a removal.
+async function compareCommits(token, owner, repo, base, head, { rootPath } = {}) {
+  const root = normalizeRootPath(rootPath);
+  const comparison = await gh(token, `/repos/${owner}/${repo}/compare/${encodeURIComponent(base)}...${head}`);
+  const baseSha = comparison.base_commit.sha;
+
+  let files = comparison.files || [];
+  if (files.length >= MAX_COMPARE_FILES) {
+    console.log(`Comparison ${baseSha.slice(0, 7)}...${head.slice(0, 7)} lists ${files.length} files, diffing the trees instead`);
+    files = await diffTrees(token, owner, repo, baseSha, head);
+  }
+
+  const changes = { base: baseSha, head, added: [], modified: [], removed: [], renamed: [] };
+
+  for (const file of files) {
+    const path = scopeToRoot(file.filename, root);
+    const previous = file.previous_filename ? scopeToRoot(file.previous_filename, root) : null;
+
+    switch (file.status) {
+      case 'added':
+      case 'copied':
+        if (path !== null) changes.added.push(path);
+        break;
+      case 'modified':
+      case 'changed':
+        if (path !== null) changes.modified.push(path);
+        break;
+      case 'removed':
+        if (path !== null) changes.removed.push(path);
+        break;
+      case 'renamed':
+        if (path !== null && previous !== null) changes.renamed.push({ from: previous, to: path });
+        else if (path !== null) changes.added.push(path);
+        else if (previous !== null) changes.removed.push(previous);
+        break;
+    }
+  }
+
+  return changes;
+}
+
+// Fetches every relevant file on the branch. Returns { files, filtered,
+// skipped, stats }, where `filtered` lists the paths the file filter rejected.
+// `include` / `exclude` are glob lists, see createFileFilter. With `rootPath`
+// (e.g. "packages/api") only that folder is ingested and every path, include
+// and exclude globs and .staxchangeignore are relative to it.
+async function fetchRepository(token, owner, repo, branch, { rootPath, include, exclude, state = {}, onProgress, signal } = {}) {
+  const filterOptions = { include, exclude };
+  state.rootPath = normalizeRootPath(rootPath);
+  console.log(`Fetching files for ${owner}/${repo}:${branch}`);
+
+  // Pin the commit so a resumed fetch sees the same tree
+  if (!state.sha) {
+    state.sha = await resolveCommit(token, owner, repo, branch);
+  }
+  state.files = state.files || new Map();
+  state.filtered = state.filtered || [];
+  state.skipped = state.skipped || [];
+
+  if (!state.complete) {
+    if (!state.method) {
+      state.method = 'tarball';
+    }
+
+    if (state.method === 'tarball') {
+      try {
+        await fetchViaTarball(token, owner, repo, state, { filterOptions, onProgress, signal });
+      } catch (error) {
+        // Neither the rate limit nor the size limits are any better per file
+        if (signal?.aborted || error.status === 429 || error.status === 413) throw error;
+
+        console.warn(`Tarball download failed, falling back to per-file fetch:`, error.message);
+        state.method = 'blobs';
+        state.files.clear();
+        state.filtered = [];
+        state.skipped = [];
+        state.ignoreRules = null;
+      }
+    }
+
+    if (state.method === 'blobs') {
+      await fetchViaBlobs(token, owner, repo, state, { filterOptions, onProgress, signal });
+    }
+
+    if (signal?.aborted) {
+      throw new Error('Repository fetch cancelled');
+    }
+
+    if (state.rootPath && state.totalFiles === 0) {
+      throw new Error(`Folder ${state.rootPath} not found on ${owner}/${repo}:${branch}`);
+    }
+
+    state.complete = true;
+  }
+
+  return buildResult(state);
+}
+
+function buildResult(state) {
+  const files = sortFiles(Array.from(state.files.values()));
+
+  console.log(`Successfully fetched ${files.length} files (${state.filtered.length} filtered, ${state.skipped.length} skipped)`);
+
+  return {
+    files,
+    filtered: state.filtered,
+    skipped: state.skipped,
+    stats: {
+      method: state.method,
+      commit: state.sha || null,
+      rootPath: state.rootPath || null,
+      totalFiles: state.totalFiles,
+      included: files.length,
+      filtered: state.filtered.length,
+      skipped: state.skipped.length,
+      ignoreFile: state.ignoreRules != null
+    }
+  };
+}
+
+// Same as fetchRepository, for an uploaded archive (see lib/uploads)
+function ingestUpload(upload, { rootPath, include, exclude } = {}) {
+  console.log(`Ingesting upload ${upload.id} (${upload.name})`);
+
+  const state = {
+    method: 'upload',
+    rootPath: normalizeRootPath(rootPath),
+    files: new Map(),
+    filtered: [],
+    skipped: []
+  };
+
+  ingestEntries(state, upload.entries, { include, exclude });
+
+  if (state.rootPath && state.totalFiles === 0) {
+    throw new Error(`Folder ${state.rootPath} not found in ${upload.name}`);
+  }
+
+  return buildResult(state);
+}
+
+// Request fields naming what to convert: an uploaded archive (`uploadId`) or
+// a GitHub branch, which needs the session's token. Returns an error with a
+// `status`, or null when they are complete.
+function getSourceError({ token, owner, repo, branch, uploadId }) {
+  if (uploadId) {
+    return null;
+  }
+
+  let error = null;
+  if (!owner || !repo || !branch) {
+    error = new Error("Missing required fields: owner, repo, branch (or uploadId for an uploaded archive)");
+    error.status = 400;
+  } else if (!token) {
+    error = new Error("Sign in with GitHub to read this repository");
+    error.status = 401;
+  }
+  return error;
+}
+
+// Display name of a conversion source
+function getSourceName({ owner, repo, uploadId }) {
+  if (uploadId) {
+    return getUpload(uploadId)?.name || 'upload';
+  }
+  return `${owner}/${repo}`;
+}
+
+// Ingests a conversion source with fetchRepository's options and result
+async function loadSource({ token, owner, repo, branch, uploadId }, options = {}) {
+  if (uploadId) {
+    const upload = getUpload(uploadId);
+    if (!upload) {
+      const error = new Error(`Upload ${uploadId} not found or expired`);
+      error.status = 404;
+      throw error;
+    }
+    return ingestUpload(upload, options);
+  }
+
+  return fetchRepository(token, owner, repo, branch, options);
+}
+
+// Content of one source file of a conversion, or null when it does not
+// exist. `path` is relative to `rootPath`; a GitHub branch is read at
+// `ref` (the commit the conversion used).
+async function readSourceFile({ token, owner, repo, uploadId }, path, { rootPath, ref } = {}) {
+  const root = normalizeRootPath(rootPath);
+  const fullPath = root ? `${root}/${path}` : path;
+
+  if (uploadId) {
+    const entry = getUpload(uploadId)?.entries.find(e => e.path === fullPath);
+    return entry ? entry.data.toString('utf-8') : null;
+  }
+
+  const encoded = fullPath.split('/').map(encodeURIComponent).join('/');
+  const resp = await ghFetch(token, `/repos/${owner}/${repo}/contents/${encoded}?ref=${encodeURIComponent(ref)}`, {
+    headers: { Accept: 'application/vnd.github.raw' }
+  });
+
+  if (resp.status === 404) return null;
+  if (!resp.ok) {
+    const error = new Error(`GitHub API error ${resp.status}: ${await resp.text()}`);
+    error.status = resp.status;
+    throw error;
+  }
+  return resp.text();
+}
+
+// Every folder with the number of files under it, for picking a root path
+function listFolders(paths) {
+  const counts = new Map();
+
+  for (const filePath of paths) {
+    const parts = filePath.split('/');
+    for (let i = 1; i < parts.length; i++) {
+      const folder = parts.slice(0, i).join('/');
+      counts.set(folder, (counts.get(folder) || 0) + 1);
+    }
+  }
+
+  return Array.from(counts, ([path, files]) => ({ path, files }))
+    .sort((a, b) => a.path.localeCompare(b.path));
+}
+
+module.exports = {
+  resolveCommit,
+  resolveRef,
+  compareCommits,
+  fetchRepository,
+  ingestUpload,
+  getSourceError,
+  getSourceName,
+  loadSource,
+  readSourceFile,
+  listFolders
+};
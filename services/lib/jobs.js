@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// In-memory store for background conversion jobs. Field names mirror the
+// `conversions` table (status, progress, error_message) so a job can be
+// persisted as-is.
+const jobs = new Map();
+
+// Finished jobs are kept around for an hour so clients can collect results
+const JOB_TTL_MS = 60 * 60 * 1000;
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Generation of the run a job handle belongs to, see startRun
+const RUN_GENERATION = Symbol('runGeneration');
+
+function createJob(params) {
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    status: 'queued',
+    progress: 0,
+    error_message: null,
+    params,
+    batchResults: [],
+    totalBatches: 0,
+    files: null,
+    summary: null,
+    warnings: null,
+    created_at: now,
+    updated_at: now,
+    completed_at: null,
+    abortController: new AbortController(),
+    // Bumped on every restart, so updates from an earlier run can be told apart
+    generation: 0,
+    // Every progress event is kept so late subscribers can replay the run
+    events: [],
+    emitter: new EventEmitter()
+  };
+
+  jobs.set(job.id, job);
+  return job;
+}
+
+function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+// A job `login` started, or null
+function getUserJob(id, login) {
+  const job = getJob(id);
+  return job && job.params.userLogin === login ? job : null;
+}
+
+function isTerminal(job) {
+  return TERMINAL_STATUSES.includes(job.status);
+}
+
+// The job as seen by one run of it. Once the job is restarted, updates and
+// events from an earlier run that has not noticed its abort yet are ignored.
+function startRun(job) {
+  const generation = job.generation;
+  return new Proxy(job, {
+    get: (target, key) => (key === RUN_GENERATION ? generation : target[key])
+  });
+}
+
+function isStaleRun(job) {
+  const generation = job[RUN_GENERATION];
+  return generation !== undefined && generation !== job.generation;
+}
+
+function emitJobEvent(job, type, data = {}) {
+  if (isStaleRun(job)) return null;
+
+  const event = {
+    id: job.events.length + 1,
+    type,
+    timestamp: new Date().toISOString(),
+    ...data
+  };
+
+  job.events.push(event);
+  job.emitter.emit('event', event);
+  return event;
+}
+
+// Listen for new events on a job; returns an unsubscribe function
+function subscribe(job, listener) {
+  job.emitter.on('event', listener);
+  return () => job.emitter.off('event', listener);
+}
+
+function updateJob(job, changes) {
+  if (isStaleRun(job)) return job;
+
+  const previousStatus = job.status;
+  Object.assign(job, changes, { updated_at: new Date().toISOString() });
+
+  if (isTerminal(job) && !job.completed_at) {
+    job.completed_at = job.updated_at;
+
+    job.expiryTimer = setTimeout(() => jobs.delete(job.id), JOB_TTL_MS);
+    job.expiryTimer.unref();
+  }
+
+  if (job.status !== previousStatus) {
+    emitJobEvent(job, 'status', {
+      status: job.status,
+      progress: job.progress,
+      error_message: job.error_message
+    });
+  }
+
+  return job;
+}
+
+function cancelJob(job) {
+  if (isTerminal(job)) {
+    return false;
+  }
+
+  job.abortController.abort();
+  updateJob(job, { status: 'cancelled', error_message: 'Conversion cancelled by user' });
+  return true;
+}
+
+// Puts a failed or cancelled job back in the queue. Whatever the previous
+// run left on the job (e.g. partially fetched files) is kept for the next one.
+function restartJob(job) {
+  if (job.status !== 'failed' && job.status !== 'cancelled') {
+    return false;
+  }
+
+  clearTimeout(job.expiryTimer);
+  job.expiryTimer = null;
+  job.generation++;
+  job.abortController = new AbortController();
+  job.batchResults = [];
+  job.totalBatches = 0;
+  job.completed_at = null;
+
+  updateJob(job, { status: 'queued', progress: 0, error_message: null });
+  return true;
+}
+
+// Public view of a job - never leaks the request params (they hold the token)
+function serializeJob(job) {
+  const { target, sourceName, branch, rootPath, provider } = job.params;
+
+  return {
+    id: job.id,
+    status: job.status,
+    progress: job.progress,
+    error_message: job.error_message,
+    repo: sourceName,
+    branch: branch || null,
+    rootPath: rootPath || null,
+    target,
+    provider: provider.name,
+    model: provider.model,
+    totalBatches: job.totalBatches,
+    batchResults: job.batchResults,
+    created_at: job.created_at,
+    updated_at: job.updated_at,
+    completed_at: job.completed_at,
+    ...(job.status === 'completed' && {
+      files: job.files,
+      ...(job.deletions && { deletions: job.deletions }),
+      summary: job.summary,
+      ...(job.warnings && { warnings: job.warnings })
+    })
+  };
+}
+
+module.exports = {
+  createJob,
+  startRun,
+  getJob,
+  getUserJob,
+  updateJob,
+  emitJobEvent,
+  subscribe,
+  cancelJob,
+  restartJob,
+  isTerminal,
+  serializeJob
+};
@@ -0,0 +1,56 @@
+const { createOpenRouterProvider, DEFAULT_MODEL: OPENROUTER_DEFAULT_MODEL } = require('./openrouter');
+const { createOpenAICompatibleProvider } = require('./openai-compatible');
+const { createMockProvider } = require('./mock');
+
+// LLM provider selection. Defaults come from the environment and can be
+// overridden per request:
+//   LLM_PROVIDER   openrouter (default) | openai-compatible | mock
+//   LLM_MODEL      model name passed to the provider
+//   LLM_BASE_URL   base URL for openai-compatible, e.g. http://localhost:11434/v1
+//   LLM_API_KEY    optional bearer token for openai-compatible
+const providers = {
+  openrouter: ({ model }) => createOpenRouterProvider({ model }),
+  'openai-compatible': ({ model }) => createOpenAICompatibleProvider({
+    baseUrl: process.env.LLM_BASE_URL,
+    apiKey: process.env.LLM_API_KEY,
+    model
+  }),
+  mock: ({ model }) => createMockProvider({ model })
+};
+
+// Adds a provider, or replaces one, under `name`; the tests register mocks
+// set up to fail in specific ways
+function registerProvider(name, factory) {
+  providers[name] = factory;
+}
+
+// Models the providers fall back to when none is configured
+const defaultModels = {
+  openrouter: OPENROUTER_DEFAULT_MODEL,
+  mock: 'mock'
+};
+
+function resolveProviderName(provider) {
+  const name = provider || process.env.LLM_PROVIDER || 'openrouter';
+
+  if (!providers[name]) {
+    throw new Error(`Unknown LLM provider "${name}" (expected one of: ${Object.keys(providers).join(', ')})`);
+  }
+
+  return name;
+}
+
+function getProvider({ provider, model } = {}) {
+  const name = resolveProviderName(provider);
+  return providers[name]({ model: model || process.env.LLM_MODEL });
+}
+
+// The { name, model } getProvider would use, without creating the provider,
+// so it works without the provider's credentials. `model` is null when the
+// provider has no default and none is configured.
+function describeProvider({ provider, model } = {}) {
+  const name = resolveProviderName(provider);
+  return { name, model: model || process.env.LLM_MODEL || defaultModels[name] || null };
+}
+
+module.exports = { getProvider, describeProvider, registerProvider };
@@ -0,0 +1,39 @@
+const fs = require('fs');
+
+// Deterministic offline provider. Echoes every file it is sent back verbatim
+// as its own "conversion", or returns the canned response from LLM_MOCK_RESPONSE_FILE
+// when set, so the convert pipeline can run without network or API keys.
+// A request with a file `fail({ path, content })` accepts gets a malformed
+// response and files `drop` accepts are left out, to exercise retry,
+// fallback and coverage handling.
+function createMockProvider({ model, fail = () => false, drop = () => false } = {}) {
+  const responseFile = process.env.LLM_MOCK_RESPONSE_FILE;
+
+  async function complete({ messages }) {
+    if (responseFile) {
+      return fs.readFileSync(responseFile, 'utf-8');
+    }
+
+    const userMessage = messages.filter(m => m.role === 'user').map(m => m.content).join('\n');
+    // Split into [preamble, path1, content1, path2, content2, ...]
+    const parts = userMessage.split(/^=== FILE \d+: (.+?) \(.*\) ===\n/m);
+    const sent = [];
+    for (let i = 1; i < parts.length; i += 2) {
+      sent.push({ path: parts[i], content: parts[i + 1].replace(/\n+$/, '\n') });
+    }
+
+    if (sent.some(fail)) {
+      return '{"files": [';
+    }
+
+    const files = sent
+      .filter(file => !drop(file))
+      .map(({ path, content }) => ({ path, content, originalPath: path }));
+
+    return JSON.stringify({ files });
+  }
+
+  return { name: 'mock', model: model || 'mock', complete };
+}
+
+module.exports = { createMockProvider };
@@ -0,0 +1,54 @@
+const fetch = require('node-fetch');
+
+// Provider for any server speaking the OpenAI chat completions API
+// (OpenAI itself, OpenRouter, Ollama, llama.cpp, vLLM, ...). API errors carry
+// the HTTP `status` and, when the server sends Retry-After, `retryAfterMs`.
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  const ms = Number.isNaN(seconds) ? Date.parse(value) - Date.now() : seconds * 1000;
+  return Number.isNaN(ms) ? null : Math.max(ms, 0);
+}
+
+function createOpenAICompatibleProvider({ name = 'openai-compatible', baseUrl, apiKey, model, headers = {} }) {
+  if (!baseUrl) {
+    throw new Error("Missing LLM_BASE_URL environment variable for the openai-compatible provider");
+  }
+
+  if (!model) {
+    throw new Error(`No model configured for the ${name} provider (set LLM_MODEL or pass model)`);
+  }
+
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  async function complete({ messages, signal }) {
+    const resp = await fetch(endpoint, {
+      method: "POST",
+      headers: {
+        ...(apiKey && { Authorization: `Bearer ${apiKey}` }),
+        "Content-Type": "application/json",
+        ...headers,
+      },
+      signal,
+      body: JSON.stringify({ model, messages }),
+    });
+
+    if (!resp.ok) {
+      const errorText = await resp.text();
+      console.error(`${name} API error ${resp.status}:`, errorText);
+      const error = new Error(`${name} API error ${resp.status}: ${errorText}`);
+      error.status = resp.status;
+      error.retryAfterMs = parseRetryAfter(resp.headers.get('retry-after'));
+      throw error;
+    }
+
+    const data = await resp.json();
+    return data?.choices?.[0]?.message?.content || "";
+  }
+
+  return { name, model, complete };
+}
+
+module.exports = { createOpenAICompatibleProvider };
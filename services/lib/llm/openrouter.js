@@ -0,0 +1,24 @@
+const { createOpenAICompatibleProvider } = require('./openai-compatible');
+
+const DEFAULT_MODEL = 'z-ai/glm-4.5-air:free';
+
+function createOpenRouterProvider({ model } = {}) {
+  const apiKey = process.env.OPENROUTER_API_KEY;
+
+  if (!apiKey) {
+    throw new Error("Missing OPENROUTER_API_KEY environment variable");
+  }
+
+  return createOpenAICompatibleProvider({
+    name: 'openrouter',
+    baseUrl: 'https://openrouter.ai/api/v1',
+    apiKey,
+    model: model || DEFAULT_MODEL,
+    headers: {
+      "HTTP-Referer": "https://staxchange.ai",
+      "X-Title": "StaxChange AI Converter",
+    },
+  });
+}
+
+module.exports = { createOpenRouterProvider, DEFAULT_MODEL };
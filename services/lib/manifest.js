@@ -0,0 +1,102 @@
+const { extractSignatures, extractSymbols } = require('./signatures');
+const { getSourcePaths } = require('./coverage');
+
+// Running record of how each source file was converted: where it ended up
+// and what it now exports. Later batches get it in their prompt so imports
+// between converted files line up.
+
+// Keep the manifest section of a prompt within a sensible share of the batch
+const MAX_PROMPT_CHARS = 20000;
+
+function createManifest() {
+  return { entries: [], byOriginalPath: new Map() };
+}
+
+function recordFiles(manifest, files) {
+  for (const file of files) {
+    const sources = getSourcePaths(file);
+    const originalPath = sources.length ? sources.join(', ') : file.path;
+    const { namespace, classes, functions } = file.isFallback
+      ? { namespace: null, classes: [], functions: [] }
+      : extractSymbols(file.content);
+
+    const entry = {
+      originalPath,
+      path: file.path,
+      namespace,
+      classes,
+      functions,
+      signatures: file.isFallback ? [] : extractSignatures(file.content),
+      ...(file.isFallback && { fallback: true })
+    };
+
+    manifest.entries.push(entry);
+    for (const source of sources.length ? sources : [file.path]) {
+      if (!manifest.byOriginalPath.has(source)) {
+        manifest.byOriginalPath.set(source, []);
+      }
+      manifest.byOriginalPath.get(source).push(entry);
+    }
+  }
+}
+
+function hasFile(manifest, originalPath) {
+  return manifest.byOriginalPath.has(originalPath);
+}
+
+// Full signatures of the given source files' converted counterparts
+function formatDependencyContext(manifest, originalPaths) {
+  return originalPaths
+    .flatMap(p => manifest.byOriginalPath.get(p) || [])
+    .filter(entry => !entry.fallback)
+    .map(entry => `--- ${entry.originalPath} → ${entry.path} ---\n${entry.signatures.join('\n')}`)
+    .join('\n\n');
+}
+
+function formatEntry(entry) {
+  const details = [];
+  if (entry.namespace) details.push(`namespace ${entry.namespace}`);
+  if (entry.classes.length) details.push(`classes: ${entry.classes.join(', ')}`);
+  if (entry.functions.length) details.push(`functions: ${entry.functions.join(', ')}`);
+  if (entry.fallback) details.push('fallback stub, not converted');
+
+  return `${entry.originalPath} → ${entry.path}${details.length ? ` (${details.join('; ')})` : ''}`;
+}
+
+// One line per converted file, most relevant (the batch's dependencies) first
+function formatManifest(manifest, { prioritize = [] } = {}) {
+  const first = new Set(prioritize.flatMap(p => manifest.byOriginalPath.get(p) || []));
+  const entries = [
+    ...manifest.entries.filter(e => first.has(e)),
+    ...manifest.entries.filter(e => !first.has(e))
+  ];
+
+  const lines = [];
+  let size = 0;
+
+  for (const entry of entries) {
+    const line = formatEntry(entry);
+    if (size + line.length > MAX_PROMPT_CHARS) {
+      lines.push(`... ${entries.length - lines.length} more files omitted`);
+      break;
+    }
+    lines.push(line);
+    size += line.length + 1;
+  }
+
+  return lines.join('\n');
+}
+
+// Manifest as returned in the conversion summary
+function summarizeManifest(manifest) {
+  return manifest.entries.map(({ signatures, ...entry }) => entry);
+}
+
+module.exports = {
+  createManifest,
+  recordFiles,
+  hasFile,
+  formatDependencyContext,
+  formatManifest,
+  summarizeManifest
+};
@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+
+// OAuth `state` for the GitHub login: the return_to URL, a nonce and an
+// expiry, signed with HMAC-SHA256. The nonce is also set as a short-lived
+// cookie on the browser that started the login, so a callback only succeeds
+// in that browser, within the expiry and at most once.
+
+const NONCE_COOKIE = 'staxchange_oauth_nonce';
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+// Nonces of states already redeemed, until they expire
+const usedNonces = new Map();
+
+const secret = process.env.OAUTH_STATE_SECRET || process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+
+function sign(payload) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+// Returns { state, nonce }; the nonce goes into the login cookie
+function createState(returnTo) {
+  const nonce = crypto.randomBytes(16).toString('base64url');
+  const payload = Buffer.from(JSON.stringify({
+    return_to: returnTo,
+    nonce,
+    exp: Date.now() + STATE_TTL_MS
+  })).toString('base64url');
+
+  return { state: `${payload}.${sign(payload)}`, nonce };
+}
+
+function invalidState(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// Checks the signature, expiry and nonce of a state and returns its payload.
+// Throws an error with status 400 when the state cannot be trusted.
+function verifyState(state, nonce) {
+  const [payload, signature] = (state || '').split('.');
+  if (!payload || !signature) {
+    throw invalidState('Missing or malformed OAuth state');
+  }
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw invalidState('Invalid OAuth state signature');
+  }
+
+  const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+
+  if (data.exp <= Date.now()) {
+    throw invalidState('OAuth state expired, please log in again');
+  }
+  if (!nonce || nonce !== data.nonce) {
+    throw invalidState('OAuth state was not issued to this browser');
+  }
+  if (usedNonces.has(data.nonce)) {
+    throw invalidState('OAuth state was already used');
+  }
+
+  usedNonces.set(data.nonce, data.exp);
+  setTimeout(() => usedNonces.delete(data.nonce), data.exp - Date.now()).unref();
+
+  return data;
+}
+
+module.exports = {
+  NONCE_COOKIE,
+  STATE_TTL_MS,
+  createState,
+  verifyState
+};
@@ -0,0 +1,49 @@
+// Frontend origins the server trusts: allowed for CORS and as the return_to
+// target after GitHub login. Extend with FRONTEND_URL and ALLOWED_ORIGINS
+// (comma-separated).
+
+const DEFAULT_ORIGINS = [
+  'http://localhost:3000',
+  'http://localhost:3001',
+  'http://localhost:5173',
+  'http://localhost:8080',
+  'http://127.0.0.1:3000',
+  'http://127.0.0.1:5173'
+];
+
+function toOrigin(value) {
+  try {
+    return new URL(value).origin;
+  } catch (error) {
+    return null;
+  }
+}
+
+function getAllowedOrigins() {
+  const configured = [process.env.FRONTEND_URL, ...(process.env.ALLOWED_ORIGINS || '').split(',')]
+    .map(value => value && toOrigin(value.trim()))
+    .filter(Boolean);
+
+  return [...new Set([...DEFAULT_ORIGINS, ...configured])];
+}
+
+function isAllowedOrigin(origin) {
+  return getAllowedOrigins().includes(origin);
+}
+
+// A return_to is either a path on this server or a URL on an allowed origin.
+// "//host" and "/\host" are protocol-relative URLs to another host.
+function isAllowedReturnTo(returnTo) {
+  if (typeof returnTo !== 'string' || !returnTo) return false;
+  if (returnTo.startsWith('/')) {
+    return !returnTo.startsWith('//') && !returnTo.startsWith('/\\');
+  }
+  const origin = toOrigin(returnTo);
+  return !!origin && isAllowedOrigin(origin);
+}
+
+module.exports = {
+  getAllowedOrigins,
+  isAllowedOrigin,
+  isAllowedReturnTo
+};
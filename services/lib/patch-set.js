@@ -0,0 +1,40 @@
+const { getSourcePaths } = require('./coverage');
+const { proposeTargetPath } = require('./target-paths');
+
+// Incremental conversions only convert the sources that changed between two
+// commits. The result is a patch set for the earlier conversion's output:
+// the newly converted files plus the output paths to delete.
+
+// Output paths left without a source. With the files of the earlier
+// conversion these are its outputs whose sources were all removed, renamed
+// or converted again, and that were not produced again; without them, the
+// proposed target path of every removed or renamed source.
+function getDeletions(changes, converted, { previousFiles, target }) {
+  const produced = new Set(converted.map(f => f.path));
+  const gone = [...changes.removed, ...changes.renamed.map(r => r.from)];
+  let paths;
+
+  if (previousFiles) {
+    const replaced = new Set([...gone, ...changes.modified]);
+    paths = previousFiles
+      .filter(f => {
+        const sources = getSourcePaths(f);
+        return sources.length > 0 && sources.every(source => replaced.has(source));
+      })
+      .map(f => f.path);
+  } else {
+    paths = gone.map(source => proposeTargetPath(source, target));
+  }
+
+  return Array.from(new Set(paths)).filter(p => !produced.has(p)).sort();
+}
+
+// Sources to convert: everything added, modified or renamed
+function getChangedPaths(changes) {
+  return new Set([...changes.added, ...changes.modified, ...changes.renamed.map(r => r.to)]);
+}
+
+module.exports = {
+  getDeletions,
+  getChangedPaths
+};
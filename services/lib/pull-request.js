@@ -0,0 +1,101 @@
+// Commit and pull request text for exported conversions
+
+// Keeps the description well under GitHub's 65536 character limit
+const MAX_LISTED_FILES = 100;
+
+function formatTarget(target) {
+  if (!target) return 'the target stack';
+  return [target.language, target.framework, target.database].filter(Boolean).join(' / ');
+}
+
+function listFiles(lines, paths) {
+  paths.slice(0, MAX_LISTED_FILES).forEach(path => lines.push(`- \`${path}\``));
+  if (paths.length > MAX_LISTED_FILES) {
+    lines.push(`- ...and ${paths.length - MAX_LISTED_FILES} more`);
+  }
+  lines.push('');
+}
+
+// "base..head" of an incremental conversion
+function formatRange(incremental) {
+  return `${incremental.base.slice(0, 7)}..${incremental.head.slice(0, 7)}`;
+}
+
+function getPullRequestTitle(summary) {
+  if (summary?.incremental) {
+    return `Sync ${formatTarget(summary.target)} conversion with ${formatRange(summary.incremental)} (StaxChange)`;
+  }
+  return `Migrate to ${formatTarget(summary?.target)} (StaxChange)`;
+}
+
+function getCommitMessage(summary) {
+  if (summary?.incremental) {
+    return `Convert source changes ${formatRange(summary.incremental)}\n\nGenerated by StaxChange.`;
+  }
+  const subject = summary?.target ? `Convert to ${formatTarget(summary.target)}` : 'Add converted files';
+  const from = summary?.sourceStack ? ` from ${summary.sourceStack}` : '';
+  return `${subject}\n\nGenerated by StaxChange${from}.`;
+}
+
+// Markdown description: what was converted, coverage and validation results,
+// and every file that needs manual attention or is deleted
+function formatPullRequestBody({ summary, warnings, files, deletions = [] }) {
+  const lines = [
+    `This pull request was generated by StaxChange and migrates the code to **${formatTarget(summary?.target)}**.`,
+    ''
+  ];
+
+  if (summary) {
+    lines.push('## Summary', '');
+    lines.push(`- Source stack: ${summary.sourceStack || 'unknown'}`);
+    if (summary.incremental) {
+      const i = summary.incremental;
+      lines.push(`- Source changes ${formatRange(i)}: ${i.added.length} added, ${i.modified.length} modified, ${i.renamed.length} renamed, ${i.removed.length} removed`);
+    }
+    lines.push(`- Original files: ${summary.totalOriginalFiles}`);
+    lines.push(`- Converted files: ${summary.totalConvertedFiles} (${summary.successfullyConverted} converted, ${summary.fallbackFiles} fallback stubs)`);
+    if (summary.provider) {
+      lines.push(`- Model: ${summary.provider}/${summary.model}`);
+    }
+    if (summary.coverage) {
+      const c = summary.coverage;
+      lines.push(`- Coverage: ${c.converted} converted, ${c.merged} merged, ${c.partial} partial, ${c.fallback} fallback, ${c.dropped} dropped`);
+    }
+    if (summary.validation) {
+      const v = summary.validation;
+      lines.push(`- Syntax check: ${v.valid} valid, ${v.invalid} invalid, ${v.repaired} repaired`);
+    }
+    lines.push('');
+  }
+
+  const fallbackFiles = (files || []).filter(f => f.isFallback).map(f => f.path);
+  if (fallbackFiles.length > 0) {
+    lines.push('## Fallback files', '', 'These files could not be converted and contain stubs that need manual work:', '');
+    listFiles(lines, fallbackFiles);
+  }
+
+  const invalidFiles = warnings?.invalidFiles || [];
+  if (invalidFiles.length > 0) {
+    lines.push('## Files that failed the syntax check', '');
+    listFiles(lines, invalidFiles);
+  }
+
+  const droppedFiles = warnings?.droppedFiles || [];
+  if (droppedFiles.length > 0) {
+    lines.push('## Source files missing from the output', '');
+    listFiles(lines, droppedFiles);
+  }
+
+  if (deletions.length > 0) {
+    lines.push('## Deleted files', '', 'These converted files no longer have a source file:', '');
+    listFiles(lines, deletions);
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  getCommitMessage,
+  getPullRequestTitle,
+  formatPullRequestBody
+};
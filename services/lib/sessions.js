@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Server-side login sessions. The browser only holds a random session id in
+// an HttpOnly cookie; the GitHub token stays on the server, encrypted with
+// AES-256-GCM under SESSION_SECRET. Sessions are keyed by a hash of their id
+// and persisted to SESSION_STORE_PATH, so neither a copy of the store nor the
+// logs are enough to act as a user.
+
+const COOKIE_NAME = 'staxchange_session';
+const SESSION_TTL_MS = (parseInt(process.env.SESSION_TTL_DAYS, 10) || 7) * 24 * 60 * 60 * 1000;
+const STORE_PATH = process.env.SESSION_STORE_PATH || path.join(__dirname, '..', '.data', 'sessions.json');
+
+const sessions = new Map();
+
+function getKey() {
+  if (!process.env.SESSION_SECRET) {
+    // Sessions still work, but cannot be decrypted after a restart
+    console.warn('SESSION_SECRET is not set; sessions will not survive a server restart');
+    return crypto.randomBytes(32);
+  }
+  return crypto.createHash('sha256').update(process.env.SESSION_SECRET).digest();
+}
+
+const key = getKey();
+
+function encrypt(text) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map(b => b.toString('base64')).join('.');
+}
+
+function decrypt(payload) {
+  const [iv, tag, data] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+}
+
+function hashId(id) {
+  return crypto.createHash('sha256').update(id).digest('hex');
+}
+
+function loadStore() {
+  try {
+    const stored = JSON.parse(fs.readFileSync(STORE_PATH, 'utf8'));
+    const now = Date.now();
+    for (const [hash, session] of Object.entries(stored)) {
+      if (session.expires_at > now) {
+        sessions.set(hash, session);
+      }
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Could not read session store:', error.message);
+    }
+  }
+}
+
+function saveStore() {
+  try {
+    fs.mkdirSync(path.dirname(STORE_PATH), { recursive: true });
+    fs.writeFileSync(STORE_PATH, JSON.stringify(Object.fromEntries(sessions)), { mode: 0o600 });
+  } catch (error) {
+    console.error('Could not write session store:', error.message);
+  }
+}
+
+// Returns the new session id for the cookie
+function createSession(token, user) {
+  const id = crypto.randomBytes(32).toString('base64url');
+  const now = Date.now();
+
+  sessions.set(hashId(id), {
+    token: encrypt(token),
+    user: { login: user.login, avatar_url: user.avatar_url || null },
+    created_at: now,
+    expires_at: now + SESSION_TTL_MS
+  });
+  saveStore();
+
+  return id;
+}
+
+// The session with its decrypted token, or null when it is unknown, expired
+// or was encrypted under another secret
+function getSession(id) {
+  if (!id) return null;
+
+  const hash = hashId(id);
+  const session = sessions.get(hash);
+  if (!session) return null;
+
+  if (session.expires_at <= Date.now()) {
+    destroySession(id);
+    return null;
+  }
+
+  try {
+    return { user: session.user, token: decrypt(session.token), expires_at: session.expires_at };
+  } catch (error) {
+    destroySession(id);
+    return null;
+  }
+}
+
+function destroySession(id) {
+  if (sessions.delete(hashId(id))) {
+    saveStore();
+  }
+}
+
+// Cookies whose value is not valid percent-encoding are left out
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of (header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      try {
+        cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+      } catch (error) {
+        continue;
+      }
+    }
+  }
+  return cookies;
+}
+
+function getSessionId(req) {
+  return parseCookies(req.headers.cookie)[COOKIE_NAME] || null;
+}
+
+// SameSite=None is needed when the frontend is served from another site
+function getCookieOptions(req) {
+  const sameSite = process.env.SESSION_COOKIE_SAMESITE || 'Lax';
+  const secure = req.secure || sameSite.toLowerCase() === 'none' || process.env.NODE_ENV === 'production';
+  return `Path=/; HttpOnly; SameSite=${sameSite}${secure ? '; Secure' : ''}`;
+}
+
+function setSessionCookie(req, res, id) {
+  res.append('Set-Cookie', `${COOKIE_NAME}=${id}; Max-Age=${Math.floor(SESSION_TTL_MS / 1000)}; ${getCookieOptions(req)}`);
+}
+
+function clearSessionCookie(req, res) {
+  res.append('Set-Cookie', `${COOKIE_NAME}=; Max-Age=0; ${getCookieOptions(req)}`);
+}
+
+// Resolves the caller's session: `req.session` and `req.githubToken` are set
+// when signed in
+function loadSession(req, res, next) {
+  const session = getSession(getSessionId(req));
+  req.session = session;
+  req.githubToken = session?.token || null;
+  next();
+}
+
+function requireSession(req, res, next) {
+  if (!req.githubToken) {
+    return res.status(401).json({
+      error: "Not signed in to GitHub",
+      timestamp: new Date().toISOString()
+    });
+  }
+  next();
+}
+
+loadStore();
+
+module.exports = {
+  parseCookies,
+  getCookieOptions,
+  createSession,
+  getSession,
+  destroySession,
+  getSessionId,
+  setSessionCookie,
+  clearSessionCookie,
+  loadSession,
+  requireSession
+};
@@ -0,0 +1,58 @@
+// Pulls the public shape of a converted file (namespaces, types and function
+// signatures) so later batches can reference it without the full source.
+
+const SIGNATURE_PATTERNS = [
+  /^\s*(?:namespace|package|module)\s+[\w.\\]+/,
+  /^\s*(?:export\s+)?(?:default\s+)?(?:public\s+|internal\s+|private\s+|protected\s+)?(?:static\s+|sealed\s+|abstract\s+|final\s+|partial\s+|data\s+)*(?:class|interface|enum|type|struct|record|trait|object)\s+\w+/,
+  /^\s*(?:export\s+)?(?:default\s+)?(?:async\s+)?function\s*\*?\s*\w+\s*[(<]/,
+  /^\s*(?:export\s+)?(?:const|let)\s+\w+\s*(?::[^=]+)?=\s*(?:async\s*)?(?:\([^)]*\)|\w+)\s*=>/,
+  /^\s*(?:async\s+)?def\s+\w+\s*\(/,
+  /^\s*func\s+(?:\([^)]*\)\s*)?\w+\s*\(/,
+  /^\s*(?:public|protected|internal)\s+(?:static\s+|virtual\s+|override\s+|abstract\s+|async\s+|final\s+|synchronized\s+)*[\w<>[\],.?\s]+\s+\w+\s*\([^;]*$/,
+  /^\s*(?:pub\s+)?fn\s+\w+/
+];
+
+function extractSignatures(content, maxLines = 40) {
+  const signatures = [];
+  const seen = new Set();
+
+  for (const line of content.split('\n')) {
+    if (!SIGNATURE_PATTERNS.some(pattern => pattern.test(line))) continue;
+
+    // Drop bodies and trailing braces, keep the declaration itself
+    const signature = line.replace(/\s*(\{.*|=>.*|:\s*$)$/, '').trimEnd();
+    if (!signature.trim() || seen.has(signature)) continue;
+
+    seen.add(signature);
+    signatures.push(signature);
+
+    if (signatures.length >= maxLines) break;
+  }
+
+  return signatures;
+}
+
+const NAMESPACE_PATTERN = /^\s*(?:namespace|package)\s+([\w.\\]+)/m;
+const CLASS_PATTERN = /^\s*(?:export\s+)?(?:default\s+)?(?:public\s+|internal\s+)?(?:static\s+|sealed\s+|abstract\s+|final\s+|partial\s+|data\s+)*(?:class|interface|enum|struct|record|trait|type)\s+(\w+)/gm;
+const FUNCTION_PATTERNS = [
+  /^(?:export\s+)?(?:default\s+)?(?:async\s+)?function\s*\*?\s*(\w+)/gm,
+  /^export\s+(?:const|let)\s+(\w+)\s*(?::[^=]+)?=\s*(?:async\s*)?(?:\([^)]*\)|\w+)\s*=>/gm,
+  /^(?:async\s+)?def\s+([A-Za-z]\w*)\s*\(/gm,
+  /^func\s+(?:\([^)]*\)\s*)?([A-Z]\w*)\s*\(/gm,
+  /^\s*public\s+(?:static\s+|virtual\s+|override\s+|abstract\s+|async\s+|final\s+|synchronized\s+)*[\w<>[\],.?]+\s+(\w+)\s*\(/gm,
+  /^pub\s+fn\s+(\w+)/gm
+];
+
+// Namespace plus exported classes and functions of a converted file
+function extractSymbols(content) {
+  const unique = (names) => Array.from(new Set(names));
+  const namespace = content.match(NAMESPACE_PATTERN)?.[1] || null;
+  const classes = unique(Array.from(content.matchAll(CLASS_PATTERN), m => m[1]));
+  const functions = unique(FUNCTION_PATTERNS.flatMap(pattern =>
+    Array.from(content.matchAll(pattern), m => m[1])))
+    .filter(name => !classes.includes(name));
+
+  return { namespace, classes, functions };
+}
+
+module.exports = { extractSignatures, extractSymbols };
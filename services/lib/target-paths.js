@@ -0,0 +1,48 @@
+const path = require('path').posix;
+const { LANGUAGES } = require('./analysis');
+
+// Where a source file is expected to land in the target stack. The model
+// picks the final path; this is the default used for fallback stubs and
+// conversion plans.
+
+// Source files in these languages are rewritten; everything else (config,
+// docs, SQL, scripts) keeps its path
+const NON_PROGRAM_LANGUAGES = ['SQL', 'Shell'];
+
+function getTargetExtension(language) {
+  switch (language.toLowerCase()) {
+    case 'python':
+      return '.py';
+    case 'javascript':
+    case 'node.js':
+      return '.js';
+    case 'typescript':
+      return '.ts';
+    case 'java':
+      return '.java';
+    case 'c#':
+    case 'csharp':
+      return '.cs';
+    case 'go':
+      return '.go';
+    default:
+      return '.txt';
+  }
+}
+
+function proposeTargetPath(filePath, target) {
+  const ext = path.extname(filePath);
+  const language = LANGUAGES[ext.toLowerCase()];
+  const targetExt = getTargetExtension(target.language);
+
+  if (!language || NON_PROGRAM_LANGUAGES.includes(language) || targetExt === '.txt') {
+    return filePath;
+  }
+
+  return filePath.slice(0, -ext.length) + targetExt;
+}
+
+module.exports = {
+  getTargetExtension,
+  proposeTargetPath
+};
@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+const { extractArchive, stripCommonRoot } = require('./archive');
+
+// Uploaded codebases (ZIP or tar.gz), extracted once and kept in memory so
+// they can be analyzed and converted like a GitHub branch. Uploads expire an
+// hour after they were made, and only the user who made one can use it.
+const uploads = new Map();
+
+const UPLOAD_TTL_MS = 60 * 60 * 1000;
+
+// Uploads stay in memory, so what one may expand to is capped
+const UPLOAD_LIMITS = {
+  maxBytes: (parseInt(process.env.UPLOAD_MAX_EXTRACTED_MB, 10) || 300) * 1024 * 1024,
+  maxEntries: parseInt(process.env.UPLOAD_MAX_FILES, 10) || 20000
+};
+
+async function createUpload(name, buffer, { userLogin = null } = {}) {
+  let entries;
+  try {
+    entries = stripCommonRoot(await extractArchive(buffer, UPLOAD_LIMITS));
+  } catch (error) {
+    if (error.status) throw error;
+    const invalid = new Error(`Could not read archive: ${error.message}`);
+    invalid.status = 400;
+    throw invalid;
+  }
+
+  if (entries.length === 0) {
+    const empty = new Error('Archive contains no files (expected a .zip, .tar or .tar.gz)');
+    empty.status = 400;
+    throw empty;
+  }
+
+  const upload = {
+    id: crypto.randomUUID(),
+    name,
+    size: buffer.length,
+    entries,
+    userLogin,
+    created_at: new Date().toISOString()
+  };
+
+  uploads.set(upload.id, upload);
+  setTimeout(() => uploads.delete(upload.id), UPLOAD_TTL_MS).unref();
+
+  return upload;
+}
+
+function getUpload(id) {
+  return uploads.get(id) || null;
+}
+
+// An upload `login` made, or null
+function getUserUpload(id, login) {
+  const upload = getUpload(id);
+  return upload && upload.userLogin === login ? upload : null;
+}
+
+module.exports = {
+  createUpload,
+  getUpload,
+  getUserUpload
+};
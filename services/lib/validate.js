@@ -0,0 +1,144 @@
+const { spawn } = require('child_process');
+const path = require('path').posix;
+const ts = require('typescript');
+const YAML = require('yaml');
+
+// Syntax checks for generated files, using parsers that run locally.
+// Files in languages without a local parser are reported as skipped.
+
+const PYTHON_TIMEOUT_MS = 30000;
+
+const PYTHON_CHECKER = `
+import ast, json, sys
+results = []
+for f in json.load(sys.stdin):
+    try:
+        ast.parse(f["content"], filename=f["path"])
+        results.append({"path": f["path"], "errors": []})
+    except SyntaxError as e:
+        results.append({"path": f["path"], "errors": [{"line": e.lineno, "column": e.offset, "message": e.msg}]})
+json.dump(results, sys.stdout)
+`;
+
+function getValidator(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+
+  if (['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs', '.mts', '.cts'].includes(ext)) return 'typescript';
+  if (ext === '.json') return 'json';
+  if (ext === '.yml' || ext === '.yaml') return 'yaml';
+  if (ext === '.py') return 'python';
+  return null;
+}
+
+function checkTypeScript(file) {
+  const { diagnostics } = ts.transpileModule(file.content, {
+    fileName: file.path,
+    reportDiagnostics: true,
+    compilerOptions: { jsx: ts.JsxEmit.Preserve, allowJs: true }
+  });
+
+  return (diagnostics || []).map(d => {
+    const position = d.file && d.start !== undefined
+      ? d.file.getLineAndCharacterOfPosition(d.start)
+      : null;
+
+    return {
+      line: position ? position.line + 1 : null,
+      column: position ? position.character + 1 : null,
+      message: ts.flattenDiagnosticMessageText(d.messageText, '\n')
+    };
+  });
+}
+
+function checkJson(file) {
+  try {
+    JSON.parse(file.content);
+    return [];
+  } catch (error) {
+    return [{ line: null, column: null, message: error.message }];
+  }
+}
+
+function checkYaml(file) {
+  const documents = YAML.parseAllDocuments(file.content);
+
+  return documents.flatMap(doc => doc.errors.map(error => ({
+    line: error.linePos?.[0]?.line || null,
+    column: error.linePos?.[0]?.col || null,
+    message: error.message.split('\n')[0].replace(/ at line \d+, column \d+:?$/, '')
+  })));
+}
+
+// Checks all Python files in one interpreter run. Resolves to null when no
+// interpreter is available.
+function checkPython(files) {
+  return new Promise((resolve) => {
+    const python = process.env.PYTHON_BIN || 'python3';
+    const child = spawn(python, ['-c', PYTHON_CHECKER], { timeout: PYTHON_TIMEOUT_MS });
+    let stdout = '';
+
+    child.stdout.on('data', (chunk) => { stdout += chunk; });
+    child.on('error', () => resolve(null));
+    child.on('close', (code) => {
+      try {
+        resolve(code === 0 ? JSON.parse(stdout) : null);
+      } catch (e) {
+        resolve(null);
+      }
+    });
+
+    child.stdin.on('error', () => {});
+    child.stdin.end(JSON.stringify(files.map(f => ({ path: f.path, content: f.content }))));
+  });
+}
+
+function toResult(file, language, errors) {
+  return {
+    path: file.path,
+    language,
+    status: errors.length ? 'invalid' : 'valid',
+    errors
+  };
+}
+
+// Returns one result per file: { path, language, status, errors }, where
+// status is valid, invalid or skipped
+async function validateFiles(files) {
+  const results = new Map();
+  const pythonFiles = [];
+
+  for (const file of files) {
+    const language = getValidator(file.path);
+
+    switch (language) {
+      case 'typescript':
+        results.set(file, toResult(file, language, checkTypeScript(file)));
+        break;
+      case 'json':
+        results.set(file, toResult(file, language, checkJson(file)));
+        break;
+      case 'yaml':
+        results.set(file, toResult(file, language, checkYaml(file)));
+        break;
+      case 'python':
+        pythonFiles.push(file);
+        break;
+      default:
+        results.set(file, { path: file.path, language: null, status: 'skipped', errors: [] });
+    }
+  }
+
+  if (pythonFiles.length > 0) {
+    const pythonResults = await checkPython(pythonFiles);
+
+    pythonFiles.forEach((file, i) => {
+      results.set(file, pythonResults
+        ? toResult(file, 'python', pythonResults[i].errors)
+        : { path: file.path, language: 'python', status: 'skipped', errors: [], reason: 'Python interpreter not available' });
+    });
+  }
+
+  return files.map(file => results.get(file));
+}
+
+module.exports = { validateFiles };
@@ -0,0 +1,45 @@
+const JSZip = require('jszip');
+
+// ZIP archive of converted files, as a Buffer
+async function createZip(files) {
+  const zip = new JSZip();
+
+  // Add files to ZIP
+  for (const f of files) {
+    if (!f || typeof f !== 'object') {
+      console.warn('Skipping invalid file object:', f);
+      continue;
+    }
+
+    const path = (f.path || "file.txt").replace(/^\/+/, "");
+    const content = f.content || "";
+    
+    // Create directory structure if needed
+    if (path.includes('/')) {
+      const dirs = path.split('/');
+      dirs.pop(); // Remove filename
+      let currentDir = zip;
+      
+      for (const dir of dirs) {
+        if (dir) {
+          currentDir = currentDir.folder(dir);
+        }
+      }
+    }
+    
+    zip.file(path, content);
+  }
+
+  // Generate ZIP as buffer
+  return zip.generateAsync({ 
+    type: "nodebuffer",
+    compression: "DEFLATE",
+    compressionOptions: {
+      level: 6
+    }
+  });
+}
+
+module.exports = {
+  createZip
+};
@@ -0,0 +1,60 @@
+const express = require('express');
+const { getSourceError, getSourceName, loadSource } = require('../lib/ingest');
+const { analyzeRepository } = require('../lib/analysis');
+const { getUserUpload } = require('../lib/uploads');
+const { describeProvider } = require('../lib/llm');
+const router = express.Router();
+
+// Analyze a repository before converting it: detected source stack, file
+// counts and sizes per category, and the expected batches and token cost
+router.post('/', async (req, res) => {
+  try {
+    const { owner, repo, branch, uploadId, provider: providerName, model, rootPath, include, exclude } = req.body;
+
+    const token = req.githubToken;
+    const sourceError = getSourceError({ ...req.body, token });
+    if (sourceError) {
+      return res.status(sourceError.status).json({ error: sourceError.message });
+    }
+
+    if (uploadId && !getUserUpload(uploadId, req.session.user.login)) {
+      return res.status(404).json({ error: `Upload ${uploadId} not found or expired` });
+    }
+
+    // Only the model name is needed here, so analysis works without the
+    // provider's API key
+    let provider;
+    try {
+      provider = describeProvider({ provider: providerName, model });
+    } catch (providerError) {
+      return res.status(400).json({ error: providerError.message });
+    }
+
+    const { files, skipped, stats } = await loadSource({ token, owner, repo, branch, uploadId }, { rootPath, include, exclude });
+    const analysis = analyzeRepository(files, { model: provider.model });
+    const sourceName = getSourceName(req.body);
+
+    console.log(`Analyzed ${sourceName}${branch ? `:${branch}` : ''}${stats.rootPath ? `/${stats.rootPath}` : ''}: ${analysis.sourceStack.summary}, ${files.length} files, ~${analysis.estimate.batches} batches`);
+
+    res.json({
+      repo: sourceName,
+      branch: branch || null,
+      rootPath: stats.rootPath,
+      commit: stats.commit,
+      ingestion: stats,
+      skippedFiles: skipped,
+      provider: provider.name,
+      model: provider.model,
+      ...analysis
+    });
+
+  } catch (error) {
+    console.error('Analysis error:', error);
+    res.status(error.status || 500).json({ 
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
@@ -1,5 +1,9 @@
 const express = require('express');
 const fetch = require('node-fetch');
+const { gh, ghFetch } = require('../lib/github');
+const { parseCookies, getCookieOptions, createSession, destroySession, getSessionId, setSessionCookie, clearSessionCookie } = require('../lib/sessions');
+const { NONCE_COOKIE, STATE_TTL_MS, createState, verifyState } = require('../lib/oauth-state');
+const { isAllowedReturnTo } = require('../lib/origins');
 const router = express.Router();
 
 // GitHub OAuth start
@@ -11,10 +15,15 @@ router.get('/github', (req, res) => {
       return res.status(500).json({ error: "Missing GITHUB_CLIENT_ID environment variable" });
     }
 
-    const returnTo = req.query.return_to || '';
+    const returnTo = req.query.return_to || process.env.FRONTEND_URL || '/';
+    if (!isAllowedReturnTo(returnTo)) {
+      return res.status(400).json({ error: "return_to is not an allowed origin" });
+    }
+
     const redirectUri = `${req.protocol}://${req.get('host')}/api/auth/github/callback`;
     
-    const state = Buffer.from(JSON.stringify({ return_to: returnTo })).toString('base64');
+    const { state, nonce } = createState(returnTo);
+    res.append('Set-Cookie', `${NONCE_COOKIE}=${nonce}; Max-Age=${STATE_TTL_MS / 1000}; ${getCookieOptions(req)}`);
     
     const ghUrl = new URL("https://github.com/login/oauth/authorize");
     ghUrl.searchParams.set("client_id", clientId);
@@ -44,7 +53,14 @@ router.get('/github/callback', async (req, res) => {
       return res.status(400).json({ error: "Missing authorization code" });
     }
 
-    const state = JSON.parse(Buffer.from(stateRaw || "e30=", 'base64').toString());
+    // Also rejects a state from another browser (login CSRF)
+    const state = verifyState(stateRaw, parseCookies(req.headers.cookie)[NONCE_COOKIE]);
+    res.append('Set-Cookie', `${NONCE_COOKIE}=; Max-Age=0; ${getCookieOptions(req)}`);
+
+    // Checked again in case the allowlist changed since the login started
+    if (!isAllowedReturnTo(state.return_to)) {
+      return res.status(400).json({ error: "return_to is not an allowed origin" });
+    }
     
     const clientId = process.env.GITHUB_CLIENT_ID;
     const clientSecret = process.env.GITHUB_CLIENT_SECRET;
@@ -75,17 +91,64 @@ router.get('/github/callback', async (req, res) => {
       throw new Error(tokenJson.error_description || "Failed to exchange authorization code");
     }
 
-    const returnTo = state?.return_to || "/";
-    const redirect = `${returnTo}#github_token=${encodeURIComponent(tokenJson.access_token)}`;
+    // The token never leaves the server: the browser gets a session cookie
+    const user = await gh(tokenJson.access_token, "/user");
+    setSessionCookie(req, res, createSession(tokenJson.access_token, user));
+
+    const returnTo = state.return_to;
 
-    console.log('GitHub OAuth callback success:', { returnTo, redirect });
+    console.log('GitHub OAuth callback success:', { returnTo, user: user.login });
 
-    res.redirect(redirect);
+    res.redirect(returnTo);
     
   } catch (error) {
     console.error('GitHub OAuth callback error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
+// Current login, for the frontend to restore its state after a reload
+router.get('/session', (req, res) => {
+  if (!req.session) {
+    return res.json({ authenticated: false });
+  }
+
+  res.json({
+    authenticated: true,
+    user: req.session.user,
+    expires_at: new Date(req.session.expires_at).toISOString()
+  });
+});
+
+// Ends the session and revokes the GitHub token it holds
+router.post('/logout', async (req, res) => {
+  try {
+    const clientId = process.env.GITHUB_CLIENT_ID;
+    const clientSecret = process.env.GITHUB_CLIENT_SECRET;
+
+    if (req.githubToken && clientId && clientSecret) {
+      const resp = await ghFetch(req.githubToken, `/applications/${clientId}/token`, {
+        method: "DELETE",
+        headers: { Authorization: `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}` },
+        body: JSON.stringify({ access_token: req.githubToken })
+      });
+
+      // 404: the token was already revoked on GitHub
+      if (!resp.ok && resp.status !== 404) {
+        console.warn(`Could not revoke GitHub token: ${resp.status}`);
+      }
+    }
+  } catch (error) {
+    console.error('GitHub token revocation error:', error);
+  }
+
+  const id = getSessionId(req);
+  if (id) {
+    destroySession(id);
+  }
+  clearSessionCookie(req, res);
+
+  res.json({ authenticated: false });
+});
+
 module.exports = router;
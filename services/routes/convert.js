@@ -1,156 +1,76 @@
 const express = require('express');
-const fetch = require('node-fetch');
+const { createJob, startRun, getUserJob, updateJob, emitJobEvent, subscribe, cancelJob, restartJob, isTerminal, serializeJob } = require('../lib/jobs');
+const { getProvider } = require('../lib/llm');
+const { createBatches, getBatchDependencies, getStageName } = require('../lib/batching');
+const { validateFiles } = require('../lib/validate');
+const { getSourcePaths, findMissingSources, buildCoverage } = require('../lib/coverage');
+const { isLargeFile, splitIntoChunks } = require('../lib/chunking');
+const { extractSignatures } = require('../lib/signatures');
+const { createManifest, recordFiles, hasFile, formatDependencyContext, formatManifest, summarizeManifest } = require('../lib/manifest');
+const { getSourceError, getSourceName, loadSource, resolveCommit, resolveRef, compareCommits } = require('../lib/ingest');
+const { getUserUpload } = require('../lib/uploads');
+const { detectStack, estimateTokens } = require('../lib/analysis');
+const { getTargetExtension, proposeTargetPath } = require('../lib/target-paths');
+const { trackConversion, getConversion, loadArtifacts } = require('../lib/history');
+const { lookupConversions, storeConversions } = require('../lib/conversion-cache');
+const { getDeletions, getChangedPaths } = require('../lib/patch-set');
 const router = express.Router();
 
-const OPENROUTER_KEY = process.env.OPENROUTER_API_KEY;
-
-async function gh(token, path) {
-  const resp = await fetch(`https://api.github.com${path}`, {
-    headers: { 
-      Authorization: `Bearer ${token}`, 
-      Accept: "application/vnd.github+json",
-      'User-Agent': 'StaxChange-NodeJS-Server'
-    },
-  });
-  
-  if (!resp.ok) {
-    const errorText = await resp.text();
-    throw new Error(`GitHub API error ${resp.status}: ${errorText}`);
-  }
-  
-  return resp.json();
+// Marks answers the model gave that could not be used, as opposed to failed
+// API calls; only those are worth splitting a batch for
+function outputError(message) {
+  const error = new Error(message);
+  error.invalidOutput = true;
+  return error;
 }
 
-// Improved file detection - includes more file types
-function isRelevantFile(path) {
-  // Skip common ignored directories and files
-  const skipPatterns = [
-    /node_modules\//,
-    /\.git\//,
-    /\.DS_Store$/,
-    /\.log$/,
-    /\.cache\//,
-    /dist\//,
-    /build\//,
-    /coverage\//,
-    /\.nyc_output\//,
-    /\.vscode\//,
-    /\.idea\//
-  ];
-  
-  if (skipPatterns.some(pattern => pattern.test(path))) {
-    return false;
-  }
-
-  // Include code files, config files, documentation, etc.
-  const relevantExtensions = /\.(ts|tsx|js|jsx|py|cs|java|go|rs|php|rb|kt|scala|sql|sh|yml|yaml|json|html|css|scss|less|md|txt|env|gitignore|toml|xml|properties|conf|ini|dockerfile|makefile|gradle|maven|pom|package|lock|requirements|gemfile|cargo|composer)$/i;
-  
-  // Also include files without extensions that are commonly important
-  const importantFiles = /^(dockerfile|makefile|rakefile|gulpfile|gruntfile|webpack\.config|rollup\.config|vite\.config|tsconfig|jsconfig|babel\.config|eslint|prettier|package|requirements|gemfile|cargo|composer)$/i;
-  
-  const filename = path.split('/').pop() || '';
-  
-  return relevantExtensions.test(path) || importantFiles.test(filename);
-}
-
-// Get file priority for processing order
-function getFilePriority(path) {
-  const filename = path.toLowerCase();
-  
-  // High priority - core config files
-  if (filename.includes('package.json') || filename.includes('requirements.txt') || 
-      filename.includes('gemfile') || filename.includes('cargo.toml') ||
-      filename.includes('pom.xml') || filename.includes('composer.json')) {
-    return 1;
+// Parse the model's {"files": [...]} answer, tolerating text around the JSON
+function parseAiFiles(aiResponse, label) {
+  // Parse JSON response
+  let parsed;
+  try {
+    parsed = JSON.parse(aiResponse);
+  } catch (e) {
+    // Try to extract JSON from response
+    const jsonMatch = aiResponse.match(/\{[\s\S]*\}/);
+    if (jsonMatch) {
+      try {
+        parsed = JSON.parse(jsonMatch[0]);
+      } catch (e2) {
+        throw outputError(`Failed to parse AI response as JSON: ${e2.message}`);
+      }
+    } else {
+      throw outputError('AI response does not contain valid JSON');
+    }
   }
   
-  // Medium priority - main application files
-  if (filename.includes('main') || filename.includes('index') || 
-      filename.includes('app.') || filename.includes('server.')) {
-    return 2;
+  // Validate response structure
+  if (!parsed || !Array.isArray(parsed.files)) {
+    throw outputError('AI response missing files array');
   }
   
-  // Normal priority
-  return 3;
-}
-
-async function fetchFiles(token, owner, repo, branch) {
-  console.log(`Fetching files for ${owner}/${repo}:${branch}`);
-  
-  const branchInfo = await gh(token, `/repos/${owner}/${repo}/branches/${encodeURIComponent(branch)}`);
-  const sha = branchInfo?.commit?.sha;
-  
-  if (!sha) {
-    throw new Error(`Could not find SHA for branch ${branch}`);
-  }
-  
-  const tree = await gh(token, `/repos/${owner}/${repo}/git/trees/${sha}?recursive=1`);
-  const allFiles = (tree.tree || [])
-    .filter((n) => n.type === "blob" && isRelevantFile(n.path));
-  
-  // Sort by priority and then alphabetically
-  const sortedFiles = allFiles.sort((a, b) => {
-    const priorityA = getFilePriority(a.path);
-    const priorityB = getFilePriority(b.path);
-    
-    if (priorityA !== priorityB) {
-      return priorityA - priorityB;
+  // Validate and clean file entries
+  const validFiles = parsed.files.filter(file => {
+    if (!file || typeof file.path !== 'string' || typeof file.content !== 'string') {
+      console.warn(`${label}: Skipping invalid file entry:`, file?.path || 'unknown');
+      return false;
     }
-    
-    return a.path.localeCompare(b.path);
+    return true;
   });
   
-  // Increased limit but still reasonable
-  const filesToProcess = sortedFiles.slice(0, 200);
-  
-  console.log(`Found ${allFiles.length} relevant files, processing top ${filesToProcess.length}`);
-  
-  const results = [];
-  const batchSize = 10; // Increased batch size for efficiency
-  
-  for (let i = 0; i < filesToProcess.length; i += batchSize) {
-    const batch = filesToProcess.slice(i, i + batchSize);
-    const batchPromises = batch.map(async (f) => {
-      try {
-        const contentResp = await gh(token, `/repos/${owner}/${repo}/contents/${encodeURIComponent(f.path)}?ref=${encodeURIComponent(branch)}`);
-        const decoded = Buffer.from(contentResp.content, 'base64').toString('utf-8');
-        
-        // Skip very large files (>100KB) to avoid API issues
-        if (decoded.length > 100000) {
-          console.warn(`Skipping large file: ${f.path} (${decoded.length} chars)`);
-          return null;
-        }
-        
-        return { 
-          path: f.path, 
-          content: decoded,
-          size: decoded.length,
-          priority: getFilePriority(f.path)
-        };
-      } catch (error) {
-        console.error(`Error fetching ${f.path}:`, error.message);
-        return null;
-      }
-    });
-    
-    const batchResults = await Promise.all(batchPromises);
-    results.push(...batchResults.filter(Boolean));
-    
-    // Small delay between batches to respect rate limits
-    if (i + batchSize < filesToProcess.length) {
-      await new Promise(resolve => setTimeout(resolve, 100));
-    }
+  if (validFiles.length === 0) {
+    throw outputError(`${label}: No valid files in AI response`);
   }
-  
-  console.log(`Successfully fetched ${results.length} files`);
-  return results;
+
+  return validFiles;
 }
 
-async function convertBatch(batch, target, batchIndex) {
-  if (!OPENROUTER_KEY) {
-    throw new Error("Missing OPENROUTER_API_KEY environment variable");
-  }
+// Part of the conversion cache key: bump it whenever the prompts change in a
+// way that changes the output, so earlier results are not reused
+const PROMPT_VERSION = 1;
 
+// System and user messages for one batch; also used to size dry-run plans
+function buildBatchMessages(batch, target, batchIndex, { context, manifest, notes, instructions } = {}) {
   // Enhanced system prompt
   const sys = `You are a senior software engineer specializing in complete application migration and conversion.
 
@@ -170,6 +90,8 @@ CONVERSION REQUIREMENTS:
 6. Preserve ALL functionality and business logic
 7. Follow ${target.framework} patterns and best practices
 8. Include necessary configuration files for the target stack
+9. Every input file must appear as the originalPath of at least one output file
+10. If several input files are merged into one output file, set its originalPath to an array of all merged input paths
 
 IMPORTANT FILE TYPES TO HANDLE:
 - Source code files: Convert language syntax completely
@@ -197,86 +119,51 @@ Do not include any explanations, markdown, or text outside the JSON.`;
     `=== FILE ${index + 1}: ${file.path} (${file.size} chars, priority: ${file.priority}) ===\n${file.content}\n`
   ).join('\n\n');
 
+  const manifestSection = manifest
+    ? `CONVERSION MANIFEST - files converted in earlier batches (original → new path, namespace and exported symbols). Reference them by these new paths and names:
+
+${manifest}
+
+`
+    : '';
+
+  const contextSection = context
+    ? `ALREADY CONVERTED DEPENDENCIES - these files were migrated in earlier batches. Import them by their new paths and use these exact names and signatures:
+
+${context}
+
+`
+    : '';
+
   const userMessage = `BATCH ${batchIndex}: Convert these ${batch.length} files to ${target.language}/${target.framework}/${target.database}. 
 
-ENSURE COMPLETE CONVERSION - do not skip any files:
+${manifestSection}${contextSection}${notes ? `${notes}\n\n` : ''}${instructions ? `ADDITIONAL INSTRUCTIONS FROM THE USER:\n${instructions}\n\n` : ''}ENSURE COMPLETE CONVERSION - do not skip any files:
 
 ${fileContents}`;
 
-  console.log(`Converting batch ${batchIndex} of ${batch.length} files to ${target.language}/${target.framework}`);
+  return [
+    { role: "system", content: sys },
+    { role: "user", content: userMessage }
+  ];
+}
 
-  try {
-    const resp = await fetch("https://openrouter.ai/api/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${OPENROUTER_KEY}`,
-        "Content-Type": "application/json",
-        "HTTP-Referer": "https://staxchange.ai",
-        "X-Title": "StaxChange AI Converter",
-      },
-      body: JSON.stringify({
-        model: "z-ai/glm-4.5-air:free", // More capable model for complex conversions
-        messages: [
-          { role: "system", content: sys },
-          { role: "user", content: userMessage }
-        ],
-
-      }),
-    });
+async function convertBatch(batch, target, batchIndex, { provider, signal, context, manifest, notes, instructions }) {
+  const messages = buildBatchMessages(batch, target, batchIndex, { context, manifest, notes, instructions });
 
-    if (!resp.ok) {
-      const errorText = await resp.text();
-      console.error(`OpenRouter API error ${resp.status}:`, errorText);
-      throw new Error(`OpenRouter API error ${resp.status}: ${errorText}`);
-    }
+  console.log(`Converting batch ${batchIndex} of ${batch.length} files to ${target.language}/${target.framework} with ${provider.name}/${provider.model}`);
 
-    const data = await resp.json();
-    const aiResponse = data?.choices?.[0]?.message?.content || "";
+  try {
+    const aiResponse = await provider.complete({ messages, signal });
     
     console.log(`AI Response for batch ${batchIndex} - length: ${aiResponse.length}`);
     
-    // Parse JSON response
-    let parsed;
-    try {
-      parsed = JSON.parse(aiResponse);
-    } catch (e) {
-      // Try to extract JSON from response
-      const jsonMatch = aiResponse.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        try {
-          parsed = JSON.parse(jsonMatch[0]);
-        } catch (e2) {
-          throw new Error(`Failed to parse AI response as JSON: ${e2.message}`);
-        }
-      } else {
-        throw new Error('AI response does not contain valid JSON');
-      }
-    }
-    
-    // Validate response structure
-    if (!parsed || !Array.isArray(parsed.files)) {
-      throw new Error('AI response missing files array');
-    }
-    
-    // Validate and clean file entries
-    const validFiles = parsed.files.filter(file => {
-      if (!file || typeof file.path !== 'string' || typeof file.content !== 'string') {
-        console.warn(`Batch ${batchIndex}: Skipping invalid file entry:`, file?.path || 'unknown');
-        return false;
-      }
-      return true;
-    });
-    
-    if (validFiles.length === 0) {
-      throw new Error(`Batch ${batchIndex}: No valid files in AI response`);
-    }
+    const validFiles = parseAiFiles(aiResponse, `Batch ${batchIndex}`);
     
     // Check if we got files for all input files
-    const inputFileCount = batch.length;
-    const outputFileCount = validFiles.length;
+    const missing = findMissingSources(batch, validFiles);
     
-    if (outputFileCount < inputFileCount) {
-      console.warn(`Batch ${batchIndex}: Input files: ${inputFileCount}, Output files: ${outputFileCount} - some files may be missing`);
+    if (missing.length > 0) {
+      console.warn(`Batch ${batchIndex}: ${missing.length} of ${batch.length} input files missing from the output: ${missing.map(f => f.path).join(', ')}`);
     }
     
     console.log(`Batch ${batchIndex}: Successfully converted ${validFiles.length} files`);
@@ -293,32 +180,7 @@ function createFallbackFiles(batch, target) {
   console.log(`Creating fallback files for ${batch.length} files`);
   
   return batch.map(file => {
-    // Determine target file extension
-    let targetExt = '';
-    switch (target.language.toLowerCase()) {
-      case 'python':
-        targetExt = '.py';
-        break;
-      case 'javascript':
-      case 'node.js':
-        targetExt = '.js';
-        break;
-      case 'typescript':
-        targetExt = '.ts';
-        break;
-      case 'java':
-        targetExt = '.java';
-        break;
-      case 'c#':
-      case 'csharp':
-        targetExt = '.cs';
-        break;
-      case 'go':
-        targetExt = '.go';
-        break;
-      default:
-        targetExt = '.txt';
-    }
+    const targetExt = getTargetExtension(target.language);
     
     // Convert path
     const pathParts = file.path.split('.');
@@ -346,146 +208,914 @@ ${file.content.substring(0, 1000)}${file.content.length > 1000 ? '\n... (truncat
   });
 }
 
-// Convert repository endpoint
-router.post('/', async (req, res) => {
-  try {
-    const { token, owner, repo, branch, target } = req.body;
+// One repair attempt for a generated file that failed its syntax check
+async function repairFile(file, errors, target, { provider, signal }) {
+  // A merged file names all of its sources
+  const sources = [].concat(file.originalPath || file.path);
+  const format = JSON.stringify({
+    files: [{
+      path: file.path,
+      content: 'complete fixed file content',
+      originalPath: sources.length === 1 ? sources[0] : sources
+    }]
+  }, null, 2);
+
+  const sys = `You are a senior ${target.language} engineer. The file below was generated during a migration to ${target.language}/${target.framework} and fails to parse. Fix ONLY the syntax errors, keep everything else unchanged.
+
+OUTPUT FORMAT - Return ONLY this JSON structure:
+${format}
+
+Do not include any explanations, markdown, or text outside the JSON.`;
+
+  const errorList = errors
+    .map(e => `- ${e.line ? `line ${e.line}${e.column ? `:${e.column}` : ''}: ` : ''}${e.message}`)
+    .join('\n');
+
+  const userMessage = `SYNTAX ERRORS:
+${errorList}
+
+=== FILE 1: ${file.path} (${file.content.length} chars, ${errors.length} errors) ===
+${file.content}
+`;
+
+  const aiResponse = await provider.complete({
+    messages: [
+      { role: "system", content: sys },
+      { role: "user", content: userMessage }
+    ],
+    signal,
+  });
+
+  const [fixed] = parseAiFiles(aiResponse, `Repair ${file.path}`);
+  return { ...file, content: fixed.content };
+}
+
+// Syntax-check converted files in place. With `repair`, files that fail are
+// sent back to the model once and replaced if the fix parses.
+async function validateConversion(job, converted, { target, provider, signal, repair }) {
+  const candidates = converted.filter(f => !f.isFallback);
+  emitJobEvent(job, 'validation-started', { fileCount: candidates.length });
+
+  const results = await validateFiles(candidates);
+
+  if (repair) {
+    for (let i = 0; i < results.length; i++) {
+      if (results[i].status !== 'invalid' || signal.aborted) continue;
+
+      const original = candidates[i];
+      try {
+        const fixed = await repairFile(original, results[i].errors, target, { provider, signal });
+        const [recheck] = await validateFiles([fixed]);
+
+        if (recheck.status === 'valid') {
+          converted[converted.indexOf(original)] = fixed;
+          results[i] = { ...recheck, status: 'repaired', originalErrors: results[i].errors };
+        } else {
+          results[i] = { ...recheck, repairAttempted: true };
+        }
+      } catch (repairError) {
+        console.error(`Repair of ${original.path} failed:`, repairError.message);
+        results[i] = { ...results[i], repairAttempted: true, repairError: repairError.message };
+      }
+    }
+  }
+
+  const count = (status) => results.filter(r => r.status === status).length;
+  const validation = {
+    checked: results.length - count('skipped'),
+    valid: count('valid'),
+    invalid: count('invalid'),
+    repaired: count('repaired'),
+    skipped: count('skipped'),
+    files: results.filter(r => r.status === 'invalid' || r.status === 'repaired')
+  };
+
+  emitJobEvent(job, 'validation-completed', {
+    valid: validation.valid,
+    invalid: validation.invalid,
+    repaired: validation.repaired,
+    skipped: validation.skipped
+  });
+
+  return validation;
+}
+
+const MAX_BATCH_ATTEMPTS = 3;
+// Backoff before the first retry, and the pause between batches; both can be
+// lowered for local models (and the tests) with LLM_RETRY_DELAY_MS and
+// LLM_BATCH_DELAY_MS
+const RETRY_BASE_DELAY_MS = parseInt(process.env.LLM_RETRY_DELAY_MS, 10) || 2000;
+const BATCH_DELAY_MS = parseInt(process.env.LLM_BATCH_DELAY_MS, 10) || 2000;
+// Longer Retry-After waits fail the job instead; it can be resumed later
+const MAX_RETRY_AFTER_MS = 5 * 60 * 1000;
+
+// API errors no retry can fix (bad key, bad request, content policy);
+// timeouts and rate limits are retried
+function isPermanentError(error) {
+  return error.status >= 400 && error.status < 500 && error.status !== 408 && error.status !== 429;
+}
+
+// Converts a batch, retrying with exponential backoff (or as long as a rate
+// limit's Retry-After asks). A batch whose output keeps being unusable is
+// split in half and each half converted on its own, so only the individual
+// files that cannot be converted end up as fallback stubs. Permanent API
+// errors fail the job. `attempts` counts model calls per source path.
+async function convertResilient(job, batch, target, label, options, attempts) {
+  const { signal } = options;
+  let calls = 0;
+  let lastError;
+
+  for (let attempt = 1; attempt <= MAX_BATCH_ATTEMPTS; attempt++) {
+    batch.forEach(f => attempts.set(f.path, (attempts.get(f.path) || 0) + 1));
+    calls++;
+
+    try {
+      const files = await convertBatch(batch, target, label, options);
+      return { files, errors: {}, calls };
+    } catch (error) {
+      if (signal.aborted || isPermanentError(error) || error.retryAfterMs > MAX_RETRY_AFTER_MS) throw error;
+      lastError = error;
+
+      if (attempt < MAX_BATCH_ATTEMPTS) {
+        const delay = Math.max(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), error.retryAfterMs || 0);
+        console.warn(`Batch ${label} attempt ${attempt} failed, retrying in ${delay}ms:`, error.message);
+        emitJobEvent(job, 'batch-retry', { batch: label, attempt, delay, error: error.message });
+        await sleep(delay, signal);
+        if (signal.aborted) throw error;
+      }
+    }
+  }
+
+  if (lastError.invalidOutput && batch.length > 1) {
+    const middle = Math.ceil(batch.length / 2);
+    console.warn(`Batch ${label} failed ${MAX_BATCH_ATTEMPTS} times, splitting into ${middle} + ${batch.length - middle} files`);
+    emitJobEvent(job, 'batch-split', {
+      batch: label,
+      error: lastError.message,
+      sizes: [middle, batch.length - middle]
+    });
+
+    const first = await convertResilient(job, batch.slice(0, middle), target, `${label}.1`, options, attempts);
+    const second = await convertResilient(job, batch.slice(middle), target, `${label}.2`, options, attempts);
+
+    return {
+      files: [...first.files, ...second.files],
+      errors: { ...first.errors, ...second.errors },
+      calls: calls + first.calls + second.calls
+    };
+  }
+
+  // Files that still fail become stubs to keep the structure
+  console.error(`Batch ${label} (${batch.map(f => f.path).join(', ')}) failed:`, lastError.message);
+  return {
+    files: createFallbackFiles(batch, target),
+    errors: Object.fromEntries(batch.map(f => [f.path, lastError.message])),
+    calls
+  };
+}
+
+// Prompt notes for one part of a chunked file
+function getChunkNotes(file, part, count, targetPath, parts) {
+  if (part === 1) {
+    return `LARGE FILE: ${file.path} is converted in ${count} parts. This is part 1 - include the file header (imports, namespace/package declarations) and convert only the code in this part.`;
+  }
+
+  return `LARGE FILE: ${file.path} is converted in ${count} parts. This is part ${part}. Earlier parts were converted to ${targetPath}. Return the same path and ONLY the converted code for this part - do not repeat imports, namespace or class headers already emitted. Declarations converted so far:
+${extractSignatures(parts.join('\n'), 80).join('\n')}`;
+}
+
+// Converts a file too large for one request chunk by chunk. Each chunk is told
+// where the earlier parts went and what they declared, and the converted
+// chunks are stitched back into a single output file. Other files the model
+// returns for a part are kept next to it.
+async function convertLargeFile(job, file, target, label, options, attempts) {
+  const chunks = splitIntoChunks(file);
+  const parts = [];
+  const failedChunks = [];
+  // Other files the model split out of the chunks, by path
+  const extraFiles = new Map();
+  let targetPath = null;
+  let calls = 0;
+
+  console.log(`Converting large file ${file.path} (${file.content.length} chars) in ${chunks.length} chunks`);
+  emitJobEvent(job, 'large-file-started', { batch: label, path: file.path, chunks: chunks.length });
+
+  for (let c = 0; c < chunks.length; c++) {
+    const part = c + 1;
+    const notes = getChunkNotes(file, part, chunks.length, targetPath, parts);
+
+    const chunkFile = { ...file, content: chunks[c], size: chunks[c].length };
+    const result = await convertResilient(job, [chunkFile], target, `${label}.part${part}`, { ...options, notes }, attempts);
+    calls += result.calls;
+
+    // Output for the stitched file is what went to its path; anything else
+    // is kept as a file of its own, appended to when later parts add to it
+    targetPath = targetPath || result.files[0].path;
+    const own = result.files.filter(f => f.path === targetPath);
+    const main = own.length > 0 ? own : [result.files[0]];
+    parts.push(main.map(f => f.content).join('\n'));
+
+    for (const extra of result.files.filter(f => !main.includes(f))) {
+      const existing = extraFiles.get(extra.path);
+      extraFiles.set(extra.path, existing
+        ? { ...existing, content: `${existing.content}\n${extra.content}` }
+        : { ...extra, originalPath: file.path });
+    }
+
+    if (result.errors[file.path]) {
+      failedChunks.push(part);
+    }
+
+    emitJobEvent(job, 'chunk-completed', {
+      batch: label,
+      path: file.path,
+      chunk: part,
+      chunks: chunks.length,
+      status: result.errors[file.path] ? 'fallback' : 'success'
+    });
+  }
+
+  const stitched = {
+    path: targetPath,
+    content: parts.join('\n'),
+    originalPath: file.path,
+    chunks: chunks.length,
+    ...(failedChunks.length === chunks.length && { isFallback: true }),
+    ...(failedChunks.length > 0 && { failedChunks })
+  };
+
+  if (extraFiles.size > 0) {
+    console.log(`Large file ${file.path} was also converted to ${Array.from(extraFiles.keys()).join(', ')}`);
+  }
+
+  return {
+    files: [stitched, ...extraFiles.values()],
+    errors: failedChunks.length > 0
+      ? { [file.path]: `${failedChunks.length} of ${chunks.length} chunks fell back to stubs` }
+      : {},
+    calls
+  };
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+}
+
+// Runs the full conversion for a job in the background, recording progress
+// on the job as each batch completes
+async function runConversion(job) {
+  const { token, owner, repo, branch, uploadId, sourceName, rootPath, target, provider, validate, repair, include, exclude, cache, base, head, previousConversionId, paths, instructions } = job.params;
+  const signal = job.abortController.signal;
+
+  updateJob(job, { status: 'running' });
+  console.log(`Starting conversion ${job.id}: ${sourceName}${branch ? `:${branch}` : ''} → ${target.language}/${target.framework}/${target.database}`);
+
+  job.ingest = job.ingest || {};
+
+  // `head` pins the commit to convert instead of the head of the branch
+  if (head && !job.ingest.sha) {
+    job.ingest.sha = await resolveRef(token, owner, repo, head);
+  }
+
+  // An incremental run converts only what changed between `base` and the
+  // head commit
+  if (base && !job.changes) {
+    if (!job.ingest.sha) {
+      job.ingest.sha = await resolveCommit(token, owner, repo, branch);
+    }
+    job.changes = await compareCommits(token, owner, repo, base, job.ingest.sha, { rootPath });
+  }
+  const changes = job.changes || null;
+
+  if (changes) {
+    emitJobEvent(job, 'changes-detected', {
+      base: changes.base,
+      head: changes.head,
+      added: changes.added.length,
+      modified: changes.modified.length,
+      removed: changes.removed.length,
+      renamed: changes.renamed.length
+    });
+  }
+
+  // Fetch the whole repository (or read the uploaded archive). Fetch progress
+  // is kept on the job so a resumed run picks up where this one stopped.
+  const { files: sourceFiles, skipped, stats: ingestion } = await loadSource({ token, owner, repo, branch, uploadId }, {
+    rootPath,
+    include,
+    exclude,
+    state: job.ingest,
+    signal,
+    onProgress: (fetchProgress) => emitJobEvent(job, 'fetch-progress', fetchProgress)
+  });
+
+  if (signal.aborted) return;
+
+  emitJobEvent(job, 'files-fetched', {
+    count: sourceFiles.length,
+    files: sourceFiles.map(f => f.path),
+    skippedFiles: skipped,
+    ingestion
+  });
+
+  // Only the changed files of an incremental run, or the `paths` asked for,
+  // are converted; the others are context
+  const changed = changes ? getChangedPaths(changes) : (paths ? new Set(paths) : null);
+  const originals = changed ? sourceFiles.filter(f => changed.has(f.path)) : sourceFiles;
+
+  if (paths && originals.length === 0) {
+    throw new Error(`None of the requested files were found: ${paths.join(', ')}`);
+  }
+
+  if (originals.length === 0 && !changes) {
+    updateJob(job, {
+      status: 'completed',
+      progress: 100,
+      files: [],
+      summary: {
+        totalOriginalFiles: 0,
+        totalConvertedFiles: 0,
+        successfullyConverted: 0,
+        fallbackFiles: 0,
+        batchResults: [],
+        target: target,
+        provider: provider.name,
+        model: provider.model,
+        ingestion,
+        message: "No relevant files found in repository"
+      },
+      warnings: skipped.length > 0 ? { message: `${skipped.length} files were skipped`, skippedFiles: skipped } : null
+    });
+    return;
+  }
+
+  // Files converted before with the same content, target and model are
+  // reused; `cache: false` converts everything again and refreshes the cache.
+  // Files asked for by `paths` are always converted again, and output shaped
+  // by `instructions` is not cached.
+  const cacheOptions = { target, model: `${provider.name}/${provider.model}`, promptVersion: PROMPT_VERSION };
+  const cached = cache && !paths ? lookupConversions(originals, cacheOptions) : new Map();
+
+  if (cached.size > 0) {
+    console.log(`Reusing cached conversions of ${cached.size} of ${originals.length} files`);
+    emitJobEvent(job, 'cache-hit', { count: cached.size, files: Array.from(cached.keys()) });
+  }
+
+  // Keep files that import each other together, dependencies first. Files
+  // over the size limit end up alone and are converted in chunks. Batches are
+  // planned over every file so the import graph stays whole, then cached
+  // and unchanged files are taken out.
+  const toConvert = new Set(originals.filter(f => !cached.has(f.path)).map(f => f.path));
+  const planned = createBatches(sourceFiles, { sizeLimit: 80000 });
+  const graph = planned.graph;
+  const batches = planned.batches
+    .map(batch => batch.filter(f => toConvert.has(f.path)))
+    .filter(batch => batch.length > 0);
+
+  console.log(`Created ${batches.length} dependency-aware batches for conversion`);
+  updateJob(job, { totalBatches: batches.length });
+  emitJobEvent(job, 'batches-planned', { totalBatches: batches.length });
+
+  // Convert batches with comprehensive error handling
+  const converted = [];
+  const failedFiles = [];
+  const dropped = [];
+  // Sources the model converted, cached once their output passed validation
+  const convertedSources = [];
+  const batchResults = job.batchResults;
+  // Where each file ended up and what it exports, shared with later batches
+  const manifest = createManifest();
+
+  for (const files of cached.values()) {
+    converted.push(...files);
+    recordFiles(manifest, files);
+  }
+
+  // What the other sources were converted to before, from the earlier run
+  // when there is one and the cache otherwise
+  const previousFiles = previousConversionId ? loadArtifacts(previousConversionId)?.files || null : null;
+  if (changed) {
+    const unchanged = previousFiles
+      ? previousFiles.filter(f => getSourcePaths(f).every(p => !changed.has(p)))
+      : Array.from(lookupConversions(sourceFiles.filter(f => !changed.has(f.path)), cacheOptions).values()).flat();
+    recordFiles(manifest, unchanged);
+  }
+  
+  for (let i = 0; i < batches.length; i++) {
+    if (signal.aborted) return;
+
+    const batchIndex = i + 1;
+    console.log(`Processing batch ${batchIndex}/${batches.length} (${batches[i].length} files)`);
+    emitJobEvent(job, 'batch-started', {
+      batch: batchIndex,
+      totalBatches: batches.length,
+      files: batches[i].map(f => f.path)
+    });
     
-    // Validation
-    if (!token || !owner || !repo || !branch) {
-      return res.status(400).json({ 
-        error: "Missing required fields: token, owner, repo, branch" 
+    const dependencies = getBatchDependencies(batches[i], graph)
+      .filter(dep => hasFile(manifest, dep));
+    const context = formatDependencyContext(manifest, dependencies);
+
+    const attempts = new Map();
+    let result;
+
+    const chunked = batches[i].length === 1 && isLargeFile(batches[i][0]);
+    const convert = chunked ? convertLargeFile : convertResilient;
+    const convertInput = chunked ? batches[i][0] : batches[i];
+
+    try {
+      result = await convert(job, convertInput, target, String(batchIndex), {
+        provider,
+        signal,
+        context,
+        instructions,
+        manifest: formatManifest(manifest, { prioritize: dependencies })
+      }, attempts);
+    } catch (conversionError) {
+      if (signal.aborted) return;
+      throw conversionError;
+    }
+
+    // Sources the model silently left out get one targeted re-conversion,
+    // then an explicit fallback stub
+    const missing = findMissingSources(batches[i], result.files);
+    const batchDropped = new Set();
+
+    if (missing.length > 0) {
+      emitJobEvent(job, 'coverage-retry', {
+        batch: batchIndex,
+        files: missing.map(f => f.path)
       });
+
+      const retry = await convertResilient(job, missing, target, `${batchIndex}.missing`, {
+        provider,
+        signal,
+        context,
+        instructions,
+        manifest: formatManifest(manifest, { prioritize: dependencies })
+      }, attempts);
+      if (signal.aborted) return;
+
+      const stillMissing = findMissingSources(missing, retry.files);
+      missing
+        .filter(f => retry.errors[f.path] || stillMissing.includes(f))
+        .forEach(f => batchDropped.add(f.path));
+
+      result = {
+        files: [...result.files, ...retry.files, ...createFallbackFiles(stillMissing, target)],
+        errors: {
+          ...result.errors,
+          ...retry.errors,
+          ...Object.fromEntries(stillMissing.map(f => [f.path, 'Omitted from the model output']))
+        },
+        calls: result.calls + retry.calls
+      };
+      dropped.push(...batchDropped);
     }
 
-    if (!target || !target.language || !target.framework || !target.database) {
-      return res.status(400).json({ 
-        error: "Missing target specification (language, framework, database required)" 
+    converted.push(...result.files);
+    recordFiles(manifest, result.files);
+
+    const files = batches[i].map(f => ({
+      path: f.path,
+      attempts: attempts.get(f.path) || 0,
+      status: batchDropped.has(f.path)
+        ? 'dropped'
+        : (result.errors[f.path] ? (chunked && !result.files[0].isFallback ? 'partial' : 'fallback') : 'converted'),
+      ...(chunked && { chunks: result.files[0].chunks }),
+      ...(result.errors[f.path] && { error: result.errors[f.path] })
+    }));
+    const fallbackSources = files.filter(f => f.status !== 'converted');
+
+    convertedSources.push(...batches[i].filter(f => !result.errors[f.path] && !batchDropped.has(f.path)));
+
+    if (fallbackSources.length > 0) {
+      failedFiles.push(...batches[i].filter(f => result.errors[f.path]));
+      emitJobEvent(job, 'fallback', {
+        batch: batchIndex,
+        error: fallbackSources[0].error,
+        files: fallbackSources.map(f => f.path)
       });
     }
 
-    console.log(`Starting conversion: ${owner}/${repo}:${branch} → ${target.language}/${target.framework}/${target.database}`);
-    
-    // Fetch all relevant files
-    const originals = await fetchFiles(token, owner, repo, branch);
+    batchResults.push({
+      batch: batchIndex,
+      status: fallbackSources.length === 0
+        ? 'success'
+        : (fallbackSources.every(f => f.status !== 'partial') && fallbackSources.length === files.length ? 'fallback' : 'partial'),
+      fileCount: result.files.length,
+      calls: result.calls,
+      dependencies,
+      files
+    });
+
+    updateJob(job, { progress: Math.round((batchIndex / batches.length) * 100) });
+    emitJobEvent(job, 'batch-completed', {
+      ...batchResults[batchResults.length - 1],
+      totalBatches: batches.length,
+      progress: job.progress
+    });
     
-    if (originals.length === 0) {
-      return res.json({ 
-        files: [], 
-        message: "No relevant files found in repository" 
-      });
+    // Rate limiting delay
+    if (i < batches.length - 1) {
+      await sleep(BATCH_DELAY_MS, signal);
     }
+  }
+
+  if (signal.aborted) return;
 
-    // Create intelligent batches based on content size and file relationships
-    const batches = [];
-    const sizeLimit = 80000; // Increased size limit
-    let currentBatch = [];
-    let currentSize = 0;
-
-    // Group related files together when possible
-    const fileGroups = {
-      config: originals.filter(f => f.priority === 1),
-      main: originals.filter(f => f.priority === 2),
-      others: originals.filter(f => f.priority === 3)
+  // Post-conversion syntax check of the generated files
+  const validation = validate
+    ? await validateConversion(job, converted, { target, provider, signal, repair })
+    : null;
+
+  if (signal.aborted) return;
+
+  // Cached after validation and repair, so output that failed the syntax
+  // check is not replayed by later runs
+  if (!instructions) {
+    const invalid = new Set((validation?.files || []).filter(v => v.status === 'invalid').map(v => v.path));
+    storeConversions(convertedSources, converted.map(f => (invalid.has(f.path) ? { ...f, invalid: true } : f)), cacheOptions);
+  }
+
+  // Output of the earlier conversion that no longer has a source
+  const deletions = changes ? getDeletions(changes, converted, { previousFiles, target }) : null;
+
+  const successfulBatches = batchResults.filter(b => b.status === 'success').length;
+  const fallbackBatches = batchResults.filter(b => b.status !== 'success').length;
+  
+  console.log(`Conversion ${job.id} completed: ${converted.length} files processed (${successfulBatches} successful batches, ${fallbackBatches} batches with fallback files)`);
+
+  const summary = {
+    totalOriginalFiles: originals.length,
+    totalConvertedFiles: converted.length,
+    successfullyConverted: converted.filter(f => !f.isFallback).length,
+    fallbackFiles: converted.filter(f => f.isFallback).length,
+    cachedFiles: cached.size,
+    batchResults: batchResults,
+    target: target,
+    provider: provider.name,
+    model: provider.model,
+    // Fills the conversions table's source_stack column
+    sourceStack: detectStack(sourceFiles).summary,
+    ingestion,
+    manifest: summarizeManifest(manifest),
+    coverage: buildCoverage(originals, converted, { dropped }),
+    ...(validation && { validation }),
+    ...(changes && { incremental: { ...changes, deletions } })
+  };
+
+  // Add warnings for fallback files
+  let warnings = null;
+  if (fallbackBatches > 0) {
+    warnings = {
+      message: `${failedFiles.length} files in ${fallbackBatches} batches required fallback conversion`,
+      details: "Some files were converted using fallback method and need manual review",
+      fallbackFiles: converted.filter(f => f.isFallback).map(f => f.originalPath)
     };
+  }
 
-    // Process each group
-    for (const [groupName, files] of Object.entries(fileGroups)) {
-      for (const file of files) {
-        const fileSize = file.content.length;
-        
-        if (currentSize + fileSize > sizeLimit && currentBatch.length > 0) {
-          batches.push(currentBatch);
-          currentBatch = [];
-          currentSize = 0;
-        }
-        
-        currentBatch.push(file);
-        currentSize += fileSize;
-      }
+  if (skipped.length > 0) {
+    warnings = {
+      message: `${skipped.length} files were skipped`,
+      ...warnings,
+      skippedFiles: skipped
+    };
+  }
+
+  if (dropped.length > 0) {
+    warnings = {
+      ...warnings,
+      droppedFiles: dropped
+    };
+  }
+
+  if (validation?.invalid > 0) {
+    warnings = {
+      ...(warnings || { message: `${validation.invalid} generated files failed syntax validation` }),
+      invalidFiles: validation.files.filter(f => f.status === 'invalid').map(f => f.path)
+    };
+  }
+
+  emitJobEvent(job, 'summary', { summary, warnings });
+
+  updateJob(job, {
+    status: 'completed',
+    progress: 100,
+    files: converted,
+    ...(deletions && { deletions }),
+    summary,
+    warnings
+  });
+}
+
+// Conversion plan for a dry run: the batches a job would convert, in order,
+// with the proposed target path of every file and the prompt size of every
+// LLM call. Prompt sizes leave out the manifest and dependency context, which
+// only exist once earlier batches are converted (up to MAX_PROMPT_CHARS more).
+function buildConversionPlan(originals, { filtered, skipped, target }) {
+  const { batches, graph } = createBatches(originals, { sizeLimit: 80000 });
+  const promptSize = (messages) => messages.reduce((sum, m) => sum + m.content.length, 0);
+
+  const planned = batches.map((batch, i) => {
+    const batchIndex = i + 1;
+    const chunked = batch.length === 1 && isLargeFile(batch[0]);
+    let prompts;
+
+    if (chunked) {
+      const file = batch[0];
+      const chunks = splitIntoChunks(file);
+      const targetPath = proposeTargetPath(file.path, target);
+      prompts = chunks.map((content, c) => promptSize(buildBatchMessages(
+        [{ ...file, content, size: content.length }],
+        target,
+        `${batchIndex}.part${c + 1}`,
+        { notes: getChunkNotes(file, c + 1, chunks.length, targetPath, chunks.slice(0, c)) }
+      )));
+    } else {
+      prompts = [promptSize(buildBatchMessages(batch, target, batchIndex))];
     }
-    
-    if (currentBatch.length > 0) {
-      batches.push(currentBatch);
+
+    const promptChars = prompts.reduce((sum, n) => sum + n, 0);
+
+    return {
+      batch: batchIndex,
+      stages: Array.from(new Set(batch.map(getStageName))),
+      fileCount: batch.length,
+      size: batch.reduce((sum, f) => sum + f.content.length, 0),
+      ...(chunked && { chunks: prompts.length }),
+      llmCalls: prompts.length,
+      promptChars,
+      estimatedTokens: estimateTokens(promptChars),
+      dependencies: getBatchDependencies(batch, graph),
+      files: batch.map(f => ({
+        path: f.path,
+        size: f.size,
+        stage: getStageName(f),
+        targetPath: proposeTargetPath(f.path, target)
+      }))
+    };
+  });
+
+  const totalPromptChars = planned.reduce((sum, b) => sum + b.promptChars, 0);
+
+  return {
+    batches: planned,
+    skippedFiles: [
+      ...filtered.map(path => ({ path, reason: 'Filtered out by file type, include/exclude globs or .staxchangeignore' })),
+      ...skipped
+    ],
+    totals: {
+      files: originals.length,
+      batches: planned.length,
+      llmCalls: planned.reduce((sum, b) => sum + b.llmCalls, 0),
+      promptChars: totalPromptChars,
+      estimatedTokens: estimateTokens(totalPromptChars)
     }
+  };
+}
 
-    console.log(`Created ${batches.length} intelligent batches for conversion`);
+// Runs a job in the background as a new run of it, marking it failed on any
+// unexpected error
+function startConversion(job) {
+  const run = startRun(job);
+  runConversion(run).catch((error) => {
+    console.error(`Conversion ${job.id} error:`, error);
+    if (!isTerminal(run)) {
+      updateJob(run, { status: 'failed', error_message: error.message });
+    }
+  });
+}
 
-    // Convert batches with comprehensive error handling
-    const converted = [];
-    const failedFiles = [];
-    const batchResults = [];
+// Start a conversion job - responds immediately with the job id
+// With `dryRun: true`, fetches the repository and returns the conversion plan
+// instead, without calling the model. With a `base` commit, only the files
+// changed since then are converted and the job also lists the `deletions`
+// for the output of `previousConversionId`. With `paths`, only those source
+// files are converted again (optionally following `instructions`), with the
+// output of `previousConversionId` as context; `head` pins the commit. Both
+// select files with the include/exclude globs of that run unless given.
+router.post('/', async (req, res) => {
+  try {
+    const { owner, repo, branch, uploadId, target, provider: providerName, model, validate = true, repair = false, cache = true, dryRun = false, rootPath, include, exclude, base, head, previousConversionId, paths, instructions } = req.body;
     
-    for (let i = 0; i < batches.length; i++) {
-      const batchIndex = i + 1;
-      console.log(`Processing batch ${batchIndex}/${batches.length} (${batches[i].length} files)`);
-      
-      try {
-        const batchResult = await convertBatch(batches[i], target, batchIndex);
-        converted.push(...batchResult);
-        batchResults.push({
-          batch: batchIndex,
-          status: 'success',
-          fileCount: batchResult.length
-        });
-        
-      } catch (conversionError) {
-        console.error(`Batch ${batchIndex} failed:`, conversionError.message);
-        
-        // Create fallback files to maintain application structure
-        const fallbackFiles = createFallbackFiles(batches[i], target);
-        converted.push(...fallbackFiles);
-        failedFiles.push(...batches[i]);
-        
-        batchResults.push({
-          batch: batchIndex,
-          status: 'fallback',
-          error: conversionError.message,
-          fileCount: fallbackFiles.length
-        });
-      }
-      
-      // Rate limiting delay
-      if (i < batches.length - 1) {
-        await new Promise(resolve => setTimeout(resolve, 2000));
-      }
+    // Validation
+    const token = req.githubToken;
+    const sourceError = getSourceError({ ...req.body, token });
+    if (sourceError) {
+      return res.status(sourceError.status).json({ error: sourceError.message });
     }
 
-    const successfulBatches = batchResults.filter(b => b.status === 'success').length;
-    const fallbackBatches = batchResults.filter(b => b.status === 'fallback').length;
-    
-    console.log(`Conversion completed: ${converted.length} files processed (${successfulBatches} successful batches, ${fallbackBatches} fallback batches)`);
+    if (uploadId && !getUserUpload(uploadId, req.session.user.login)) {
+      return res.status(404).json({ error: `Upload ${uploadId} not found or expired` });
+    }
 
-    const response = { 
-      files: converted,
-      summary: {
-        totalOriginalFiles: originals.length,
-        totalConvertedFiles: converted.length,
-        successfullyConverted: converted.filter(f => !f.isFallback).length,
-        fallbackFiles: converted.filter(f => f.isFallback).length,
-        batchResults: batchResults,
-        target: target
-      }
-    };
+    if (paths !== undefined && (!Array.isArray(paths) || paths.length === 0 || paths.some(p => typeof p !== 'string'))) {
+      return res.status(400).json({ error: "paths must be a non-empty array of source file paths" });
+    }
 
-    // Add warnings for fallback files
-    if (fallbackBatches > 0) {
-      response.warnings = {
-        message: `${fallbackBatches} batches required fallback conversion`,
-        details: "Some files were converted using fallback method and need manual review",
-        fallbackFiles: converted.filter(f => f.isFallback).map(f => f.originalPath)
-      };
+    if (instructions !== undefined && typeof instructions !== 'string') {
+      return res.status(400).json({ error: "instructions must be a string" });
+    }
+
+    if (base && paths) {
+      return res.status(400).json({ error: "Use either base or paths, not both" });
+    }
+
+    if (previousConversionId && !base && !paths) {
+      return res.status(400).json({ error: "previousConversionId needs a base commit or paths" });
+    }
+
+    if ((base || head) && (uploadId || dryRun)) {
+      return res.status(400).json({ error: "base and head need a GitHub source and cannot be used for a dry run" });
+    }
+
+    // The earlier run whose output the patch set (or re-converted files) apply to
+    const previous = previousConversionId ? getConversion(previousConversionId, req.session.user.login) : null;
+    if (previousConversionId && !(previous && loadArtifacts(previousConversionId))) {
+      return res.status(404).json({ error: `Conversion ${previousConversionId} not found or not completed` });
+    }
+
+    // Unless given, files are selected with the filters of the earlier run
+    const filters = previous && include === undefined && exclude === undefined
+      ? { include: previous.source.include, exclude: previous.source.exclude }
+      : { include, exclude };
+
+    if (!target || !target.language || !target.framework || !target.database) {
+      return res.status(400).json({ 
+        error: "Missing target specification (language, framework, database required)" 
+      });
+    }
+
+    let provider;
+    try {
+      provider = getProvider({ provider: providerName, model });
+    } catch (providerError) {
+      return res.status(400).json({ error: providerError.message });
+    }
+
+    // Plans the files the real run would convert, selected the same way
+    if (dryRun) {
+      const { files, filtered, skipped, stats } = await loadSource({ token, owner, repo, branch, uploadId }, { rootPath, ...filters });
+      const originals = paths ? files.filter(f => paths.includes(f.path)) : files;
+      const plan = buildConversionPlan(originals, { filtered, skipped, target });
+
+      console.log(`Dry run for ${getSourceName(req.body)}: ${plan.totals.batches} batches, ${plan.totals.llmCalls} LLM calls`);
+
+      return res.json({
+        dryRun: true,
+        repo: getSourceName(req.body),
+        branch: branch || null,
+        rootPath: stats.rootPath,
+        commit: stats.commit,
+        target,
+        provider: provider.name,
+        model: provider.model,
+        ingestion: stats,
+        ...plan
+      });
+    }
+
+    const job = createJob({
+      token, owner, repo, branch, uploadId,
+      sourceName: getSourceName(req.body),
+      rootPath, target, provider, validate, repair, cache, ...filters,
+      base, head, previousConversionId, paths, instructions,
+      // Only this user can follow, cancel or resume the job
+      userLogin: req.session.user.login
+    });
+
+    // Re-converting single files is an edit of an earlier run, not a run
+    if (!paths) {
+      trackConversion(job, req.session.user);
     }
+    startConversion(job);
 
-    res.json(response);
+    res.status(202).json({
+      id: job.id,
+      status: job.status,
+      statusUrl: `${req.baseUrl}/${job.id}`
+    });
 
   } catch (error) {
     console.error('Conversion error:', error);
-    res.status(500).json({ 
+    res.status(error.status || 500).json({ 
       error: error.message,
       timestamp: new Date().toISOString()
     });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// Conversion job status, per-batch progress and (once completed) the files
+router.get('/:id', (req, res) => {
+  const job = getUserJob(req.params.id, req.session.user.login);
+
+  if (!job) {
+    return res.status(404).json({ error: `Conversion job ${req.params.id} not found` });
+  }
+
+  res.json(serializeJob(job));
+});
+
+// Live progress stream (Server-Sent Events). Past events are replayed first,
+// honouring Last-Event-ID on reconnect (or ?lastEventId= for a fresh
+// EventSource), and the stream ends with the job.
+router.get('/:id/events', (req, res) => {
+  const job = getUserJob(req.params.id, req.session.user.login);
+
+  if (!job) {
+    return res.status(404).json({ error: `Conversion job ${req.params.id} not found` });
+  }
+
+  // The stream lives as long as the job; opt out of the global request timeout
+  req.setTimeout(0);
+  res.setTimeout(0);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const send = (event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId || '0', 10) || 0;
+  job.events.filter(e => e.id > lastEventId).forEach(send);
+
+  if (isTerminal(job)) {
+    return res.end();
+  }
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+  const unsubscribe = subscribe(job, (event) => {
+    send(event);
+    if (isTerminal(job)) {
+      close();
+    }
+  });
+
+  function close() {
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  }
+
+  req.on('close', close);
+});
+
+// Cancel a running conversion job
+router.post('/:id/cancel', (req, res) => {
+  const job = getUserJob(req.params.id, req.session.user.login);
+
+  if (!job) {
+    return res.status(404).json({ error: `Conversion job ${req.params.id} not found` });
+  }
+
+  if (!cancelJob(job)) {
+    return res.status(409).json({ 
+      error: `Conversion job is already ${job.status}`,
+      status: job.status
+    });
+  }
+
+  console.log(`Conversion ${job.id} cancelled`);
+  res.json(serializeJob(job));
+});
+
+// Resume a failed or cancelled job. Files fetched before it stopped are
+// reused, so a job that hit the GitHub rate limit continues from there.
+router.post('/:id/resume', (req, res) => {
+  const job = getUserJob(req.params.id, req.session.user.login);
+
+  if (!job) {
+    return res.status(404).json({ error: `Conversion job ${req.params.id} not found` });
+  }
+
+  if (!restartJob(job)) {
+    return res.status(409).json({
+      error: `Conversion job is ${job.status} and cannot be resumed`,
+      status: job.status
+    });
+  }
+
+  console.log(`Conversion ${job.id} resumed`);
+  startConversion(job);
+
+  res.status(202).json({
+    id: job.id,
+    status: job.status,
+    statusUrl: `${req.baseUrl}/${job.id}`
+  });
+});
+
+module.exports = router;
@@ -1,5 +1,5 @@
 const express = require('express');
-const JSZip = require('jszip');
+const { createZip } = require('../lib/zip');
 const router = express.Router();
 
 // Create ZIP from files
@@ -17,44 +17,7 @@ router.post('/', async (req, res) => {
 
     console.log(`Creating ZIP with ${files.length} files`);
 
-    const zip = new JSZip();
-
-    // Add files to ZIP
-    for (const f of files) {
-      if (!f || typeof f !== 'object') {
-        console.warn('Skipping invalid file object:', f);
-        continue;
-      }
-
-      const path = (f.path || "file.txt").replace(/^\/+/, "");
-      const content = f.content || "";
-      
-      // Create directory structure if needed
-      if (path.includes('/')) {
-        const dirs = path.split('/');
-        dirs.pop(); // Remove filename
-        let currentDir = zip;
-        
-        for (const dir of dirs) {
-          if (dir) {
-            currentDir = currentDir.folder(dir);
-          }
-        }
-      }
-      
-      zip.file(path, content);
-    }
-
-    console.log('Generating ZIP file...');
-
-    // Generate ZIP as buffer
-    const zipBuffer = await zip.generateAsync({ 
-      type: "nodebuffer",
-      compression: "DEFLATE",
-      compressionOptions: {
-        level: 6
-      }
-    });
+    const zipBuffer = await createZip(files);
 
     console.log(`ZIP generated successfully, size: ${zipBuffer.length} bytes`);
 
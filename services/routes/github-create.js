@@ -1,152 +1,134 @@
 const express = require('express');
-const fetch = require('node-fetch');
+const { gh } = require('../lib/github');
+const { commitFiles, getFilesError, sleep } = require('../lib/github-export');
+const { getCommitMessage } = require('../lib/pull-request');
+const { recordExport } = require('../lib/history');
 const router = express.Router();
 
-async function gh(token, path, init = {}) {
-  const resp = await fetch(`https://api.github.com${path}`, {
-    ...init,
-    headers: {
-      Authorization: `Bearer ${token}`,
-      Accept: "application/vnd.github+json",
-      "Content-Type": "application/json",
-      'User-Agent': 'StaxChange-NodeJS-Server',
-      ...(init.headers || {}),
-    },
-  });
-
-  if (!resp.ok) {
-    const errorText = await resp.text();
-    throw new Error(`GitHub API error ${resp.status}: ${errorText}`);
-  }
+// GitHub topics are lowercase letters, digits and hyphens, at most 50 chars
+function normalizeTopics(topics) {
+  return [...new Set((topics || [])
+    .map(t => String(t).trim().toLowerCase().replace(/#/g, 'sharp').replace(/[^a-z0-9-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 50))
+    .filter(Boolean))];
+}
 
-  return resp.json();
+function describeRepo(repo) {
+  return {
+    name: repo.name,
+    full_name: repo.full_name,
+    owner: repo.owner.login,
+    private: repo.private
+  };
+}
+
+// The user's repository named `repoName`, or null when there is none
+async function findOwnRepo(token, repoName) {
+  const user = await gh(token, "/user");
+  try {
+    return await gh(token, `/repos/${user.login}/${repoName}`);
+  } catch (error) {
+    if (error.status === 404) return null;
+    throw error;
+  }
 }
 
-// Create new repository with files
+// Create a new repository with files, or with `useExisting` export into the
+// user's repository of that name when it already exists. Running the same
+// export again only uploads files that are missing or differ.
 router.post('/', async (req, res) => {
+  let repository = null;
+
   try {
-    const { token, repoName, files, description, isPrivate } = req.body;
+    const { repoName, files, deletions, description, isPrivate, topics, useExisting, branch, summary, conversionId } = req.body;
+    const token = req.githubToken;
 
-    if (!token || !repoName || !files) {
-      return res.status(400).json({ 
-        error: "Missing required fields: token, repoName, files" 
+    if (!repoName || !files) {
+      return res.status(400).json({
+        error: "Missing required fields: repoName, files"
       });
     }
 
-    if (!Array.isArray(files) || files.length === 0) {
-      return res.status(400).json({ 
-        error: "Files must be a non-empty array" 
-      });
+    const filesError = getFilesError(files, deletions);
+    if (filesError) {
+      return res.status(400).json({ error: filesError });
     }
 
-    console.log(`Creating repository: ${repoName} with ${files.length} files`);
-
-    // Create the repository
-    const repoData = {
-      name: repoName,
-      private: isPrivate || false,
-      auto_init: true,
-      description: description || `Converted repository via StaxChange - ${new Date().toISOString()}`
-    };
-
-    const created = await gh(token, "/user/repos", {
-      method: "POST",
-      body: JSON.stringify(repoData),
-    });
+    let created = false;
+    if (useExisting) {
+      repository = await findOwnRepo(token, repoName);
+      if (repository) {
+        console.log(`Exporting ${files.length} files to existing repository ${repository.full_name}`);
+      }
+    }
 
-    console.log(`Repository created: ${created.html_url}`);
-
-    // Wait a moment for repository initialization
-    await new Promise(resolve => setTimeout(resolve, 1000));
-
-    // Upload files to the repository
-    const uploadResults = [];
-    const batchSize = 5; // Process files in batches to avoid rate limits
-
-    for (let i = 0; i < files.length; i += batchSize) {
-      const batch = files.slice(i, i + batchSize);
-      
-      const batchPromises = batch.map(async (f, index) => {
-        try {
-          if (!f || !f.path || f.content === undefined) {
-            console.warn(`Skipping invalid file at index ${i + index}:`, f);
-            return { success: false, path: f?.path || 'unknown', error: 'Invalid file object' };
-          }
-
-          const path = f.path.replace(/^\/+/, "");
-          
-          if (!path) {
-            console.warn(`Skipping file with empty path at index ${i + index}`);
-            return { success: false, path: 'empty', error: 'Empty file path' };
-          }
-
-          // Encode content to base64
-          const content = Buffer.from(f.content, 'utf8').toString('base64');
-          
-          const commitMessage = `Add ${path}`;
-          
-          await gh(token, `/repos/${created.owner.login}/${created.name}/contents/${encodeURIComponent(path)}`, {
-            method: "PUT",
-            body: JSON.stringify({ 
-              message: commitMessage, 
-              content,
-              committer: {
-                name: "StaxChange",
-                email: "bot@staxchange.ai"
-              }
-            }),
+    if (!repository) {
+      console.log(`Creating repository: ${repoName} with ${files.length} files`);
+
+      // Create the repository
+      const repoData = {
+        name: repoName,
+        private: isPrivate || false,
+        auto_init: true,
+        description: description || `Converted repository via StaxChange - ${new Date().toISOString()}`
+      };
+
+      try {
+        repository = await gh(token, "/user/repos", {
+          method: "POST",
+          body: JSON.stringify(repoData),
+        });
+      } catch (error) {
+        if (error.status === 422 && /already exists/i.test(error.message)) {
+          return res.status(409).json({
+            error: `Repository ${repoName} already exists. Export into the existing repository to continue it.`,
+            code: 'repo_exists',
+            timestamp: new Date().toISOString()
           });
-
-          console.log(`Uploaded file: ${path}`);
-          return { success: true, path };
-
-        } catch (fileError) {
-          console.error(`Error uploading file ${f?.path}:`, fileError.message);
-          return { 
-            success: false, 
-            path: f?.path || 'unknown', 
-            error: fileError.message 
-          };
         }
-      });
+        throw error;
+      }
+      created = true;
 
-      const batchResults = await Promise.all(batchPromises);
-      uploadResults.push(...batchResults);
+      console.log(`Repository created: ${repository.html_url}`);
 
-      // Small delay between batches
-      if (i + batchSize < files.length) {
-        await new Promise(resolve => setTimeout(resolve, 500));
+      const names = normalizeTopics(topics);
+      if (names.length > 0) {
+        await gh(token, `/repos/${repository.owner.login}/${repository.name}/topics`, {
+          method: "PUT",
+          body: JSON.stringify({ names })
+        });
       }
 
-      console.log(`Completed batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(files.length / batchSize)}`);
+      // Wait a moment for repository initialization
+      await sleep(1000);
     }
 
-    const successfulUploads = uploadResults.filter(r => r.success);
-    const failedUploads = uploadResults.filter(r => !r.success);
+    // All files land in one commit on the default branch, or on `branch`
+    // created from it
+    const uploadStats = await commitFiles(token, repository.owner.login, repository.name, files, {
+      branch: branch || repository.default_branch,
+      baseBranch: repository.default_branch,
+      message: getCommitMessage(summary),
+      deletions
+    });
 
-    console.log(`Upload completed: ${successfulUploads.length} successful, ${failedUploads.length} failed`);
+    recordExport(conversionId, req.session.user.login, repository.html_url);
 
     res.json({
-      html_url: created.html_url,
-      clone_url: created.clone_url,
-      repository: {
-        name: created.name,
-        full_name: created.full_name,
-        owner: created.owner.login,
-        private: created.private
-      },
-      upload_stats: {
-        total: files.length,
-        successful: successfulUploads.length,
-        failed: failedUploads.length,
-        failed_files: failedUploads.map(f => ({ path: f.path, error: f.error }))
-      }
+      html_url: repository.html_url,
+      clone_url: repository.clone_url,
+      created,
+      repository: describeRepo(repository),
+      upload_stats: uploadStats
     });
 
   } catch (error) {
     console.error('Repository creation error:', error);
-    res.status(500).json({ 
+    res.status(error.status || 500).json({
       error: error.message || 'Failed to create repository',
+      // Lets the client resume into the repository that was already created
+      ...(repository && { repository: describeRepo(repository) }),
+      ...(error.uploadStats && { upload_stats: error.uploadStats }),
       timestamp: new Date().toISOString()
     });
   }
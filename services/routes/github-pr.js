@@ -0,0 +1,131 @@
+const express = require('express');
+const { gh } = require('../lib/github');
+const { commitFiles, getFilesError, sleep } = require('../lib/github-export');
+const { getCommitMessage, getPullRequestTitle, formatPullRequestBody } = require('../lib/pull-request');
+const { recordExport } = require('../lib/history');
+const router = express.Router();
+
+const FORK_POLL_INTERVAL_MS = 2000;
+const FORK_POLL_ATTEMPTS = 15;
+
+function getDefaultBranchName(summary) {
+  const language = (summary?.target?.language || 'converted').toLowerCase().replace(/[^a-z0-9]+/g, '-');
+  return `staxchange/${language}-${Date.now()}`;
+}
+
+// Forks are created asynchronously; wait until the fork can read the base
+// commit (a fork shares the objects of the repository it was forked from)
+async function waitForFork(token, fork, sha) {
+  for (let attempt = 0; attempt < FORK_POLL_ATTEMPTS; attempt++) {
+    try {
+      return await gh(token, `/repos/${fork.owner.login}/${fork.name}/git/commits/${sha}`);
+    } catch (error) {
+      if (error.status !== 404 && error.status !== 409) throw error;
+    }
+    await sleep(FORK_POLL_INTERVAL_MS);
+  }
+
+  throw new Error(`Fork ${fork.full_name} was not ready in time, try again shortly`);
+}
+
+// Commit the converted files to a new branch of the source repository (or
+// of the user's fork when they cannot push to it) and open a pull request.
+// A patch set from an incremental conversion also removes its `deletions`,
+// e.g. in a pull request to the repository an earlier run was exported to.
+// `baseBranch` defaults to the repository's default branch.
+router.post('/', async (req, res) => {
+  try {
+    const { owner, repo, branchName, fork, rootPath, files, deletions = [], summary, warnings, conversionId } = req.body;
+    const token = req.githubToken;
+
+    if (!owner || !repo || !files) {
+      return res.status(400).json({
+        error: "Missing required fields: owner, repo, files"
+      });
+    }
+
+    const filesError = getFilesError(files, deletions);
+    if (filesError) {
+      return res.status(400).json({ error: filesError });
+    }
+
+    const source = await gh(token, `/repos/${owner}/${repo}`);
+    const baseBranch = req.body.baseBranch || source.default_branch;
+    const useFork = !!fork || !source.permissions?.push;
+
+    // The branch always starts at the upstream base branch: the fork's copy
+    // of it may be behind
+    const baseRef = await gh(token, `/repos/${owner}/${repo}/git/ref/heads/${encodeURIComponent(baseBranch)}`);
+
+    // Where the branch is created: the source repository or the fork
+    let target = source;
+
+    if (useFork) {
+      console.log(`Forking ${source.full_name}`);
+      target = await gh(token, `/repos/${owner}/${repo}/forks`, {
+        method: "POST",
+        body: JSON.stringify({ default_branch_only: false })
+      });
+      await waitForFork(token, target, baseRef.object.sha);
+    }
+
+    const branch = branchName || getDefaultBranchName(summary);
+    const targetOwner = target.owner.login;
+
+    // A conversion scoped to a folder is committed back into that folder
+    const root = (rootPath || '').replace(/^\/+|\/+$/g, '');
+    const branchFiles = root ? files.map(f => ({ ...f, path: `${root}/${f.path}` })) : files;
+    const branchDeletions = root ? deletions.map(p => `${root}/${p}`) : deletions;
+
+    console.log(`Committing ${files.length} files and ${deletions.length} deletions to branch ${branch} on ${target.full_name}`);
+
+    // The branch is created together with the commit, so a failed export
+    // leaves no half-populated branch behind
+    const uploadStats = await commitFiles(token, targetOwner, target.name, branchFiles, {
+      branch,
+      baseSha: baseRef.object.sha,
+      message: getCommitMessage(summary),
+      deletions: branchDeletions
+    });
+
+    const pull = await gh(token, `/repos/${owner}/${repo}/pulls`, {
+      method: "POST",
+      body: JSON.stringify({
+        title: getPullRequestTitle(summary),
+        body: formatPullRequestBody({ summary, warnings, files: branchFiles, deletions: branchDeletions }),
+        head: useFork ? `${targetOwner}:${branch}` : branch,
+        base: baseBranch
+      })
+    });
+
+    console.log(`Pull request opened: ${pull.html_url}`);
+    recordExport(conversionId, req.session.user.login, pull.html_url);
+
+    res.json({
+      html_url: pull.html_url,
+      pull_request: {
+        number: pull.number,
+        title: pull.title,
+        head: branch,
+        base: baseBranch
+      },
+      repository: {
+        name: target.name,
+        full_name: target.full_name,
+        owner: targetOwner,
+        forked: useFork
+      },
+      upload_stats: uploadStats
+    });
+
+  } catch (error) {
+    console.error('Pull request export error:', error);
+    res.status(error.status || 500).json({
+      error: error.message || 'Failed to open pull request',
+      ...(error.uploadStats && { upload_stats: error.uploadStats }),
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
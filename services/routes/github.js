@@ -1,32 +1,13 @@
 const express = require('express');
-const fetch = require('node-fetch');
+const { gh } = require('../lib/github');
+const { resolveCommit, listFolders } = require('../lib/ingest');
 const router = express.Router();
 
-async function gh(token, path) {
-  const resp = await fetch(`https://api.github.com${path}`, {
-    headers: { 
-      Authorization: `Bearer ${token}`, 
-      Accept: "application/vnd.github+json",
-      'User-Agent': 'StaxChange-NodeJS-Server'
-    },
-  });
-  
-  if (!resp.ok) {
-    const errorText = await resp.text();
-    throw new Error(`GitHub API error ${resp.status}: ${errorText}`);
-  }
-  
-  return resp.json();
-}
-
-// Get repositories and branches
+// Get repositories, branches and folders
 router.post('/', async (req, res) => {
   try {
-    const { token, action, owner, repo } = req.body;
-    
-    if (!token) {
-      return res.status(400).json({ error: "Missing token" });
-    }
+    const { action, owner, repo, branch } = req.body;
+    const token = req.githubToken;
 
     if (action === "branches") {
       if (!owner || !repo) {
@@ -42,6 +23,20 @@ router.post('/', async (req, res) => {
       });
     }
 
+    if (action === "folders") {
+      if (!owner || !repo || !branch) {
+        return res.status(400).json({ error: "Missing owner, repo or branch for folders action" });
+      }
+
+      // Every folder on the branch with the number of files under it, for
+      // picking the root of a conversion
+      const sha = await resolveCommit(token, owner, repo, branch);
+      const tree = await gh(token, `/repos/${owner}/${repo}/git/trees/${sha}?recursive=1`);
+      const folders = listFolders((tree.tree || []).filter(n => n.type === "blob").map(n => n.path));
+
+      return res.json({ folders, truncated: !!tree.truncated });
+    }
+
     // Default action: get repositories
     const repos = await gh(token, "/user/repos?per_page=100&sort=updated");
     res.json({ repos });
@@ -0,0 +1,91 @@
+const express = require('express');
+const { getJob, serializeJob } = require('../lib/jobs');
+const { listConversions, getConversion, loadArtifacts } = require('../lib/history');
+const { readSourceFile } = require('../lib/ingest');
+const { createZip } = require('../lib/zip');
+const router = express.Router();
+
+function notFound(res, id) {
+  return res.status(404).json({ error: `Conversion ${id} not found` });
+}
+
+// Past conversion runs of the signed-in user, newest first
+router.get('/', (req, res) => {
+  res.json({ conversions: listConversions(req.session.user.login) });
+});
+
+// One run with its converted files, or the live job while it is still going
+router.get('/:id', (req, res) => {
+  const conversion = getConversion(req.params.id, req.session.user.login);
+  if (!conversion) {
+    return notFound(res, req.params.id);
+  }
+
+  const job = getJob(conversion.id);
+  res.json({
+    conversion,
+    ...(job && { job: serializeJob(job) }),
+    ...(conversion.status === 'completed' && loadArtifacts(conversion.id))
+  });
+});
+
+// Original content of one source file of a run (`?path=`, relative to its
+// root folder), for reviewing the output side by side
+router.get('/:id/source', async (req, res) => {
+  try {
+    const conversion = getConversion(req.params.id, req.session.user.login);
+    if (!conversion) {
+      return notFound(res, req.params.id);
+    }
+
+    const { path } = req.query;
+    if (!path || typeof path !== 'string') {
+      return res.status(400).json({ error: "Missing required query parameter: path" });
+    }
+
+    const { source } = conversion;
+    // Runs still going have pinned their commit on the job
+    const ref = conversion.commit || getJob(conversion.id)?.ingest?.sha || source.branch;
+    const content = await readSourceFile({ token: req.githubToken, ...source }, path, { rootPath: source.rootPath, ref });
+
+    if (content === null) {
+      return res.status(404).json({ error: `Source file ${path} not found` });
+    }
+
+    res.json({ path, content });
+
+  } catch (error) {
+    console.error('History source error:', error);
+    res.status(error.status || 500).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+router.get('/:id/download', async (req, res) => {
+  try {
+    const conversion = getConversion(req.params.id, req.session.user.login);
+    const artifacts = conversion && loadArtifacts(conversion.id);
+    if (!artifacts) {
+      return notFound(res, req.params.id);
+    }
+
+    const zipBuffer = await createZip(artifacts.files);
+    const name = conversion.repo_name.replace(/[^\w.-]+/g, '-');
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${name}-converted.zip"`);
+    res.setHeader('Content-Length', zipBuffer.length);
+    res.send(zipBuffer);
+
+  } catch (error) {
+    console.error('History download error:', error);
+    res.status(500).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,41 @@
+const express = require('express');
+const { createUpload } = require('../lib/uploads');
+const { listFolders } = require('../lib/ingest');
+const router = express.Router();
+
+const MAX_UPLOAD_SIZE = '100mb';
+
+// Upload a codebase as a ZIP or tar.gz (raw request body, file name in
+// ?name=). Archives that expand too far are rejected with 413. The returned
+// id replaces the GitHub repository fields of /api/analyze and /api/convert,
+// for the user who uploaded it only.
+router.post('/', express.raw({ type: () => true, limit: MAX_UPLOAD_SIZE }), async (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: "Empty upload - send the archive as the request body" });
+    }
+
+    const name = req.query.name || 'upload';
+    const upload = await createUpload(name, req.body, { userLogin: req.session.user.login });
+
+    console.log(`Stored upload ${upload.id}: ${name} (${upload.size} bytes, ${upload.entries.length} files)`);
+
+    res.status(201).json({
+      id: upload.id,
+      name: upload.name,
+      size: upload.size,
+      files: upload.entries.length,
+      folders: listFolders(upload.entries.map(e => e.path)),
+      created_at: upload.created_at
+    });
+
+  } catch (error) {
+    console.error('Upload error:', error);
+    res.status(error.status || 500).json({ 
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,70 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const JSZip = require('jszip');
+const { createTestApp } = require('./helpers/app');
+
+// Sign-in and ownership checks across the routes
+
+const server = createTestApp();
+const { api } = server;
+const target = { language: 'csharp', framework: 'aspnet', database: 'postgresql' };
+
+before(() => server.start());
+after(() => server.close());
+
+// Converts a one-file upload as the default user and waits for the job
+async function convertUpload() {
+  const zip = new JSZip();
+  zip.file('src/a.js', 'module.exports = 1;\n');
+  const resp = await fetch(server.url('/api/uploads?name=project.zip'), {
+    method: 'POST',
+    headers: { cookie: server.cookie },
+    body: await zip.generateAsync({ type: 'nodebuffer' })
+  });
+  const uploadId = (await resp.json()).id;
+
+  const started = await api('POST', '/api/convert', { uploadId, target, validate: false });
+  for (;;) {
+    const { body: job } = await api('GET', `/api/convert/${started.body.id}`);
+    if (!['queued', 'running'].includes(job.status)) return job;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+test('requires a session for conversions, analysis, uploads and history', async () => {
+  const anonymous = {};
+
+  for (const [method, url] of [
+    ['POST', '/api/convert'],
+    ['GET', '/api/convert/some-id'],
+    ['POST', '/api/analyze'],
+    ['POST', '/api/uploads'],
+    ['GET', '/api/history'],
+    ['GET', '/api/history/some-id']
+  ]) {
+    const { status } = await api(method, url, method === 'POST' ? { target } : undefined, anonymous);
+    assert.equal(status, 401, `${method} ${url}`);
+  }
+});
+
+test('only shows a job and its history to the user who started it', async () => {
+  const job = await convertUpload();
+  assert.equal(job.status, 'completed');
+
+  const own = await api('GET', `/api/history/${job.id}`);
+  assert.equal(own.status, 200);
+  assert.equal(own.body.conversion.user_login, 'tester');
+  assert.deepEqual((await api('GET', '/api/history')).body.conversions.map(c => c.id), [job.id]);
+
+  const other = { cookie: server.signIn('someone-else') };
+  assert.equal((await api('GET', `/api/convert/${job.id}`, null, other)).status, 404);
+  assert.equal((await api('POST', `/api/convert/${job.id}/resume`, null, other)).status, 404);
+  assert.equal((await api('GET', `/api/history/${job.id}`, null, other)).status, 404);
+  assert.equal((await fetch(server.url(`/api/history/${job.id}/download`), { headers: other })).status, 404);
+  assert.deepEqual((await api('GET', '/api/history', null, other)).body.conversions, []);
+});
+
+test('rejects state-changing requests from other origins', async () => {
+  const { status } = await api('POST', '/api/convert', { target }, { cookie: server.cookie, origin: 'https://evil.example' });
+  assert.equal(status, 403);
+});
@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeRepository, detectStack } = require('../lib/analysis');
+
+const file = (path, content = 'x') => ({ path, content, size: content.length, priority: 1 });
+
+test('detects the stack from manifests and source imports', () => {
+  const stack = detectStack([
+    file('package.json', '{ "dependencies": { "express": "^4", "pg": "^8", "prisma": "^5" } }'),
+    file('src/server.ts', 'a'.repeat(300)),
+    file('src/util.js', 'b'.repeat(100)),
+    file('web/app.py', 'from django.db import models\n')
+  ]);
+
+  assert.deepEqual(stack.languages.map(l => l.name), ['TypeScript', 'JavaScript', 'Python']);
+  assert.deepEqual(stack.frameworks, ['Express']);
+  assert.deepEqual(stack.orms, ['Prisma', 'Django ORM']);
+  assert.deepEqual(stack.databases, ['PostgreSQL']);
+  assert.equal(stack.summary, 'TypeScript/Express/PostgreSQL');
+});
+
+test('reports an unknown stack when nothing matches', () => {
+  assert.equal(detectStack([file('README.md', '# Hello')]).summary, 'unknown/none/none');
+});
+
+test('counts files per category and estimates the conversion', () => {
+  const analysis = analyzeRepository([
+    file('src/a.js', 'a'.repeat(1000)),
+    file('src/a.test.js', 'b'.repeat(200)),
+    file('styles/site.css', 'c'.repeat(50)),
+    file('README.md', 'd'.repeat(10)),
+    file('package.json', '{}')
+  ], { model: 'some/model:free' });
+
+  assert.deepEqual(analysis.categories, {
+    source: { files: 1, bytes: 1000 },
+    tests: { files: 1, bytes: 200 },
+    markup: { files: 1, bytes: 50 },
+    docs: { files: 1, bytes: 10 },
+    config: { files: 1, bytes: 2 }
+  });
+  assert.equal(analysis.totalFiles, 5);
+  assert.equal(analysis.totalBytes, 1262);
+  assert.equal(analysis.estimate.batches, 1);
+  assert.equal(analysis.estimate.llmCalls, 1);
+  assert.equal(analysis.estimate.outputTokens, Math.ceil(1262 / 4));
+  assert.equal(analysis.estimate.estimatedCost, 0);
+});
+
+test('prices the estimate from the configured token costs', () => {
+  const files = [file('src/a.js', 'a'.repeat(4000))];
+  assert.equal(analyzeRepository(files, { model: 'paid/model' }).estimate.estimatedCost, null);
+
+  Object.assign(process.env, { LLM_INPUT_COST_PER_MTOK: '1', LLM_OUTPUT_COST_PER_MTOK: '2' });
+  const { inputTokens, outputTokens, estimatedCost } = analyzeRepository(files, { model: 'paid/model' }).estimate;
+  assert.equal(estimatedCost, Math.round((inputTokens + outputTokens * 2) / 1e6 * 10000) / 10000);
+  delete process.env.LLM_INPUT_COST_PER_MTOK;
+  delete process.env.LLM_OUTPUT_COST_PER_MTOK;
+});
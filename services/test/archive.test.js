@@ -0,0 +1,99 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const JSZip = require('jszip');
+const { extractTar, extractTarStream, extractArchive, stripCommonRoot } = require('../lib/archive');
+const { tarEntry, tar } = require('./helpers/tar');
+
+const paths = entries => entries.map(e => e.path);
+
+// Streams `buffer` in chunks of `size` bytes, to split headers and data
+function chunked(buffer, size) {
+  const chunks = [];
+  for (let i = 0; i < buffer.length; i += size) chunks.push(buffer.subarray(i, i + size));
+  return Readable.from(chunks);
+}
+
+test('reads plain and gzipped tar files', () => {
+  const archive = tar(tarEntry('repo/a.js', 'a'), tarEntry('repo/dir/', '', { type: '5' }), tarEntry('repo/b.js', 'bb'));
+
+  for (const buffer of [archive, zlib.gzipSync(archive)]) {
+    const entries = extractTar(buffer);
+    assert.deepEqual(paths(entries), ['repo/a.js', 'repo/b.js']);
+    assert.equal(entries[1].data.toString(), 'bb');
+  }
+});
+
+test('reads ustar prefixes, GNU long names and PAX paths', () => {
+  const longName = `repo/${'x'.repeat(150)}.js`;
+  const entries = extractTar(tar(
+    tarEntry('a.js', 'a', { prefix: 'repo/src' }),
+    tarEntry('././@LongLink', longName, { type: 'L' }),
+    tarEntry(longName, 'long'),
+    tarEntry('PaxHeader', `30 path=repo/pax/named-file.js\n`, { type: 'x' }),
+    tarEntry('truncated', 'pax')
+  ));
+
+  assert.deepEqual(paths(entries), ['repo/src/a.js', longName, 'repo/pax/named-file.js']);
+});
+
+test('strips the single top-level directory only', () => {
+  const wrapped = [{ path: 'repo/a.js' }, { path: 'repo/src/b.js' }];
+  assert.deepEqual(paths(stripCommonRoot(wrapped)), ['a.js', 'src/b.js']);
+
+  const flat = [{ path: 'a.js' }, { path: 'src/b.js' }];
+  assert.deepEqual(paths(stripCommonRoot(flat)), ['a.js', 'src/b.js']);
+});
+
+test('rejects tar files over the size or file limits with 413', () => {
+  const archive = tar(tarEntry('a.js', 'a'.repeat(4000)), tarEntry('b.js', 'b'));
+
+  assert.throws(() => extractTar(zlib.gzipSync(archive), { maxBytes: 1000 }), { status: 413 });
+  assert.throws(() => extractTar(archive, { maxEntries: 1 }), { status: 413 });
+});
+
+test('extracts a streamed tarball whatever the chunk boundaries', async () => {
+  const longName = `repo/${'y'.repeat(120)}.js`;
+  const archive = zlib.gzipSync(tar(
+    tarEntry('repo/a.js', 'a'.repeat(700)),
+    tarEntry('././@LongLink', longName, { type: 'L' }),
+    tarEntry(longName, 'long'),
+    tarEntry('repo/b.js', 'b')
+  ));
+
+  for (const size of [1, 100, 511, archive.length]) {
+    const entries = await extractTarStream(chunked(archive, size));
+    assert.deepEqual(paths(entries), ['repo/a.js', longName, 'repo/b.js']);
+    assert.equal(entries[0].data.toString(), 'a'.repeat(700));
+  }
+});
+
+test('keeps only accepted entries, and only those count towards the limits', async () => {
+  const archive = zlib.gzipSync(tar(
+    tarEntry('repo/big.bin', 'x'.repeat(5000)),
+    tarEntry('repo/src/a.js', 'a'),
+    tarEntry('repo/src/b.js', 'b')
+  ));
+  const keep = path => path.startsWith('repo/src/');
+
+  const entries = await extractTarStream(chunked(archive, 64), { keep, maxBytes: 1000, maxEntries: 2 });
+  assert.deepEqual(paths(entries), ['repo/src/a.js', 'repo/src/b.js']);
+
+  await assert.rejects(extractTarStream(chunked(archive, 64), { keep, maxEntries: 1 }), { status: 413 });
+  await assert.rejects(extractTarStream(chunked(archive, 64), { maxBytes: 1000 }), { status: 413 });
+});
+
+test('reads zip files and stops inflating them past the limits', async () => {
+  const zip = new JSZip();
+  zip.file('repo/a.js', 'a'.repeat(400000));
+  zip.file('repo/b.js', 'b');
+  const buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+
+  await assert.rejects(extractArchive(buffer, { maxBytes: 1000 }), { status: 413, message: /more than 1000 bytes/ });
+  await assert.rejects(extractArchive(buffer, { maxEntries: 1 }), { status: 413 });
+
+  const entries = await extractArchive(buffer, { maxBytes: 400001, maxEntries: 2 });
+  assert.deepEqual(paths(entries), ['repo/a.js', 'repo/b.js']);
+  assert.equal(entries[0].data.length, 400000);
+});
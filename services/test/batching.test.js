@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBatches, getBatchDependencies, getStageName } = require('../lib/batching');
+const { getFilePriority } = require('../lib/file-filters');
+
+const file = (path, content = '', size = 0) => ({
+  path,
+  content: content + ' '.repeat(size),
+  priority: getFilePriority(path)
+});
+const paths = batch => batch.map(f => f.path);
+
+test('converts config first, then definitions, then dependencies before their users', () => {
+  const { batches } = createBatches([
+    file('src/pages/home.ts', `import { api } from '../api';`, 500),
+    file('src/api.ts', `import { User } from './types/user';`, 500),
+    file('src/types/user.ts', '', 500),
+    file('package.json', '{}', 500)
+  ], { sizeLimit: 600 });
+
+  assert.deepEqual(batches.map(paths), [['package.json'], ['src/types/user.ts'], ['src/api.ts'], ['src/pages/home.ts']]);
+});
+
+test('keeps files that import each other in one batch', () => {
+  const { batches } = createBatches([
+    file('src/a.ts', `import { b } from './b';`, 300),
+    file('src/other.ts', '', 300),
+    file('src/b.ts', `import { a } from './a';\nimport { c } from './c';`, 300),
+    file('src/c.ts', '', 300)
+  ], { sizeLimit: 1000 });
+
+  assert.deepEqual(batches.map(paths), [['src/c.ts', 'src/b.ts', 'src/a.ts'], ['src/other.ts']]);
+});
+
+test('lists what a batch imports from earlier batches', () => {
+  const { batches, graph } = createBatches([
+    file('src/a.ts', `import { b } from './b';`, 300),
+    file('src/b.ts', `import { a } from './a';\nimport { c } from './c';`, 300),
+    file('src/c.ts', '', 600)
+  ], { sizeLimit: 1000 });
+
+  assert.deepEqual(batches.map(paths), [['src/c.ts'], ['src/b.ts', 'src/a.ts']]);
+  assert.deepEqual(getBatchDependencies(batches[1], graph), ['src/c.ts']);
+  assert.deepEqual(getBatchDependencies(batches[0], graph), []);
+});
+
+test('puts a file over the size limit in a batch of its own', () => {
+  const { batches } = createBatches([
+    file('src/small.ts', '', 10),
+    file('src/huge.ts', '', 5000),
+    file('src/tiny.ts', '', 10)
+  ], { sizeLimit: 1000 });
+
+  assert.deepEqual(batches.map(paths), [['src/small.ts'], ['src/huge.ts'], ['src/tiny.ts']]);
+});
+
+test('names the stage of a file', () => {
+  assert.equal(getStageName(file('package.json')), 'config');
+  assert.equal(getStageName(file('src/models/user.py')), 'definitions');
+  assert.equal(getStageName(file('src/views.py')), 'other');
+});
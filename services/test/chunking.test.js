@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { isLargeFile, splitIntoChunks, LARGE_FILE_THRESHOLD } = require('../lib/chunking');
+
+const functions = count => Array.from({ length: count }, (_, i) => `function f${i}() {\n  return ${i};\n}\n`).join('');
+
+test('only files above the threshold are large', () => {
+  assert.ok(!isLargeFile({ path: 'a.js', content: 'x'.repeat(LARGE_FILE_THRESHOLD) }));
+  assert.ok(isLargeFile({ path: 'a.js', content: 'x'.repeat(LARGE_FILE_THRESHOLD + 1) }));
+});
+
+test('chunks rejoin to the original content and stay under the size cap', () => {
+  const file = { path: 'big.js', content: functions(500) };
+  const chunks = splitIntoChunks(file, 1000);
+
+  assert.ok(chunks.length > 1);
+  assert.equal(chunks.join('\n'), file.content);
+  assert.ok(chunks.every(chunk => chunk.length <= 1000));
+});
+
+test('cuts at declarations rather than inside them', () => {
+  const chunks = splitIntoChunks({ path: 'big.js', content: functions(100) }, 500);
+  assert.ok(chunks.every(chunk => chunk.startsWith('function ')));
+});
+
+test('cuts SQL after complete statements', () => {
+  const content = Array.from({ length: 200 }, (_, i) => `INSERT INTO t (id)\nVALUES (${i});`).join('\n');
+  const chunks = splitIntoChunks({ path: 'seed.sql', content }, 500);
+
+  assert.equal(chunks.join('\n'), content);
+  assert.ok(chunks.every(chunk => chunk.trimEnd().endsWith(';')));
+});
+
+test('keeps a single line longer than the cap in one chunk', () => {
+  const line = 'x'.repeat(2000);
+  const chunks = splitIntoChunks({ path: 'min.js', content: `a\n${line}\nb` }, 1000);
+
+  assert.ok(chunks.includes(line));
+  assert.equal(chunks.join('\n'), `a\n${line}\nb`);
+});
@@ -0,0 +1,100 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'staxchange-cache-'));
+Object.assign(process.env, { CONVERSION_CACHE_DIR: cacheDir, CONVERSION_CACHE_MAX_ENTRIES: '3' });
+
+const { lookupConversions, storeConversions } = require('../lib/conversion-cache');
+
+after(() => fs.rmSync(cacheDir, { recursive: true, force: true }));
+
+const options = {
+  target: { language: 'csharp', framework: 'aspnet', database: 'postgresql' },
+  model: 'test-model',
+  promptVersion: 1
+};
+
+const source = (name, sha = `sha-${name}`) => ({ path: name, sha, content: '' });
+const output = (name, originalPath, extra = {}) => ({ path: name, originalPath, content: `// ${name}`, ...extra });
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Every entry file with the source path it caches
+function listEntries() {
+  return fs.readdirSync(cacheDir, { recursive: true })
+    .map(name => path.join(cacheDir, name))
+    .filter(file => file.endsWith('.json'))
+    .map(file => ({ file, source: JSON.parse(fs.readFileSync(file, 'utf8')).source }));
+}
+
+function setLastUsed(sourcePath, msAgo) {
+  const time = new Date(Date.now() - msAgo);
+  fs.utimesSync(listEntries().find(e => e.source === sourcePath).file, time, time);
+}
+
+function store(...names) {
+  const sources = names.map(name => source(name));
+  storeConversions(sources, names.map(name => output(`${name}.cs`, name)), options);
+  return sources;
+}
+
+test('replays stored outputs for an unchanged source', () => {
+  const a = source('a.js');
+  storeConversions([a], [output('A.cs', 'a.js'), output('AModel.cs', 'a.js', { cached: true })], options);
+
+  const hits = lookupConversions([a], options);
+  assert.deepEqual(hits.get('a.js').map(f => f.path), ['A.cs', 'AModel.cs']);
+  assert.ok(hits.get('a.js').every(f => f.cached));
+});
+
+test('misses when the source, model or target changes', () => {
+  const b = source('b.js');
+  storeConversions([b], [output('B.cs', 'b.js')], options);
+
+  assert.equal(lookupConversions([source('b.js', 'other-sha')], options).size, 0);
+  assert.equal(lookupConversions([b], { ...options, model: 'other-model' }).size, 0);
+  assert.equal(lookupConversions([b], { ...options, target: { ...options.target, language: 'java' } }).size, 0);
+  assert.equal(lookupConversions([{ path: 'b.js' }], options).size, 0);
+});
+
+test('skips fallback, partial, merged and invalid outputs', () => {
+  const sources = ['c.js', 'd.js', 'e.js', 'f.js', 'g.js'].map(name => source(name));
+  storeConversions(sources, [
+    output('C.cs', 'c.js', { isFallback: true }),
+    output('D.cs', 'd.js', { failedChunks: [2] }),
+    output('EF.cs', ['e.js', 'f.js']),
+    output('G.cs', 'g.js', { invalid: true })
+  ], options);
+
+  assert.equal(lookupConversions(sources, options).size, 0);
+});
+
+test('evicts the least recently used entries beyond the limit', () => {
+  fs.rmSync(cacheDir, { recursive: true, force: true });
+  const [h, i, j] = store('h.js', 'i.js', 'j.js');
+  setLastUsed('h.js', 3 * DAY_MS);
+  setLastUsed('i.js', 2 * DAY_MS);
+  setLastUsed('j.js', DAY_MS);
+
+  // A hit counts as a use
+  assert.equal(lookupConversions([h], options).size, 1);
+  const [k] = store('k.js');
+
+  assert.deepEqual(listEntries().map(e => e.source).sort(), ['h.js', 'j.js', 'k.js']);
+  assert.deepEqual([...lookupConversions([h, i, j, k], options).keys()], ['h.js', 'j.js', 'k.js']);
+});
+
+test('expires entries that have not been used for the TTL', () => {
+  fs.rmSync(cacheDir, { recursive: true, force: true });
+  const [l] = store('l.js', 'm.js');
+  setLastUsed('l.js', 31 * DAY_MS);
+
+  assert.equal(lookupConversions([l], options).size, 0);
+  assert.deepEqual(listEntries().map(e => e.source), ['m.js']);
+
+  setLastUsed('m.js', 31 * DAY_MS);
+  store('n.js');
+  assert.deepEqual(listEntries().map(e => e.source), ['n.js']);
+});
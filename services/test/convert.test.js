@@ -0,0 +1,269 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const JSZip = require('jszip');
+const { createTestApp } = require('./helpers/app');
+
+// Drives POST /api/convert end to end with the mock provider and an uploaded
+// archive, so no network or API keys are needed. Tests that need the model
+// to misbehave register a mock set up to do so.
+
+const server = createTestApp();
+const { api } = server;
+const { registerProvider } = require('../lib/llm');
+const { createMockProvider } = require('../lib/llm/mock');
+
+const target = { language: 'csharp', framework: 'aspnet', database: 'postgresql' };
+
+before(() => server.start());
+after(() => server.close());
+
+async function upload(files) {
+  const zip = new JSZip();
+  Object.entries(files).forEach(([name, content]) => zip.file(`project/${name}`, content));
+
+  const resp = await fetch(server.url('/api/uploads?name=project.zip'), {
+    method: 'POST',
+    headers: { cookie: server.cookie, 'Content-Type': 'application/octet-stream' },
+    body: await zip.generateAsync({ type: 'nodebuffer' })
+  });
+  assert.equal(resp.status, 201);
+  return (await resp.json()).id;
+}
+
+// Registers a provider for one test; pass the name as `provider`
+function useProvider(name, createProvider) {
+  registerProvider(name, createProvider);
+  return name;
+}
+
+// Starts a conversion of the upload (uncached unless asked) and waits for
+// the job to finish
+async function convert(uploadId, options = {}) {
+  const started = await api('POST', '/api/convert', { uploadId, target, validate: false, cache: false, ...options });
+  assert.equal(started.status, 202);
+
+  for (;;) {
+    const { body: job } = await api('GET', `/api/convert/${started.body.id}`);
+    if (!['queued', 'running'].includes(job.status)) return job;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+test('converts every file of an upload', async () => {
+  const uploadId = await upload({
+    'src/a.js': 'module.exports = 1;\n',
+    'src/b.js': 'module.exports = 2;\n'
+  });
+
+  const job = await convert(uploadId);
+  assert.equal(job.status, 'completed');
+  assert.deepEqual(job.files.map(f => f.path).sort(), ['src/a.js', 'src/b.js']);
+  assert.equal(job.files.find(f => f.path === 'src/a.js').content, 'module.exports = 1;\n');
+  assert.equal(job.summary.coverage.converted, 2);
+  assert.ok(job.batchResults.every(b => b.status === 'success'));
+});
+
+function coverageOf(job, sourcePath) {
+  return job.summary.coverage.files.find(f => f.path === sourcePath).status;
+}
+
+test('splits a failing batch so only the failing file falls back', async () => {
+  const uploadId = await upload({
+    'src/ok.js': 'module.exports = 1;\n',
+    'src/bad.js': 'module.exports = 2;\n'
+  });
+  const provider = useProvider('fail-bad', ({ model }) => createMockProvider({ model, fail: f => f.path === 'src/bad.js' }));
+
+  const job = await convert(uploadId, { provider });
+  assert.equal(job.status, 'completed');
+  assert.equal(coverageOf(job, 'src/ok.js'), 'converted');
+  assert.equal(coverageOf(job, 'src/bad.js'), 'fallback');
+  assert.ok(job.files.find(f => f.originalPath === 'src/bad.js').isFallback);
+  assert.equal(job.batchResults[0].status, 'partial');
+  // Three attempts together, then three (bad) or one (ok) on its own
+  assert.deepEqual(Object.fromEntries(job.batchResults[0].files.map(f => [f.path, f.attempts])), { 'src/bad.js': 6, 'src/ok.js': 4 });
+  assert.ok(job.warnings.fallbackFiles.includes('src/bad.js'));
+});
+
+test('falls back for every file of a batch that keeps failing', async () => {
+  const uploadId = await upload({ 'src/bad.js': 'module.exports = 1;\n' });
+  const provider = useProvider('fail-all', ({ model }) => createMockProvider({ model, fail: () => true }));
+
+  const job = await convert(uploadId, { provider });
+  assert.equal(job.status, 'completed');
+  assert.equal(job.batchResults[0].status, 'fallback');
+  assert.equal(job.batchResults[0].files[0].attempts, 3);
+  assert.equal(job.summary.fallbackFiles, 1);
+});
+
+test('retries files the model left out and reports them as dropped', async () => {
+  const uploadId = await upload({
+    'src/ok.js': 'module.exports = 1;\n',
+    'src/gone.js': 'module.exports = 2;\n'
+  });
+  const provider = useProvider('drop-gone', ({ model }) => createMockProvider({ model, drop: f => f.path === 'src/gone.js' }));
+
+  const job = await convert(uploadId, { provider });
+  assert.equal(job.status, 'completed');
+  assert.equal(coverageOf(job, 'src/ok.js'), 'converted');
+  assert.equal(coverageOf(job, 'src/gone.js'), 'dropped');
+  assert.equal(job.batchResults[0].files.find(f => f.path === 'src/gone.js').status, 'dropped');
+  assert.ok(job.files.find(f => f.originalPath === 'src/gone.js').isFallback);
+  assert.deepEqual(job.warnings.droppedFiles, ['src/gone.js']);
+});
+
+// Over the 100 KB that makes a file convert in chunks
+const largeFile = Array.from({ length: 5000 }, (_, i) => `function f${i}() { return ${i}; }`).join('\n');
+
+test('marks a large file partial when one of its chunks falls back', async () => {
+  const uploadId = await upload({ 'src/big.js': largeFile });
+  const provider = useProvider('fail-last-chunk', ({ model }) => createMockProvider({ model, fail: f => f.content.includes('function f4999()') }));
+
+  const job = await convert(uploadId, { provider });
+  assert.equal(job.status, 'completed');
+  assert.equal(coverageOf(job, 'src/big.js'), 'partial');
+
+  const [file] = job.batchResults[0].files;
+  assert.equal(file.status, 'partial');
+  assert.ok(file.chunks > 1);
+  assert.deepEqual(job.files[0].failedChunks, [file.chunks]);
+});
+
+test('stitches the chunks of a large file and keeps other files the model split out', async () => {
+  const uploadId = await upload({ 'src/big.js': largeFile });
+  const mock = createMockProvider();
+  const provider = useProvider('split-out-models', () => ({
+    name: 'split-out-models',
+    model: 'mock',
+    async complete(request) {
+      const { files } = JSON.parse(await mock.complete(request));
+      return JSON.stringify({ files: [...files, { path: 'src/models.js', content: '// models', originalPath: 'src/big.js' }] });
+    }
+  }));
+
+  const job = await convert(uploadId, { provider });
+  const chunks = job.batchResults[0].files[0].chunks;
+  assert.equal(job.status, 'completed');
+  assert.deepEqual(job.files.map(f => f.path), ['src/big.js', 'src/models.js']);
+  // The mock ends every part with a newline
+  assert.equal(job.files[0].content.split('\n').filter(Boolean).join('\n'), largeFile);
+  assert.equal(job.files[1].content, Array(chunks).fill('// models').join('\n'));
+  assert.equal(coverageOf(job, 'src/big.js'), 'converted');
+});
+
+// A provider whose first `failures` calls throw `error`
+function failingProvider(error, failures = Infinity) {
+  const provider = { name: 'failing', model: 'failing', calls: 0 };
+  const mock = createMockProvider();
+  provider.complete = async (request) => {
+    if (provider.calls++ < failures) throw Object.assign(new Error(error.message), error);
+    return mock.complete(request);
+  };
+  return provider;
+}
+
+test('fails the job on API errors no retry can fix', async () => {
+  const uploadId = await upload({ 'src/a.js': 'module.exports = 1;\n' });
+  const failing = failingProvider({ message: 'failing API error 401: bad key', status: 401 });
+
+  const job = await convert(uploadId, { provider: useProvider('unauthorized', () => failing) });
+  assert.equal(job.status, 'failed');
+  assert.match(job.error_message, /401/);
+  assert.equal(failing.calls, 1);
+});
+
+test('waits out rate limits and fails on ones too long to wait for', async () => {
+  const uploadId = await upload({ 'src/a.js': 'module.exports = 1;\n' });
+
+  const limited = failingProvider({ message: 'failing API error 429', status: 429, retryAfterMs: 50 }, 1);
+  const started = Date.now();
+  const job = await convert(uploadId, { provider: useProvider('rate-limited', () => limited) });
+  assert.equal(job.status, 'completed');
+  assert.equal(limited.calls, 2);
+  assert.ok(Date.now() - started >= 50);
+
+  const exhausted = failingProvider({ message: 'failing API error 429', status: 429, retryAfterMs: 60 * 60 * 1000 });
+  const failed = await convert(uploadId, { provider: useProvider('rate-limited-for-long', () => exhausted) });
+  assert.equal(failed.status, 'failed');
+  assert.equal(exhausted.calls, 1);
+});
+
+test('rejects invalid requests', async () => {
+  const uploadId = await upload({ 'src/a.js': 'module.exports = 1;\n' });
+
+  const noTarget = await api('POST', '/api/convert', { uploadId });
+  assert.equal(noTarget.status, 400);
+
+  const unknownProvider = await api('POST', '/api/convert', { uploadId, target, provider: 'nope' });
+  assert.equal(unknownProvider.status, 400);
+
+  const unknownUpload = await api('POST', '/api/convert', { uploadId: 'nope', target });
+  assert.equal(unknownUpload.status, 404);
+
+  const unknownJob = await api('GET', '/api/convert/nope');
+  assert.equal(unknownJob.status, 404);
+});
+
+test('analyzes an upload without building the provider', async () => {
+  const uploadId = await upload({
+    'package.json': '{ "dependencies": { "express": "^4" } }\n',
+    'src/a.js': 'module.exports = 1;\n'
+  });
+  delete process.env.OPENROUTER_API_KEY;
+
+  const { status, body } = await api('POST', '/api/analyze', { uploadId, provider: 'openrouter' });
+  assert.equal(status, 200);
+  assert.equal(body.model, 'z-ai/glm-4.5-air:free');
+  assert.equal(body.sourceStack.summary, 'JavaScript/Express/none');
+  assert.equal(body.totalFiles, 2);
+  assert.equal(body.estimate.estimatedCost, 0);
+});
+
+test('plans a dry run with the files and filters the real run would use', async () => {
+  const uploadId = await upload({
+    'src/a.js': 'module.exports = 1;\n',
+    'src/b.js': 'module.exports = 2;\n',
+    'scripts/tool.js': 'module.exports = 3;\n'
+  });
+
+  const plan = await api('POST', '/api/convert', { uploadId, target, dryRun: true, exclude: ['scripts/'] });
+  assert.equal(plan.status, 200);
+  assert.equal(plan.body.totals.files, 2);
+  assert.ok(plan.body.skippedFiles.some(f => f.path === 'scripts/tool.js'));
+
+  const previous = await convert(uploadId, { exclude: ['scripts/'] });
+  assert.equal(previous.status, 'completed');
+
+  const rerun = await api('POST', '/api/convert', { uploadId, target, dryRun: true, previousConversionId: previous.id, paths: ['src/b.js'] });
+  assert.equal(rerun.status, 200);
+  assert.deepEqual(rerun.body.batches.flatMap(b => b.files.map(f => f.path)), ['src/b.js']);
+  assert.ok(rerun.body.skippedFiles.some(f => f.path === 'scripts/tool.js'));
+});
+
+test('only lets the user who uploaded an archive use it', async () => {
+  const uploadId = await upload({ 'src/a.js': 'module.exports = 1;\n' });
+  const other = { cookie: server.signIn('someone-else') };
+
+  const converted = await api('POST', '/api/convert', { uploadId, target }, other);
+  assert.equal(converted.status, 404);
+
+  const analyzed = await api('POST', '/api/analyze', { uploadId }, other);
+  assert.equal(analyzed.status, 404);
+
+  assert.equal((await api('POST', '/api/analyze', { uploadId })).status, 200);
+});
+
+test('reuses cached conversions of unchanged files on the next run', async () => {
+  const uploadId = await upload({
+    'src/cached-a.js': 'module.exports = "a";\n',
+    'src/cached-b.js': 'module.exports = "b";\n'
+  });
+
+  const first = await convert(uploadId, { cache: true });
+  assert.equal(first.summary.cachedFiles, 0);
+
+  const again = await convert(uploadId, { cache: true });
+  assert.equal(again.status, 'completed');
+  assert.equal(again.summary.cachedFiles, 2);
+  assert.ok(again.files.every(f => f.cached));
+});
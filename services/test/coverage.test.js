@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getSourcePaths, findMissingSources, buildCoverage } = require('../lib/coverage');
+
+test('reads one or several source paths from an output', () => {
+  assert.deepEqual(getSourcePaths({ originalPath: './src/a.js' }), ['src/a.js']);
+  assert.deepEqual(getSourcePaths({ originalPath: 'src/a.js, src/b.js' }), ['src/a.js', 'src/b.js']);
+  assert.deepEqual(getSourcePaths({ originalPath: ['/src/a.js', ''] }), ['src/a.js']);
+  assert.deepEqual(getSourcePaths({}), []);
+});
+
+test('finds sources no output accounts for', () => {
+  const batch = [{ path: 'a.js' }, { path: 'b.js' }, { path: 'c.js' }];
+  const missing = findMissingSources(batch, [{ path: 'A.cs', originalPath: 'a.js' }, { path: 'BC.cs', originalPath: 'b.js' }]);
+  assert.deepEqual(missing.map(f => f.path), ['c.js']);
+});
+
+test('reports the status of every source', () => {
+  const originals = ['a.js', 'b.js', 'c.js', 'd.js', 'e.js', 'f.js', 'g.js'].map(path => ({ path }));
+  const coverage = buildCoverage(originals, [
+    { path: 'A.cs', originalPath: 'a.js' },
+    { path: 'BC.cs', originalPath: 'b.js,c.js' },
+    { path: 'D.cs', originalPath: 'd.js', failedChunks: [2] },
+    { path: 'E.cs', originalPath: 'e.js', isFallback: true },
+    { path: 'F.cs', originalPath: 'f.js', isFallback: true }
+  ], { dropped: ['f.js'] });
+
+  assert.deepEqual(coverage.files.map(f => [f.path, f.status]), [
+    ['a.js', 'converted'],
+    ['b.js', 'merged'],
+    ['c.js', 'merged'],
+    ['d.js', 'partial'],
+    ['e.js', 'fallback'],
+    ['f.js', 'dropped'],
+    ['g.js', 'dropped']
+  ]);
+  assert.deepEqual(coverage.files[1].outputs, ['BC.cs']);
+  assert.deepEqual(
+    [coverage.total, coverage.converted, coverage.merged, coverage.partial, coverage.fallback, coverage.dropped],
+    [7, 1, 2, 1, 1, 2]
+  );
+});
@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { IGNORE_FILE, createFileFilter, getFilePriority } = require('../lib/file-filters');
+
+const accepted = (filter, paths) => paths.filter(filter);
+
+test('keeps source and config files and skips tool output, lock files and docs by default', () => {
+  const filter = createFileFilter();
+
+  assert.deepEqual(accepted(filter, [
+    'src/index.ts',
+    'Dockerfile',
+    'requirements.txt',
+    'config/app.yml',
+    'node_modules/x/index.js',
+    'dist/bundle.js',
+    'package-lock.json',
+    'README.md',
+    'docs/guide.mdx',
+    'LICENSE.txt',
+    'CHANGELOG',
+    'logo.png',
+    IGNORE_FILE
+  ]), ['src/index.ts', 'Dockerfile', 'requirements.txt', 'config/app.yml']);
+});
+
+test('include globs replace the default file types but not the skipped folders', () => {
+  const filter = createFileFilter({ include: ['src/**', '*.md'] });
+
+  assert.deepEqual(accepted(filter, ['src/a.js', 'src/logo.svg', 'lib/b.js', 'README.md', 'src/node_modules/c.js']),
+    ['src/a.js', 'src/logo.svg', 'README.md']);
+});
+
+test('exclude globs and .staxchangeignore rules remove files', () => {
+  const filter = createFileFilter({
+    exclude: 'generated/, *.spec.ts',
+    ignoreRules: '# vendored\nvendor/\n'
+  });
+
+  assert.deepEqual(accepted(filter, ['src/a.ts', 'src/a.spec.ts', 'generated/api.ts', 'vendor/lib.js', 'app.js']),
+    ['src/a.ts', 'app.js']);
+});
+
+test('orders manifests first, then entry points', () => {
+  const paths = ['src/util.js', 'src/index.js', 'package.json'];
+  assert.deepEqual(paths.sort((a, b) => getFilePriority(a) - getFilePriority(b)), ['package.json', 'src/index.js', 'src/util.js']);
+});
@@ -0,0 +1,52 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp } = require('./helpers/app');
+const { createGitHub } = require('./helpers/github');
+
+// POST /api/github-create against a fake GitHub
+
+const server = createTestApp();
+const github = createGitHub();
+const { api } = server;
+
+before(async () => {
+  await github.start();
+  await server.start();
+});
+after(() => {
+  server.close();
+  github.close();
+});
+
+const files = [{ path: 'Program.cs', content: 'Start();\n' }, { path: 'src/A.cs', content: 'class A {}\n' }];
+
+test('creates a repository with the files in one commit', async () => {
+  const { status, body } = await api('POST', '/api/github-create', {
+    repoName: 'converted',
+    files,
+    isPrivate: true,
+    topics: ['C#', 'ASP.NET Core', 'c#']
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.created, true);
+  assert.deepEqual(body.repository, { name: 'converted', full_name: 'tester/converted', owner: 'tester', private: true });
+  assert.deepEqual(github.repos.get('tester/converted').topics, ['csharp', 'asp-net-core']);
+  assert.deepEqual(Object.keys(github.files('tester/converted')).sort(), ['Program.cs', 'README.md', 'src/A.cs']);
+});
+
+test('continues an export into the existing repository only when asked to', async () => {
+  github.push('tester/existing', { 'README.md': 'hi\n', 'Program.cs': 'Start();\n' });
+
+  const conflict = await api('POST', '/api/github-create', { repoName: 'existing', files });
+  assert.equal(conflict.status, 409);
+  assert.equal(conflict.body.code, 'repo_exists');
+
+  const resumed = await api('POST', '/api/github-create', { repoName: 'existing', files, useExisting: true });
+  assert.equal(resumed.status, 200);
+  assert.equal(resumed.body.created, false);
+  assert.deepEqual({ added: resumed.body.upload_stats.added, unchanged: resumed.body.upload_stats.unchanged }, { added: 1, unchanged: 1 });
+
+  const again = await api('POST', '/api/github-create', { repoName: 'existing', files, useExisting: true });
+  assert.equal(again.body.upload_stats.commit, null);
+});
@@ -0,0 +1,122 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createGitHub } = require('./helpers/github');
+const { commitFiles } = require('../lib/github-export');
+
+// Single-commit exports through the Git Data API of a fake GitHub
+
+const github = createGitHub();
+const token = 'test-token';
+
+before(() => github.start());
+after(() => github.close());
+beforeEach(() => {
+  github.requests.length = 0;
+  github.intercept = () => false;
+});
+
+const requested = request => github.requests.filter(r => r.startsWith(request)).length;
+
+test('commits every file in one commit on a new branch', async () => {
+  const base = github.push('acme/one', { 'README.md': 'hello\n', 'src/a.js': 'a\n' });
+
+  const stats = await commitFiles(token, 'acme', 'one', [
+    { path: 'src/a.js', content: 'a\n' },
+    { path: 'src/A.cs', content: 'class A {}\n' },
+    { path: '/Program.cs', content: 'Main();\n' },
+    { content: 'no path' }
+  ], { branch: 'convert', baseSha: base, message: 'Convert to C#' });
+
+  assert.deepEqual(github.files('acme/one', 'convert'), {
+    'README.md': 'hello\n',
+    'src/a.js': 'a\n',
+    'src/A.cs': 'class A {}\n',
+    'Program.cs': 'Main();\n'
+  });
+  assert.equal(github.files('acme/one', 'main')['src/A.cs'], undefined);
+  assert.equal(requested('POST /repos/acme/one/git/commits'), 1);
+  assert.equal(requested('POST /repos/acme/one/git/blobs'), 2);
+
+  const repo = github.repos.get('acme/one');
+  const commit = repo.commits.get(repo.branches.get('convert'));
+  assert.equal(stats.commit, repo.branches.get('convert'));
+  assert.equal(commit.message, 'Convert to C#');
+  assert.deepEqual(commit.parents, [base]);
+  assert.deepEqual({ added: stats.added, updated: stats.updated, unchanged: stats.unchanged, failed: stats.failed },
+    { added: 2, updated: 0, unchanged: 1, failed: 1 });
+});
+
+test('leaves an up to date branch alone and only commits what changed', async () => {
+  github.push('acme/again', { 'a.cs': 'a\n', 'b.cs': 'b\n' });
+  const files = [{ path: 'a.cs', content: 'a\n' }, { path: 'b.cs', content: 'b\n' }];
+
+  const unchanged = await commitFiles(token, 'acme', 'again', files, { branch: 'main', message: 'Export' });
+  assert.equal(unchanged.commit, null);
+  assert.equal(unchanged.unchanged, 2);
+  assert.equal(requested('POST'), 0);
+
+  const updated = await commitFiles(token, 'acme', 'again', [...files.slice(0, 1), { path: 'b.cs', content: 'B\n' }], { branch: 'main', message: 'Export' });
+  assert.equal(updated.updated, 1);
+  assert.equal(github.repos.get('acme/again').branches.get('main'), updated.commit);
+  assert.deepEqual(github.files('acme/again'), { 'a.cs': 'a\n', 'b.cs': 'B\n' });
+});
+
+test('removes deleted paths that exist and are not written again', async () => {
+  github.push('acme/deletes', { 'old.cs': 'old\n', 'kept.cs': 'kept\n', 'moved.cs': 'moved\n' });
+
+  const stats = await commitFiles(token, 'acme', 'deletes', [{ path: 'moved.cs', content: 'moved again\n' }], {
+    branch: 'main',
+    message: 'Sync',
+    deletions: ['old.cs', 'moved.cs', 'missing.cs']
+  });
+
+  assert.equal(stats.deleted, 1);
+  assert.deepEqual(github.files('acme/deletes'), { 'kept.cs': 'kept\n', 'moved.cs': 'moved again\n' });
+
+  const onlyDeletions = await commitFiles(token, 'acme', 'deletes', [], { branch: 'main', message: 'Sync', deletions: ['kept.cs'] });
+  assert.equal(onlyDeletions.deleted, 1);
+  assert.deepEqual(Object.keys(github.files('acme/deletes')), ['moved.cs']);
+});
+
+test('commits nothing when uploads fail and retries only those next time', async () => {
+  const base = github.push('acme/partial', { 'README.md': 'hi\n' });
+  const files = ['a', 'b', 'c'].map(name => ({ path: `${name}.cs`, content: `${name}\n` }));
+  const bad = Buffer.from('c\n').toString('base64');
+  github.intercept = (req, res) => req.method === 'POST' && req.body?.content === bad && res.status(422).json({ message: 'Invalid' });
+
+  await assert.rejects(commitFiles(token, 'acme', 'partial', files, { branch: 'export', baseSha: base, message: 'Export' }), (error) => {
+    assert.equal(error.status, 502);
+    assert.deepEqual(error.uploadStats.failed_files.map(f => f.path), ['c.cs']);
+    assert.equal(error.uploadStats.commit, null);
+    return true;
+  });
+  assert.equal(github.repos.get('acme/partial').branches.has('export'), false);
+
+  github.intercept = () => false;
+  github.requests.length = 0;
+  const stats = await commitFiles(token, 'acme', 'partial', files, { branch: 'export', baseSha: base, message: 'Export' });
+
+  assert.equal(requested('POST /repos/acme/partial/git/blobs'), 1);
+  assert.equal(stats.added, 3);
+  assert.deepEqual(Object.keys(github.files('acme/partial', 'export')).sort(), ['README.md', 'a.cs', 'b.cs', 'c.cs']);
+});
+
+test('fails without moving the branch when it changed during the export', async () => {
+  github.push('acme/race', { 'a.cs': 'a\n' });
+  github.intercept = (req) => {
+    if (req.method === 'POST' && req.path.endsWith('/git/commits')) {
+      github.push('acme/race', { 'a.cs': 'a\n', 'other.cs': 'pushed meanwhile\n' });
+    }
+    return false;
+  };
+
+  await assert.rejects(commitFiles(token, 'acme', 'race', [{ path: 'b.cs', content: 'b\n' }], { branch: 'main', message: 'Export' }), { status: 422 });
+  assert.deepEqual(github.files('acme/race'), { 'a.cs': 'a\n', 'other.cs': 'pushed meanwhile\n' });
+});
+
+test('rejects exports with nothing to commit or no base branch', async () => {
+  github.push('acme/empty', { 'a.cs': 'a\n' });
+
+  await assert.rejects(commitFiles(token, 'acme', 'empty', [{ content: 'x' }], { branch: 'main', message: 'Export' }), { status: 400 });
+  await assert.rejects(commitFiles(token, 'acme', 'empty', [{ path: 'b.cs', content: 'b\n' }], { branch: 'new', baseBranch: 'nope', message: 'Export' }), { status: 404 });
+});
@@ -0,0 +1,68 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp } = require('./helpers/app');
+const { createGitHub } = require('./helpers/github');
+
+// POST /api/github-pr against a fake GitHub
+
+const server = createTestApp();
+const github = createGitHub();
+const { api } = server;
+
+before(async () => {
+  await github.start();
+  await server.start();
+});
+after(() => {
+  server.close();
+  github.close();
+});
+
+const summary = { target: { language: 'csharp', framework: 'aspnet', database: 'postgresql' } };
+
+test('opens a pull request from a new branch of the source repository', async () => {
+  github.push('acme/app', { 'api/index.js': 'start();\n', 'web/app.js': 'render();\n' });
+
+  const { status, body } = await api('POST', '/api/github-pr', {
+    owner: 'acme',
+    repo: 'app',
+    branchName: 'staxchange/csharp',
+    rootPath: 'api',
+    files: [{ path: 'Program.cs', content: 'Start();\n' }, { path: 'Stub.cs', content: '// TODO\n', isFallback: true }],
+    summary
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.repository.forked, false);
+  assert.deepEqual(body.pull_request, { number: 1, title: 'Migrate to csharp / aspnet / postgresql (StaxChange)', head: 'staxchange/csharp', base: 'main' });
+  assert.deepEqual(Object.keys(github.files('acme/app', 'staxchange/csharp')).sort(),
+    ['api/Program.cs', 'api/Stub.cs', 'api/index.js', 'web/app.js']);
+
+  const [pull] = github.repos.get('acme/app').pulls;
+  assert.equal(pull.head, 'staxchange/csharp');
+  assert.match(pull.body, /## Fallback files\n\n.*\n\n- `api\/Stub\.cs`/);
+});
+
+test('exports through a fork when the user cannot push to the repository', async () => {
+  github.createRepo('upstream/lib', { canPush: false });
+  github.push('upstream/lib', { 'index.js': 'start();\n' });
+
+  const { status, body } = await api('POST', '/api/github-pr', {
+    owner: 'upstream',
+    repo: 'lib',
+    branchName: 'convert',
+    files: [{ path: 'Program.cs', content: 'Start();\n' }],
+    summary
+  });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.repository, { name: 'lib', full_name: 'tester/lib', owner: 'tester', forked: true });
+  assert.deepEqual(Object.keys(github.files('tester/lib', 'convert')).sort(), ['Program.cs', 'index.js']);
+  assert.equal(github.repos.get('upstream/lib').branches.has('convert'), false);
+  assert.equal(github.repos.get('upstream/lib').pulls[0].head, 'tester:convert');
+});
+
+test('rejects exports without a repository or files', async () => {
+  assert.equal((await api('POST', '/api/github-pr', { owner: 'acme', files: [] })).status, 400);
+  assert.equal((await api('POST', '/api/github-pr', { owner: 'acme', repo: 'app', files: [] })).status, 400);
+});
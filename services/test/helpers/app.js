@@ -0,0 +1,60 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Runs the server for the route tests, with its data in a temporary folder,
+// the mock model and retry delays of a millisecond. The environment is set
+// before the app is loaded, so create it before requiring anything else
+// from lib/.
+function createTestApp() {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'staxchange-test-'));
+  Object.assign(process.env, {
+    NODE_ENV: 'test',
+    LLM_PROVIDER: 'mock',
+    LLM_RETRY_DELAY_MS: '1',
+    LLM_BATCH_DELAY_MS: '1',
+    HISTORY_DIR: path.join(dataDir, 'history'),
+    CONVERSION_CACHE_DIR: path.join(dataDir, 'cache'),
+    SESSION_STORE_PATH: path.join(dataDir, 'sessions.json'),
+    SESSION_SECRET: 'test-secret'
+  });
+
+  const app = require('../../index');
+  const { createSession } = require('../../lib/sessions');
+  let server;
+  let baseUrl;
+
+  const testApp = {
+    dataDir,
+    // Cookie header of a new session; `cookie` is the default user's
+    signIn: (login, token = `${login}-token`) => `staxchange_session=${createSession(token, { login })}`,
+    cookie: null,
+    url: (pathname) => `${baseUrl}${pathname}`,
+
+    async start() {
+      server = app.listen(0);
+      await new Promise(resolve => server.once('listening', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      testApp.cookie = testApp.signIn('tester', 'test-token');
+    },
+
+    close() {
+      server.close();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    },
+
+    // JSON request as the default user unless other headers are given
+    async api(method, url, body, headers = { cookie: testApp.cookie }) {
+      const resp = await fetch(testApp.url(url), {
+        method,
+        headers: { ...headers, ...(body && { 'Content-Type': 'application/json' }) },
+        body: body && JSON.stringify(body)
+      });
+      return { status: resp.status, body: await resp.json() };
+    }
+  };
+
+  return testApp;
+}
+
+module.exports = { createTestApp };
@@ -0,0 +1,286 @@
+const zlib = require('zlib');
+const express = require('express');
+const { getBlobSha } = require('../../lib/github');
+const { tarEntry, tar } = require('./tar');
+
+// In-memory stand-in for the GitHub API. Each repository is a small git
+// object store: blobs, flat trees (path -> blob sha) and commits, with
+// branches pointing at commits, plus the pull requests opened on it. The
+// token's user is `login`. start() listens on a free port and points
+// GITHUB_API_URL at it. `intercept(req, res)` sees every request first and
+// answers it itself by returning something truthy, to inject failures.
+
+let counter = 0;
+const nextSha = () => (++counter).toString(16).padStart(40, '0');
+
+function createGitHub() {
+  const repos = new Map();
+  const app = express();
+  let server;
+
+  const github = {
+    repos,
+    login: 'tester',
+    requests: [],
+    intercept: () => false
+  };
+
+  function getRepo(req) {
+    return repos.get(`${req.params.owner}/${req.params.repo}`);
+  }
+
+  function addTree(repo, files) {
+    const sha = nextSha();
+    repo.trees.set(sha, files);
+    return sha;
+  }
+
+  function addCommit(repo, tree, parents, message) {
+    const sha = nextSha();
+    repo.commits.set(sha, { tree, parents, message });
+    return sha;
+  }
+
+  // Branch, tag-less ref or commit sha to a commit sha
+  function resolve(repo, ref) {
+    if (repo.branches.has(ref)) return repo.branches.get(ref);
+    return [...repo.commits.keys()].find(sha => sha.startsWith(ref)) || null;
+  }
+
+  function addBlob(repo, content) {
+    const sha = getBlobSha(content);
+    repo.blobs.set(sha, Buffer.from(content));
+    return sha;
+  }
+
+  function isAncestor(repo, ancestor, sha) {
+    if (sha === ancestor) return true;
+    return repo.commits.get(sha).parents.some(parent => isAncestor(repo, ancestor, parent));
+  }
+
+  // Creates the repository on first use; `canPush` is false for
+  // repositories the token's user may only read
+  github.createRepo = (fullName, { canPush = true } = {}) => {
+    if (!repos.has(fullName)) {
+      repos.set(fullName, { canPush, branches: new Map(), commits: new Map(), trees: new Map(), blobs: new Map(), pulls: [] });
+    }
+    return repos.get(fullName);
+  };
+
+  // Commits `files` ({ path: content }) as the whole tree of `branch`,
+  // creating the repository and branch as needed; returns the commit sha
+  github.push = (fullName, files, { branch = 'main', message = 'Update' } = {}) => {
+    const repo = github.createRepo(fullName);
+    const tree = new Map(Object.entries(files).map(([path, content]) => [path, addBlob(repo, content)]));
+    const parent = repo.branches.get(branch);
+    const sha = addCommit(repo, addTree(repo, tree), parent ? [parent] : [], message);
+    repo.branches.set(branch, sha);
+    return sha;
+  };
+
+  // Files at a branch or commit, as { path: content }
+  github.files = (fullName, ref = 'main') => {
+    const repo = repos.get(fullName);
+    const tree = repo.trees.get(repo.commits.get(resolve(repo, ref)).tree);
+    return Object.fromEntries([...tree].map(([path, sha]) => [path, repo.blobs.get(sha).toString()]));
+  };
+
+  app.use(express.json({ limit: '50mb' }));
+  app.use((req, res, next) => {
+    github.requests.push(`${req.method} ${req.path}`);
+    if (!github.intercept(req, res)) next();
+  });
+
+  app.get('/user', (req, res) => res.json({ login: github.login }));
+
+  // Repositories start with a README commit, as with auto_init
+  app.post('/user/repos', (req, res) => {
+    const fullName = `${github.login}/${req.body.name}`;
+    if (repos.has(fullName)) {
+      return res.status(422).json({ message: 'Repository creation failed: name already exists on this account' });
+    }
+    github.push(fullName, { 'README.md': `# ${req.body.name}\n` }, { message: 'Initial commit' });
+    Object.assign(repos.get(fullName), { private: !!req.body.private, description: req.body.description, topics: [] });
+    res.status(201).json(describeRepo(fullName));
+  });
+
+  const router = express.Router({ mergeParams: true });
+  app.use('/repos/:owner/:repo', (req, res, next) => {
+    if (!getRepo(req)) return res.status(404).json({ message: 'Not Found' });
+    next();
+  }, router);
+
+  function describeRepo(fullName) {
+    const [owner, name] = fullName.split('/');
+    return {
+      name,
+      full_name: fullName,
+      owner: { login: owner },
+      private: !!repos.get(fullName).private,
+      html_url: `https://github.com/${fullName}`,
+      default_branch: 'main',
+      permissions: { push: repos.get(fullName).canPush }
+    };
+  }
+
+  router.get('/', (req, res) => {
+    res.json(describeRepo(`${req.params.owner}/${req.params.repo}`));
+  });
+
+  // Forks share every object of the repository at the time of forking
+  router.post('/forks', (req, res) => {
+    const source = getRepo(req);
+    const fullName = `${github.login}/${req.params.repo}`;
+    const fork = github.createRepo(fullName);
+    for (const key of ['branches', 'commits', 'trees', 'blobs']) {
+      source[key].forEach((value, sha) => fork[key].has(sha) || fork[key].set(sha, value));
+    }
+    res.status(202).json(describeRepo(fullName));
+  });
+
+  router.put('/topics', (req, res) => {
+    getRepo(req).topics = req.body.names;
+    res.json({ names: req.body.names });
+  });
+
+  router.post('/pulls', (req, res) => {
+    const repo = getRepo(req);
+    const pull = { number: repo.pulls.length + 1, ...req.body };
+    pull.html_url = `https://github.com/${req.params.owner}/${req.params.repo}/pull/${pull.number}`;
+    repo.pulls.push(pull);
+    res.status(201).json(pull);
+  });
+
+  router.get('/branches/:branch', (req, res) => {
+    const sha = getRepo(req).branches.get(req.params.branch);
+    if (!sha) return res.status(404).json({ message: 'Branch not found' });
+    res.json({ name: req.params.branch, commit: { sha } });
+  });
+
+  router.get('/commits/:ref', (req, res) => {
+    const sha = resolve(getRepo(req), req.params.ref);
+    if (!sha) return res.status(422).json({ message: 'No commit found' });
+    res.json({ sha });
+  });
+
+  // Lists changes without detecting renames
+  router.get('/compare/:basehead', (req, res) => {
+    const fullName = `${req.params.owner}/${req.params.repo}`;
+    const [base, head] = req.params.basehead.split('...').map(ref => resolve(getRepo(req), ref));
+    const before = github.files(fullName, base);
+    const after = github.files(fullName, head);
+    const files = [
+      ...Object.keys(after).filter(path => before[path] !== after[path])
+        .map(path => ({ filename: path, status: path in before ? 'modified' : 'added' })),
+      ...Object.keys(before).filter(path => !(path in after)).map(path => ({ filename: path, status: 'removed' }))
+    ];
+    res.json({ base_commit: { sha: base }, files });
+  });
+
+  router.get('/tarball/:ref', (req, res) => {
+    const { owner, repo } = req.params;
+    const sha = resolve(getRepo(req), req.params.ref);
+    const root = `${owner}-${repo}-${sha.slice(0, 7)}`;
+    const entries = Object.entries(github.files(`${owner}/${repo}`, sha))
+      .map(([path, content]) => tarEntry(`${root}/${path}`, content));
+    res.type('application/x-gzip').send(zlib.gzipSync(tar(tarEntry(`${root}/`, '', { type: '5' }), ...entries)));
+  });
+
+  // Trees are listed recursively; `sha` may also be a commit's
+  router.get('/git/trees/:sha', (req, res) => {
+    const repo = getRepo(req);
+    const tree = repo.trees.get(repo.commits.get(req.params.sha)?.tree || req.params.sha);
+    if (!tree) return res.status(404).json({ message: 'Not Found' });
+    res.json({
+      sha: req.params.sha,
+      tree: [...tree].map(([path, sha]) => ({ path, type: 'blob', mode: '100644', sha })),
+      truncated: false
+    });
+  });
+
+  router.get('/git/blobs/:sha', (req, res) => {
+    const blob = getRepo(req).blobs.get(req.params.sha);
+    if (!blob) return res.status(404).json({ message: 'Not Found' });
+    res.json({ sha: req.params.sha, content: blob.toString('base64'), encoding: 'base64' });
+  });
+
+  router.post('/git/blobs', (req, res) => {
+    const repo = getRepo(req);
+    if (!repo.canPush) return res.status(403).json({ message: 'Resource not accessible' });
+    res.status(201).json({ sha: addBlob(repo, Buffer.from(req.body.content, req.body.encoding || 'utf8')) });
+  });
+
+  // Entries with a null sha remove the path from the base tree
+  router.post('/git/trees', (req, res) => {
+    const repo = getRepo(req);
+    const tree = new Map(req.body.base_tree ? repo.trees.get(req.body.base_tree) : []);
+    for (const entry of req.body.tree) {
+      if (entry.sha === null) tree.delete(entry.path);
+      else if (!repo.blobs.has(entry.sha)) return res.status(422).json({ message: `Missing blob ${entry.sha}` });
+      else tree.set(entry.path, entry.sha);
+    }
+    res.status(201).json({ sha: addTree(repo, tree) });
+  });
+
+  router.get('/git/commits/:sha', (req, res) => {
+    const commit = getRepo(req).commits.get(req.params.sha);
+    if (!commit) return res.status(404).json({ message: 'Not Found' });
+    res.json({ sha: req.params.sha, message: commit.message, tree: { sha: commit.tree }, parents: commit.parents.map(sha => ({ sha })) });
+  });
+
+  router.post('/git/commits', (req, res) => {
+    const { message, tree, parents } = req.body;
+    res.status(201).json({ sha: addCommit(getRepo(req), tree, parents, message) });
+  });
+
+  router.get('/git/ref/heads/:branch', (req, res) => {
+    const sha = getRepo(req).branches.get(req.params.branch);
+    if (!sha) return res.status(404).json({ message: 'Not Found' });
+    res.json({ ref: `refs/heads/${req.params.branch}`, object: { type: 'commit', sha } });
+  });
+
+  router.post('/git/refs', (req, res) => {
+    const repo = getRepo(req);
+    const branch = req.body.ref.replace(/^refs\/heads\//, '');
+    if (repo.branches.has(branch)) return res.status(422).json({ message: 'Reference already exists' });
+    repo.branches.set(branch, req.body.sha);
+    res.status(201).json({ ref: req.body.ref, object: { type: 'commit', sha: req.body.sha } });
+  });
+
+  router.patch('/git/refs/heads/:branch', (req, res) => {
+    const repo = getRepo(req);
+    const head = repo.branches.get(req.params.branch);
+    if (!req.body.force && !isAncestor(repo, head, req.body.sha)) {
+      return res.status(422).json({ message: 'Update is not a fast forward' });
+    }
+    repo.branches.set(req.params.branch, req.body.sha);
+    res.json({ ref: `refs/heads/${req.params.branch}`, object: { type: 'commit', sha: req.body.sha } });
+  });
+
+  router.get('/contents/*', (req, res) => {
+    const repo = getRepo(req);
+    const sha = resolve(repo, req.query.ref || 'main');
+    const blob = repo.trees.get(repo.commits.get(sha).tree).get(req.params[0]);
+    if (!blob) return res.status(404).json({ message: 'Not Found' });
+    res.type('text/plain').send(repo.blobs.get(blob));
+  });
+
+  github.start = async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    process.env.GITHUB_API_URL = `http://127.0.0.1:${server.address().port}`;
+  };
+
+  github.close = () => server.close();
+
+  return github;
+}
+
+// Answers like GitHub does once the rate limit is used up for the next hour
+function rateLimited(res) {
+  return res.status(403)
+    .set({ 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(Math.floor(Date.now() / 1000) + 3600) })
+    .json({ message: 'API rate limit exceeded' });
+}
+
+module.exports = { createGitHub, rateLimited };
@@ -0,0 +1,19 @@
+// Builds a tar entry: a 512-byte header followed by the padded data
+function tarEntry(name, content, { type = '0', prefix = '' } = {}) {
+  const data = Buffer.from(content);
+  const header = Buffer.alloc(512);
+  header.write(name.slice(0, 100), 0);
+  header.write(data.length.toString(8).padStart(11, '0'), 124);
+  header.write(type, 156);
+  if (prefix) {
+    header.write('ustar', 257);
+    header.write(prefix, 345);
+  }
+  return Buffer.concat([header, data, Buffer.alloc(Math.ceil(data.length / 512) * 512 - data.length)]);
+}
+
+function tar(...entries) {
+  return Buffer.concat([...entries, Buffer.alloc(1024)]);
+}
+
+module.exports = { tarEntry, tar };
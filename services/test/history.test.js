@@ -0,0 +1,93 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Runs recorded from jobs, persisted under a temporary HISTORY_DIR. The
+// index written first holds a run that was going when the server stopped.
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'staxchange-history-'));
+process.env.HISTORY_DIR = dataDir;
+fs.writeFileSync(path.join(dataDir, 'conversions.json'), JSON.stringify([
+  { id: 'interrupted', user_login: 'tester', status: 'running', created_at: '2020-01-01T00:00:00.000Z' }
+]));
+
+const { createJob, updateJob } = require('../lib/jobs');
+const { trackConversion, listConversions, getConversion, loadArtifacts, recordExport } = require('../lib/history');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const target = { language: 'csharp', framework: 'aspnet', database: 'postgresql' };
+
+function startJob(params = {}, { createdAt } = {}) {
+  const job = createJob({
+    owner: 'acme',
+    repo: 'app',
+    branch: 'main',
+    sourceName: 'acme/app',
+    rootPath: 'api',
+    include: ['src/**'],
+    target,
+    provider: { name: 'mock', model: 'mock' },
+    ...params
+  });
+  if (createdAt) job.created_at = createdAt;
+  trackConversion(job, { login: 'tester' });
+  return job;
+}
+
+test('marks runs that a restart interrupted as failed', () => {
+  const row = getConversion('interrupted', 'tester');
+  assert.equal(row.status, 'failed');
+  assert.equal(row.error_message, 'Interrupted by a server restart');
+});
+
+test('records a run with what is needed to open it again', () => {
+  const job = startJob();
+  const row = getConversion(job.id, 'tester');
+
+  assert.equal(row.status, 'queued');
+  assert.equal(row.target_stack, 'csharp/aspnet/postgresql');
+  assert.equal(row.model, 'mock/mock');
+  assert.deepEqual(row.source, { owner: 'acme', repo: 'app', branch: 'main', rootPath: 'api', include: ['src/**'] });
+  assert.equal(getConversion(job.id, 'someone-else'), null);
+  assert.equal(loadArtifacts(job.id), null);
+});
+
+test('follows the job and keeps its output once it completes', () => {
+  const job = startJob();
+  updateJob(job, { status: 'running' });
+  assert.equal(getConversion(job.id, 'tester').status, 'running');
+
+  updateJob(job, {
+    status: 'completed',
+    progress: 100,
+    files: [{ path: 'Program.cs', content: 'Main();\n' }],
+    summary: { sourceStack: 'JavaScript/Express/none', ingestion: { commit: 'abc123' } },
+    warnings: {}
+  });
+
+  const row = getConversion(job.id, 'tester');
+  assert.equal(row.status, 'completed');
+  assert.equal(row.commit, 'abc123');
+  assert.equal(row.source_stack, 'JavaScript/Express/none');
+  assert.equal(row.download_url, `/api/history/${job.id}/download`);
+  assert.deepEqual(loadArtifacts(job.id).files, [{ path: 'Program.cs', content: 'Main();\n' }]);
+
+  const saved = JSON.parse(fs.readFileSync(path.join(dataDir, 'conversions.json'), 'utf8'));
+  assert.equal(saved.find(r => r.id === job.id).status, 'completed');
+});
+
+test('lists a user\'s runs newest first and links exports to them', () => {
+  const job = startJob({ sourceName: 'acme/newest' }, { createdAt: new Date(Date.now() + 1000).toISOString() });
+
+  const runs = listConversions('tester');
+  assert.equal(runs[0].repo_name, 'acme/newest');
+  assert.equal(runs.at(-1).id, 'interrupted');
+  assert.deepEqual(listConversions('someone-else'), []);
+
+  assert.equal(recordExport(job.id, 'someone-else', 'https://github.com/x/y'), null);
+  assert.equal(recordExport(job.id, 'tester', 'https://github.com/acme/app/pull/1').github_url, 'https://github.com/acme/app/pull/1');
+  assert.equal(recordExport(undefined, 'tester', 'https://github.com/x/y'), null);
+});
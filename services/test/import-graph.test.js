@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseImports, buildImportGraph, stronglyConnectedComponents, isSharedDefinition } = require('../lib/import-graph');
+
+const file = (path, content = '') => ({ path, content });
+const edges = graph => Object.fromEntries(Array.from(graph, ([from, deps]) => [from, Array.from(deps).sort()]));
+
+test('parses the import syntax of each language', () => {
+  assert.deepEqual(parseImports(file('a.ts', `import x from './x';\nimport type { T } from "./t";\nexport * from './e';\nconst r = require('./r');\nimport('./lazy');`)),
+    ['./x', './t', './e', './r', './lazy']);
+  assert.deepEqual(parseImports(file('a.py', 'from .models import User\nimport app.db\n')), ['.models', 'app.db']);
+  assert.deepEqual(parseImports(file('A.cs', 'using App.Models;\nglobal using static App.Util;\n')), ['App.Models', 'App.Util']);
+  assert.deepEqual(parseImports(file('A.java', 'import com.app.model.User;\nimport com.app.util.*;\n')), ['com.app.model.User', 'com.app.util.*']);
+  assert.deepEqual(parseImports(file('main.go', 'import (\n  "fmt"\n  "example.com/app/models"\n)\n')), ['fmt', 'example.com/app/models']);
+  assert.deepEqual(parseImports(file('README.md', "import x from './x'")), []);
+});
+
+test('keeps only imports that resolve to fetched files', () => {
+  const graph = buildImportGraph([
+    file('src/index.ts', `import App from './App';\nimport { api } from '@/lib/api';\nimport React from 'react';`),
+    file('src/App.tsx', `import { User } from './types';`),
+    file('src/types/index.ts'),
+    file('src/lib/api.js'),
+    file('app/views.py', 'from .models import User\nfrom app.services import mail\n'),
+    file('app/models.py'),
+    file('app/services/__init__.py')
+  ]);
+
+  assert.deepEqual(edges(graph), {
+    'src/index.ts': ['src/App.tsx', 'src/lib/api.js'],
+    'src/App.tsx': ['src/types/index.ts'],
+    'src/types/index.ts': [],
+    'src/lib/api.js': [],
+    'app/views.py': ['app/models.py', 'app/services/__init__.py'],
+    'app/models.py': [],
+    'app/services/__init__.py': []
+  });
+});
+
+test('orders strongly connected components dependencies first', () => {
+  const graph = new Map([
+    ['main', new Set(['a'])],
+    ['a', new Set(['b'])],
+    ['b', new Set(['a', 'util'])],
+    ['util', new Set()]
+  ]);
+
+  const components = stronglyConnectedComponents(graph).map(c => c.sort());
+  assert.deepEqual(components, [['util'], ['a', 'b'], ['main']]);
+});
+
+test('recognises shared definitions', () => {
+  assert.ok(isSharedDefinition('src/types/user.ts'));
+  assert.ok(isSharedDefinition('app/models.py'));
+  assert.ok(isSharedDefinition('src/env.d.ts'));
+  assert.ok(!isSharedDefinition('src/components/UserCard.tsx'));
+});
@@ -0,0 +1,68 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp } = require('./helpers/app');
+const { createGitHub } = require('./helpers/github');
+
+// Incremental conversions of a branch on a fake GitHub: only the sources
+// changed since `base` are converted, and the job lists the deletions for
+// the earlier run's output
+
+const server = createTestApp();
+const github = createGitHub();
+const { api } = server;
+const target = { language: 'csharp', framework: 'aspnet', database: 'postgresql' };
+
+before(async () => {
+  await github.start();
+  await server.start();
+});
+after(() => {
+  server.close();
+  github.close();
+});
+
+async function convert(options) {
+  const started = await api('POST', '/api/convert', { owner: 'acme', repo: 'app', branch: 'main', target, validate: false, cache: false, ...options });
+  assert.equal(started.status, 202);
+
+  for (;;) {
+    const { body: job } = await api('GET', `/api/convert/${started.body.id}`);
+    if (!['queued', 'running'].includes(job.status)) return job;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+test('converts the changes since the base commit into a patch set', async () => {
+  const base = github.push('acme/app', {
+    'src/a.js': 'module.exports = 1;\n',
+    'src/b.js': 'module.exports = 2;\n',
+    'src/c.js': 'module.exports = 3;\n'
+  });
+  const full = await convert();
+  assert.equal(full.status, 'completed');
+  assert.equal(full.files.length, 3);
+
+  github.push('acme/app', {
+    'src/a.js': 'module.exports = 10;\n',
+    'src/c.js': 'module.exports = 3;\n',
+    'src/d.js': 'module.exports = 4;\n'
+  });
+  const patch = await convert({ base, previousConversionId: full.id });
+
+  assert.equal(patch.status, 'completed');
+  assert.deepEqual(patch.files.map(f => f.path).sort(), ['src/a.js', 'src/d.js']);
+  assert.equal(patch.files.find(f => f.path === 'src/a.js').content, 'module.exports = 10;\n');
+  assert.deepEqual(patch.deletions, ['src/b.js']);
+  assert.deepEqual(patch.summary.incremental.removed, ['src/b.js']);
+});
+
+test('rejects incremental runs it cannot resolve', async () => {
+  const dryRun = await api('POST', '/api/convert', { owner: 'acme', repo: 'app', branch: 'main', target, dryRun: true, base: 'abc' });
+  assert.equal(dryRun.status, 400);
+
+  const withoutBase = await api('POST', '/api/convert', { owner: 'acme', repo: 'app', branch: 'main', target, previousConversionId: 'x' });
+  assert.equal(withoutBase.status, 400);
+
+  const unknownRun = await api('POST', '/api/convert', { owner: 'acme', repo: 'app', branch: 'main', target, base: 'abc', previousConversionId: 'nope' });
+  assert.equal(unknownRun.status, 404);
+});
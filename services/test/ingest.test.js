@@ -0,0 +1,165 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { createGitHub, rateLimited } = require('./helpers/github');
+
+// Repository ingestion against a fake GitHub API
+
+Object.assign(process.env, { REPO_MAX_DOWNLOAD_MB: '1', REPO_MAX_FILES: '50' });
+
+const { fetchRepository, ingestUpload, readSourceFile, listFolders } = require('../lib/ingest');
+const { getBlobSha } = require('../lib/github');
+
+const github = createGitHub();
+const token = 'test-token';
+
+before(() => github.start());
+after(() => github.close());
+beforeEach(() => {
+  github.requests.length = 0;
+  github.intercept = () => false;
+});
+
+const requested = fragment => github.requests.filter(r => r.includes(fragment)).length;
+
+test('ingests a branch from its tarball', async () => {
+  github.push('acme/app', {
+    'src/index.js': 'console.log(1);\n',
+    'package.json': '{}\n',
+    'logo.png': Buffer.from([0x89, 0x50, 0x4e, 0x47]),
+    'vendor/packed.js': Buffer.from([0x1f, 0x8b, 0, 0])
+  });
+
+  const result = await fetchRepository(token, 'acme', 'app', 'main');
+
+  assert.deepEqual(result.files.map(f => f.path).sort(), ['package.json', 'src/index.js']);
+  const index = result.files.find(f => f.path === 'src/index.js');
+  assert.equal(index.sha, getBlobSha('console.log(1);\n'));
+  assert.deepEqual(result.filtered, ['logo.png']);
+  assert.deepEqual(result.skipped.map(s => s.path), ['vendor/packed.js']);
+  assert.equal(requested('/tarball/'), 1);
+  assert.equal(requested('/git/blobs/'), 0);
+});
+
+test('falls back to fetching file by file when the tarball fails', async () => {
+  github.push('acme/fallback', { 'a.js': 'a\n', 'lib/b.js': 'b\n' });
+  github.intercept = (req, res) => req.path.includes('/tarball/') && res.status(502).end();
+
+  const result = await fetchRepository(token, 'acme', 'fallback', 'main');
+
+  assert.deepEqual(result.files.map(f => f.path).sort(), ['a.js', 'lib/b.js']);
+  assert.equal(requested('/git/blobs/'), 2);
+});
+
+test('applies the repository\'s .staxchangeignore with the request filters', async () => {
+  github.push('acme/ignored', {
+    '.staxchangeignore': 'generated/\n',
+    'src/a.js': 'a\n',
+    'src/a.test.js': 'test\n',
+    'generated/api.js': 'api\n'
+  });
+  const options = { exclude: ['*.test.js'] };
+
+  const viaTarball = await fetchRepository(token, 'acme', 'ignored', 'main', options);
+  github.intercept = (req, res) => req.path.includes('/tarball/') && res.status(502).end();
+  const viaBlobs = await fetchRepository(token, 'acme', 'ignored', 'main', options);
+
+  for (const result of [viaTarball, viaBlobs]) {
+    assert.deepEqual(result.files.map(f => f.path), ['src/a.js']);
+    assert.deepEqual([...result.filtered].sort(), ['.staxchangeignore', 'generated/api.js', 'src/a.test.js']);
+  }
+});
+
+test('resumes a rate-limited per-file fetch without refetching files', async () => {
+  const files = Object.fromEntries(Array.from({ length: 15 }, (_, i) => [`src/f${i}.js`, `export const f${i} = ${i};\n`]));
+  github.push('acme/limited', files);
+
+  let served = 0;
+  let limited = true;
+  github.intercept = (req, res) => {
+    if (req.path.includes('/tarball/')) return res.status(502).end();
+    if (!req.path.includes('/git/blobs/')) return false;
+    if (limited && served >= 10) return rateLimited(res);
+    served++;
+    return false;
+  };
+
+  const state = {};
+  await assert.rejects(fetchRepository(token, 'acme', 'limited', 'main', { state }), { status: 429 });
+  assert.equal(state.method, 'blobs');
+  assert.ok(state.files.size >= 10 && state.files.size < 15);
+
+  limited = false;
+  const result = await fetchRepository(token, 'acme', 'limited', 'main', { state });
+
+  assert.equal(result.files.length, 15);
+  assert.equal(served, 15);
+  assert.equal(requested('/tarball/'), 1);
+});
+
+test('rejects a repository with too many files with 413 and no fallback', async () => {
+  const files = Object.fromEntries(Array.from({ length: 60 }, (_, i) => [`f${i}.js`, `${i}\n`]));
+  github.push('acme/wide', files);
+
+  await assert.rejects(fetchRepository(token, 'acme', 'wide', 'main'), { status: 413, message: /acme\/wide is too large/ });
+  assert.equal(requested('/git/'), 0);
+});
+
+test('stops downloading a tarball past the download cap', async () => {
+  github.push('acme/heavy', { 'data.js': crypto.randomBytes(1536 * 1024).toString('base64') });
+
+  await assert.rejects(fetchRepository(token, 'acme', 'heavy', 'main'), { status: 413, message: /larger than/ });
+  assert.equal(requested('/git/'), 0);
+});
+
+test('extracts only the root folder, so files outside it count towards no limit', async () => {
+  const files = Object.fromEntries(Array.from({ length: 60 }, (_, i) => [`web/f${i}.js`, `${i}\n`]));
+  github.push('acme/mono', {
+    ...files,
+    'api/.staxchangeignore': 'legacy/\n',
+    'api/src/a.js': 'a\n',
+    'api/legacy/old.js': 'old\n'
+  });
+
+  const result = await fetchRepository(token, 'acme', 'mono', 'main', { rootPath: '/api/' });
+
+  assert.deepEqual(result.files.map(f => f.path), ['src/a.js']);
+  assert.deepEqual([...result.filtered].sort(), ['.staxchangeignore', 'legacy/old.js']);
+  assert.equal(result.stats.rootPath, 'api');
+  await assert.rejects(fetchRepository(token, 'acme', 'mono', 'main', { rootPath: 'missing' }), /Folder missing not found/);
+});
+
+test('scopes the per-file fetch and uploads to the root folder', async () => {
+  github.push('acme/mono-blobs', { 'api/src/a.js': 'a\n', 'web/b.js': 'b\n' });
+  github.intercept = (req, res) => req.path.includes('/tarball/') && res.status(502).end();
+
+  const result = await fetchRepository(token, 'acme', 'mono-blobs', 'main', { rootPath: 'api' });
+  assert.deepEqual(result.files.map(f => f.path), ['src/a.js']);
+  assert.equal(requested('/git/blobs/'), 1);
+
+  const upload = {
+    id: 'upload-1',
+    name: 'mono.zip',
+    entries: [{ path: 'api/src/a.js', data: Buffer.from('a\n') }, { path: 'web/b.js', data: Buffer.from('b\n') }]
+  };
+  assert.deepEqual(ingestUpload(upload, { rootPath: 'api' }).files.map(f => f.path), ['src/a.js']);
+  assert.throws(() => ingestUpload(upload, { rootPath: 'missing' }), /Folder missing not found in mono.zip/);
+});
+
+test('reads single files at a commit, relative to the root path', async () => {
+  const first = github.push('acme/read', { 'api/src/a.js': 'old\n' });
+  github.push('acme/read', { 'api/src/a.js': 'new\n' });
+  const source = { token, owner: 'acme', repo: 'read' };
+
+  assert.equal(await readSourceFile(source, 'src/a.js', { rootPath: 'api', ref: first }), 'old\n');
+  assert.equal(await readSourceFile(source, 'src/a.js', { rootPath: 'api', ref: 'main' }), 'new\n');
+  assert.equal(await readSourceFile(source, 'src/missing.js', { rootPath: 'api', ref: 'main' }), null);
+});
+
+test('lists every folder with its file count', () => {
+  assert.deepEqual(listFolders(['a.js', 'api/x.js', 'api/src/y.js', 'web/z.js']), [
+    { path: 'api', files: 2 },
+    { path: 'api/src', files: 1 },
+    { path: 'web', files: 1 }
+  ]);
+});
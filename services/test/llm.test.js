@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getProvider, describeProvider, registerProvider } = require('../lib/llm');
+const { createMockProvider } = require('../lib/llm/mock');
+
+const userMessage = (...files) => ({
+  role: 'user',
+  content: `BATCH 1: Convert these files.\n\n${files.map(([name, content], i) => `=== FILE ${i + 1}: ${name} (${content.length} chars, priority: 1) ===\n${content}\n`).join('\n\n')}`
+});
+
+test('selects the provider by name, LLM_PROVIDER or the default', () => {
+  assert.equal(getProvider({ provider: 'mock' }).name, 'mock');
+  assert.equal(getProvider({ provider: 'mock', model: 'custom' }).model, 'custom');
+
+  process.env.LLM_PROVIDER = 'mock';
+  assert.equal(getProvider().name, 'mock');
+  delete process.env.LLM_PROVIDER;
+});
+
+test('rejects unknown and misconfigured providers', () => {
+  assert.throws(() => getProvider({ provider: 'nope' }), /Unknown LLM provider "nope"/);
+  assert.throws(() => getProvider({ provider: 'openai-compatible', model: 'llama3' }), /LLM_BASE_URL/);
+});
+
+test('describes a provider without its credentials', () => {
+  delete process.env.OPENROUTER_API_KEY;
+  assert.throws(() => getProvider({ provider: 'openrouter' }), /OPENROUTER_API_KEY/);
+  assert.deepEqual(describeProvider({ provider: 'openrouter' }), { name: 'openrouter', model: 'z-ai/glm-4.5-air:free' });
+  assert.deepEqual(describeProvider({ provider: 'openrouter', model: 'custom' }), { name: 'openrouter', model: 'custom' });
+  assert.deepEqual(describeProvider({ provider: 'openai-compatible' }), { name: 'openai-compatible', model: null });
+  assert.throws(() => describeProvider({ provider: 'nope' }), /Unknown LLM provider "nope"/);
+});
+
+test('the mock provider echoes every file it is sent', async () => {
+  const provider = getProvider({ provider: 'mock' });
+  const response = await provider.complete({
+    messages: [{ role: 'system', content: 'Convert' }, userMessage(['src/a.js', 'const a = 1;\n'], ['src/b.js', 'const b = 2;\n'])]
+  });
+
+  assert.deepEqual(JSON.parse(response).files, [
+    { path: 'src/a.js', content: 'const a = 1;\n', originalPath: 'src/a.js' },
+    { path: 'src/b.js', content: 'const b = 2;\n', originalPath: 'src/b.js' }
+  ]);
+});
+
+test('registered providers can be selected by name', async () => {
+  registerProvider('fail-b', ({ model }) => createMockProvider({ model, fail: f => f.path === 'src/b.js' }));
+  const provider = getProvider({ provider: 'fail-b' });
+
+  const ok = await provider.complete({ messages: [userMessage(['src/a.js', 'a'])] });
+  assert.equal(JSON.parse(ok).files.length, 1);
+
+  const malformed = await provider.complete({ messages: [userMessage(['src/a.js', 'a'], ['src/b.js', 'b'])] });
+  assert.throws(() => JSON.parse(malformed));
+});
+
+test('the mock provider returns LLM_MOCK_RESPONSE_FILE when set', async (t) => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'staxchange-llm-')), 'response.json');
+  fs.writeFileSync(file, '{"files": []}');
+  process.env.LLM_MOCK_RESPONSE_FILE = file;
+  t.after(() => {
+    delete process.env.LLM_MOCK_RESPONSE_FILE;
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  });
+
+  const response = await getProvider({ provider: 'mock' }).complete({ messages: [userMessage(['a.js', 'a'])] });
+  assert.equal(response, '{"files": []}');
+});
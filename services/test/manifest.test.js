@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createManifest, recordFiles, hasFile, formatDependencyContext, formatManifest, summarizeManifest } = require('../lib/manifest');
+
+const userService = {
+  path: 'Services/UserService.cs',
+  originalPath: 'src/services/user.js',
+  content: [
+    'namespace App.Services',
+    '{',
+    '    public class UserService',
+    '    {',
+    '        public async Task<User> GetUser(int id)',
+    '        {',
+    '            return await _db.Users.FindAsync(id);',
+    '        }',
+    '    }',
+    '}'
+  ].join('\n')
+};
+
+test('records where each source went and what it exports', () => {
+  const manifest = createManifest();
+  recordFiles(manifest, [
+    userService,
+    { path: 'Models/All.cs', originalPath: ['src/models/user.js', 'src/models/post.js'], content: 'public record User(int Id);\npublic record Post(int Id);' },
+    { path: 'Legacy.cs', originalPath: 'src/legacy.js', content: '// FALLBACK', isFallback: true }
+  ]);
+
+  assert.ok(hasFile(manifest, 'src/services/user.js'));
+  assert.ok(hasFile(manifest, 'src/models/post.js'));
+  assert.ok(!hasFile(manifest, 'src/other.js'));
+
+  assert.deepEqual(summarizeManifest(manifest), [
+    { originalPath: 'src/services/user.js', path: 'Services/UserService.cs', namespace: 'App.Services', classes: ['UserService'], functions: ['GetUser'] },
+    { originalPath: 'src/models/user.js, src/models/post.js', path: 'Models/All.cs', namespace: null, classes: ['User', 'Post'], functions: [] },
+    { originalPath: 'src/legacy.js', path: 'Legacy.cs', namespace: null, classes: [], functions: [], fallback: true }
+  ]);
+});
+
+test('gives dependencies their full signatures, skipping fallback stubs', () => {
+  const manifest = createManifest();
+  recordFiles(manifest, [userService, { path: 'Legacy.cs', originalPath: 'src/legacy.js', content: '', isFallback: true }]);
+
+  assert.equal(formatDependencyContext(manifest, ['src/services/user.js', 'src/legacy.js', 'src/unknown.js']), [
+    '--- src/services/user.js → Services/UserService.cs ---',
+    'namespace App.Services',
+    '    public class UserService',
+    '        public async Task<User> GetUser(int id)'
+  ].join('\n'));
+});
+
+test('lists the batch dependencies first and stays within the prompt budget', () => {
+  const manifest = createManifest();
+  const files = Array.from({ length: 1000 }, (_, i) => ({
+    path: `Models/Model${i}.cs`,
+    originalPath: `src/models/model${i}.js`,
+    content: `public class Model${i} {}`
+  }));
+  recordFiles(manifest, files);
+
+  const lines = formatManifest(manifest, { prioritize: ['src/models/model500.js'] }).split('\n');
+  assert.equal(lines[0], 'src/models/model500.js → Models/Model500.cs (classes: Model500)');
+  assert.equal(lines[1], 'src/models/model0.js → Models/Model0.cs (classes: Model0)');
+  assert.match(lines[lines.length - 1], /^\.\.\. \d+ more files omitted$/);
+  assert.ok(lines.join('\n').length <= 20100);
+});
@@ -0,0 +1,37 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createState, verifyState, STATE_TTL_MS } = require('../lib/oauth-state');
+
+test('returns the payload of a state issued to this browser', () => {
+  const { state, nonce } = createState('http://localhost:5173/');
+  assert.equal(verifyState(state, nonce).return_to, 'http://localhost:5173/');
+});
+
+test('rejects tampered and malformed states', () => {
+  const { state, nonce } = createState('/');
+  const [, signature] = state.split('.');
+  const forged = Buffer.from(JSON.stringify({ return_to: 'https://evil.example', nonce, exp: Date.now() + 1000 })).toString('base64url');
+
+  assert.throws(() => verifyState(`${forged}.${signature}`, nonce), { status: 400 });
+  assert.throws(() => verifyState('not-a-state', nonce), { status: 400 });
+  assert.throws(() => verifyState(undefined, nonce), { status: 400 });
+});
+
+test('rejects a state from another browser', () => {
+  const { state } = createState('/');
+  assert.throws(() => verifyState(state, 'other-nonce'), /not issued to this browser/);
+  assert.throws(() => verifyState(state, undefined), /not issued to this browser/);
+});
+
+test('accepts a state only once', () => {
+  const { state, nonce } = createState('/');
+  verifyState(state, nonce);
+  assert.throws(() => verifyState(state, nonce), /already used/);
+});
+
+test('rejects an expired state', (t) => {
+  const { state, nonce } = createState('/');
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now + STATE_TTL_MS + 1);
+  assert.throws(() => verifyState(state, nonce), /expired/);
+});
@@ -0,0 +1,30 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { isAllowedOrigin, isAllowedReturnTo } = require('../lib/origins');
+
+test('allows the default and configured origins only', () => {
+  process.env.ALLOWED_ORIGINS = 'https://app.example.com/, https://other.example.com';
+
+  assert.ok(isAllowedOrigin('http://localhost:5173'));
+  assert.ok(isAllowedOrigin('https://app.example.com'));
+  assert.ok(isAllowedOrigin('https://other.example.com'));
+  assert.ok(!isAllowedOrigin('https://evil.example'));
+  assert.ok(!isAllowedOrigin('null'));
+  assert.ok(!isAllowedOrigin(undefined));
+
+  delete process.env.ALLOWED_ORIGINS;
+});
+
+test('allows return_to paths and URLs on allowed origins', () => {
+  assert.ok(isAllowedReturnTo('/'));
+  assert.ok(isAllowedReturnTo('/history?page=2'));
+  assert.ok(isAllowedReturnTo('http://localhost:5173/convert'));
+
+  assert.ok(!isAllowedReturnTo('//evil.example/'));
+  assert.ok(!isAllowedReturnTo('/\\evil.example/'));
+  assert.ok(!isAllowedReturnTo('https://evil.example/'));
+  assert.ok(!isAllowedReturnTo('http://localhost:5173.evil.example/'));
+  assert.ok(!isAllowedReturnTo('javascript:alert(1)'));
+  assert.ok(!isAllowedReturnTo(''));
+  assert.ok(!isAllowedReturnTo(['/']));
+});
@@ -0,0 +1,38 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getDeletions, getChangedPaths } = require('../lib/patch-set');
+
+const target = { language: 'csharp', framework: 'aspnet', database: 'postgresql' };
+const changes = {
+  added: ['src/new.js'],
+  modified: ['src/changed.js', 'src/merged-a.js'],
+  removed: ['src/gone.js'],
+  renamed: [{ from: 'src/old-name.js', to: 'src/new-name.js' }]
+};
+
+test('converts what was added, modified or renamed', () => {
+  assert.deepEqual([...getChangedPaths(changes)].sort(), ['src/changed.js', 'src/merged-a.js', 'src/new-name.js', 'src/new.js']);
+});
+
+test('deletes earlier outputs whose sources are all gone or replaced', () => {
+  const previousFiles = [
+    { path: 'Gone.cs', originalPath: 'src/gone.js' },
+    { path: 'OldName.cs', originalPath: 'src/old-name.js' },
+    { path: 'Changed.cs', originalPath: 'src/changed.js' },
+    { path: 'ChangedModels.cs', originalPath: 'src/changed.js' },
+    { path: 'Merged.cs', originalPath: ['src/merged-a.js', 'src/merged-b.js'] },
+    { path: 'Kept.cs', originalPath: 'src/kept.js' },
+    { path: 'Program.cs' }
+  ];
+  const converted = [{ path: 'Changed.cs', originalPath: 'src/changed.js' }];
+
+  assert.deepEqual(getDeletions(changes, converted, { previousFiles, target }), ['ChangedModels.cs', 'Gone.cs', 'OldName.cs']);
+});
+
+test('deletes the proposed target paths of removed sources without the earlier output', () => {
+  const deletions = getDeletions(changes, [], { previousFiles: null, target });
+
+  assert.equal(deletions.length, 2);
+  assert.ok(deletions.every(p => p.endsWith('.cs')));
+  assert.ok(!getDeletions(changes, deletions.map(path => ({ path })), { previousFiles: null, target }).length);
+});
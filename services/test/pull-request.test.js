@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getCommitMessage, getPullRequestTitle, formatPullRequestBody } = require('../lib/pull-request');
+
+const target = { language: 'csharp', framework: 'aspnet', database: 'postgresql' };
+const incremental = { base: 'a'.repeat(40), head: 'b'.repeat(40), added: ['x.js'], modified: [], renamed: [], removed: ['y.js'] };
+
+test('titles and commit messages name the target and the source range', () => {
+  assert.equal(getPullRequestTitle({ target }), 'Migrate to csharp / aspnet / postgresql (StaxChange)');
+  assert.equal(getPullRequestTitle(null), 'Migrate to the target stack (StaxChange)');
+  assert.equal(getPullRequestTitle({ target, incremental }), 'Sync csharp / aspnet / postgresql conversion with aaaaaaa..bbbbbbb (StaxChange)');
+
+  assert.equal(getCommitMessage({ target, sourceStack: 'JavaScript/Express/none' }),
+    'Convert to csharp / aspnet / postgresql\n\nGenerated by StaxChange from JavaScript/Express/none.');
+  assert.equal(getCommitMessage(undefined), 'Add converted files\n\nGenerated by StaxChange.');
+  assert.equal(getCommitMessage({ target, incremental }), 'Convert source changes aaaaaaa..bbbbbbb\n\nGenerated by StaxChange.');
+});
+
+test('describes the run and lists every file that needs attention', () => {
+  const body = formatPullRequestBody({
+    summary: {
+      target,
+      sourceStack: 'JavaScript/Express/none',
+      incremental,
+      totalOriginalFiles: 3,
+      totalConvertedFiles: 3,
+      successfullyConverted: 2,
+      fallbackFiles: 1,
+      provider: 'mock',
+      model: 'mock',
+      coverage: { converted: 2, merged: 0, partial: 0, fallback: 1, dropped: 0 }
+    },
+    warnings: { invalidFiles: ['src/B.cs'], droppedFiles: [] },
+    files: [{ path: 'src/A.cs' }, { path: 'src/B.cs' }, { path: 'src/C.cs', isFallback: true }],
+    deletions: ['src/Y.cs']
+  });
+
+  assert.match(body, /migrates the code to \*\*csharp \/ aspnet \/ postgresql\*\*/);
+  assert.match(body, /- Source changes aaaaaaa\.\.bbbbbbb: 1 added, 0 modified, 0 renamed, 1 removed/);
+  assert.match(body, /- Model: mock\/mock/);
+  assert.match(body, /## Fallback files\n\n.*\n\n- `src\/C\.cs`/);
+  assert.match(body, /## Files that failed the syntax check\n\n- `src\/B\.cs`/);
+  assert.match(body, /## Deleted files\n\n.*\n\n- `src\/Y\.cs`/);
+  assert.doesNotMatch(body, /missing from the output/);
+});
+
+test('caps long file lists', () => {
+  const files = Array.from({ length: 105 }, (_, i) => ({ path: `f${i}.cs`, isFallback: true }));
+  const body = formatPullRequestBody({ summary: null, files });
+
+  assert.match(body, /- `f99\.cs`\n- \.\.\.and 5 more/);
+  assert.doesNotMatch(body, /f100\.cs/);
+});
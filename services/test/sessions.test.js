@@ -0,0 +1,57 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'staxchange-sessions-'));
+Object.assign(process.env, { SESSION_STORE_PATH: path.join(dataDir, 'sessions.json'), SESSION_SECRET: 'test-secret' });
+
+const { parseCookies, createSession, getSession, destroySession, loadSession, requireSession } = require('../lib/sessions');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+// Runs a middleware on `req`; returns the status it answered with, or null
+// when it passed the request on
+function run(middleware, req) {
+  let status = null;
+  const res = { status: (code) => { status = code; return res; }, json: () => res };
+  middleware(req, res, () => {});
+  return status;
+}
+
+test('parses cookies and skips ones that are not valid percent-encoding', () => {
+  assert.deepEqual(parseCookies('a=1; b=hello%20world; bad=%E0%A4%A; c=x=y'), { a: '1', b: 'hello world', c: 'x=y' });
+  assert.deepEqual(parseCookies(undefined), {});
+});
+
+test('keeps the token encrypted on the server and returns it for the session id', () => {
+  const id = createSession('gho_secret', { login: 'tester', avatar_url: 'https://example.com/a.png' });
+
+  const session = getSession(id);
+  assert.equal(session.token, 'gho_secret');
+  assert.deepEqual(session.user, { login: 'tester', avatar_url: 'https://example.com/a.png' });
+
+  const stored = fs.readFileSync(process.env.SESSION_STORE_PATH, 'utf8');
+  assert.ok(!stored.includes('gho_secret'));
+  assert.ok(!stored.includes(id));
+
+  destroySession(id);
+  assert.equal(getSession(id), null);
+  assert.equal(getSession('unknown'), null);
+});
+
+test('resolves the session from the cookie and requires one where asked', () => {
+  const id = createSession('gho_token', { login: 'tester' });
+
+  const signedIn = { headers: { cookie: `other=%ZZ; staxchange_session=${id}` } };
+  run(loadSession, signedIn);
+  assert.equal(signedIn.githubToken, 'gho_token');
+  assert.equal(signedIn.session.user.login, 'tester');
+  assert.equal(run(requireSession, signedIn), null);
+
+  const anonymous = { headers: {} };
+  run(loadSession, anonymous);
+  assert.equal(anonymous.session, null);
+  assert.equal(run(requireSession, anonymous), 401);
+});
@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const { validateFiles } = require('../lib/validate');
+
+const hasPython = !spawnSync(process.env.PYTHON_BIN || 'python3', ['--version']).error;
+
+test('checks TypeScript, JavaScript, JSON and YAML files', async () => {
+  const results = await validateFiles([
+    { path: 'src/app.ts', content: 'export const answer: number = 42;\n' },
+    { path: 'src/view.tsx', content: 'export const View = () => <div>{items.map(i => <span key={i}>{i}</span>)}</div>;\n' },
+    { path: 'src/broken.js', content: 'function f( {\n  return 1;\n}\n' },
+    { path: 'package.json', content: '{"name": "app"}' },
+    { path: 'broken.json', content: '{"name": }' },
+    { path: 'config.yml', content: 'key: value\nlist:\n  - a\n' },
+    { path: 'broken.yaml', content: 'key: [unclosed\n' }
+  ]);
+
+  assert.deepEqual(results.map(r => [r.path, r.status]), [
+    ['src/app.ts', 'valid'],
+    ['src/view.tsx', 'valid'],
+    ['src/broken.js', 'invalid'],
+    ['package.json', 'valid'],
+    ['broken.json', 'invalid'],
+    ['config.yml', 'valid'],
+    ['broken.yaml', 'invalid']
+  ]);
+  assert.equal(results[2].language, 'typescript');
+  assert.equal(results[2].errors[0].line, 1);
+  assert.ok(results[4].errors[0].message);
+});
+
+test('skips languages without a local parser', async () => {
+  const [result] = await validateFiles([{ path: 'Program.cs', content: 'class {' }]);
+  assert.deepEqual(result, { path: 'Program.cs', language: null, status: 'skipped', errors: [] });
+});
+
+test('checks Python files with the local interpreter', { skip: !hasPython && 'python3 not available' }, async () => {
+  const results = await validateFiles([
+    { path: 'app/ok.py', content: 'def f(x):\n    return x\n' },
+    { path: 'app/broken.py', content: 'def f(x)\n    return x\n' }
+  ]);
+
+  assert.deepEqual(results.map(r => r.status), ['valid', 'invalid']);
+  assert.equal(results[1].errors[0].line, 1);
+});
+
+test('skips Python files when no interpreter is available', async (t) => {
+  process.env.PYTHON_BIN = '/nonexistent/python3';
+  t.after(() => delete process.env.PYTHON_BIN);
+
+  const [result] = await validateFiles([{ path: 'app/ok.py', content: 'x = 1\n' }]);
+  assert.equal(result.status, 'skipped');
+  assert.equal(result.reason, 'Python interpreter not available');
+});
@@ -0,0 +1,89 @@
+import { Progress } from "@/components/ui/progress";
+import { ScrollArea } from "@/components/ui/scroll-area";
+import type { ConversionEvent } from "@/lib/conversion";
+
+function describeEvent(event: ConversionEvent): string | null {
+  switch (event.type) {
+    case "status":
+      return event.error_message
+        ? `Status: ${event.status} (${event.error_message})`
+        : `Status: ${event.status}`;
+    case "changes-detected":
+      return `Changes ${event.base?.slice(0, 7)}..${event.head?.slice(0, 7)}: ${event.added} added, ${event.modified} modified, ${event.renamed} renamed, ${event.removed} removed`;
+    case "files-fetched":
+      return event.ingestion
+        ? `Fetched ${event.ingestion.totalFiles} files from the repository: ${event.ingestion.included} included, ${event.ingestion.filtered} filtered, ${event.ingestion.skipped} skipped`
+        : `Fetched ${event.count} files from the repository`;
+    case "cache-hit":
+      return `Reusing earlier conversions of ${event.count} unchanged files`;
+    case "batches-planned":
+      return `Planned ${event.totalBatches} batches`;
+    case "batch-started":
+      return `Batch ${event.batch}/${event.totalBatches} started (${event.files.length} files)`;
+    case "batch-retry":
+      return `Batch ${event.batch} attempt ${event.attempt} failed (${event.error}), retrying in ${Math.round(event.delay / 1000)}s`;
+    case "batch-split":
+      return `Batch ${event.batch} split into ${event.sizes.join(" + ")} files after repeated failures`;
+    case "coverage-retry":
+      return `Batch ${event.batch}: re-converting ${event.files.length} files missing from the output`;
+    case "large-file-started":
+      return `Batch ${event.batch}: converting ${event.path} in ${event.chunks} chunks`;
+    case "chunk-completed":
+      return `${event.path}: chunk ${event.chunk}/${event.chunks} ${event.status === "success" ? "converted" : "fell back to a stub"}`;
+    case "batch-completed":
+      return event.status === "success"
+        ? `Batch ${event.batch}/${event.totalBatches} converted ${event.fileCount} files`
+        : `Batch ${event.batch}/${event.totalBatches} finished with fallback files`;
+    case "fallback":
+      return `Batch ${event.batch}: ${event.files.length} files fell back to stubs (${event.error})`;
+    case "validation-started":
+      return `Syntax-checking ${event.fileCount} generated files`;
+    case "validation-completed":
+      return `Validation: ${event.valid} valid, ${event.invalid} invalid, ${event.repaired} repaired, ${event.skipped} not checked`;
+    case "summary":
+      return `Done: ${event.summary.successfullyConverted} converted, ${event.summary.fallbackFiles} fallback`;
+    default:
+      // fetch-progress only drives the status line, not the log
+      return null;
+  }
+}
+
+interface ConversionProgressProps {
+  progress: number;
+  events: ConversionEvent[];
+}
+
+export function ConversionProgress({ progress, events }: ConversionProgressProps) {
+  const fetchEvent = [...events].reverse().find((e) => e.type === "fetch-progress");
+  const fetching = fetchEvent && !events.some((e) => e.type === "files-fetched");
+  const log = events
+    .map((e) => ({ id: e.id, type: e.type, invalid: e.invalid, text: describeEvent(e) }))
+    .filter((e) => e.text);
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between text-sm">
+        <span className="text-muted-foreground">
+          {fetching
+            ? fetchEvent.phase === "download"
+              ? `Downloading repository (${(fetchEvent.bytes / 1024 / 1024).toFixed(1)} MB)...`
+              : `Fetching files ${fetchEvent.fetched}/${fetchEvent.total}...`
+            : "Conversion progress"}
+        </span>
+        <span className="font-medium">{progress}%</span>
+      </div>
+      <Progress value={progress} />
+      {log.length > 0 && (
+        <ScrollArea className="h-40 rounded-md border p-3">
+          <ul className="space-y-1 text-xs font-mono">
+            {log.map((e) => (
+              <li key={e.id} className={e.type === "fallback" || (e.type === "validation-completed" && e.invalid) ? "text-destructive" : undefined}>
+                {e.text}
+              </li>
+            ))}
+          </ul>
+        </ScrollArea>
+      )}
+    </div>
+  );
+}
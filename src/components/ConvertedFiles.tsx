@@ -0,0 +1,329 @@
+import { useEffect, useMemo, useState } from "react";
+import hljs from "highlight.js/lib/common";
+import "highlight.js/styles/github.css";
+import { ChevronDown, ChevronRight } from "lucide-react";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Collapsible, CollapsibleContent, CollapsibleTrigger } from "@/components/ui/collapsible";
+import { Input } from "@/components/ui/input";
+import { ResizableHandle, ResizablePanel, ResizablePanelGroup } from "@/components/ui/resizable";
+import { ScrollArea } from "@/components/ui/scroll-area";
+import { Switch } from "@/components/ui/switch";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { API_BASE } from "@/lib/api";
+import { getSourcePaths, type ConvertedFile } from "@/lib/conversion";
+
+// Highlighting very large files freezes the page; they are shown as text
+const MAX_HIGHLIGHT_CHARS = 200000;
+
+interface TreeNode {
+  name: string;
+  path: string;
+  children: TreeNode[];
+  file?: ConvertedFile;
+}
+
+// Folders first, then files, each alphabetically
+function buildTree(files: ConvertedFile[]): TreeNode[] {
+  const root: TreeNode = { name: "", path: "", children: [] };
+
+  for (const file of files) {
+    const parts = file.path.split("/");
+    let node = root;
+    parts.forEach((name, i) => {
+      const path = parts.slice(0, i + 1).join("/");
+      let child = node.children.find((c) => c.path === path && !c.file);
+      if (i === parts.length - 1) {
+        node.children.push({ name, path, children: [], file });
+        return;
+      }
+      if (!child) {
+        child = { name, path, children: [] };
+        node.children.push(child);
+      }
+      node = child;
+    });
+  }
+
+  const sort = (nodes: TreeNode[]) => {
+    nodes.sort((a, b) => (a.file ? 1 : 0) - (b.file ? 1 : 0) || a.name.localeCompare(b.name));
+    nodes.forEach((n) => sort(n.children));
+  };
+  sort(root.children);
+  return root.children;
+}
+
+function CodeView({ path, content }: { path: string; content: string }) {
+  const html = useMemo(() => {
+    const language = path.split(".").pop()?.toLowerCase() ?? "";
+    if (content.length > MAX_HIGHLIGHT_CHARS || !hljs.getLanguage(language)) return null;
+    return hljs.highlight(content, { language, ignoreIllegals: true }).value;
+  }, [path, content]);
+
+  return (
+    <pre className="hljs h-full overflow-auto rounded-md p-4 text-sm">
+      {html === null ? <code>{content}</code> : <code dangerouslySetInnerHTML={{ __html: html }} />}
+    </pre>
+  );
+}
+
+interface FileTreeProps {
+  nodes: TreeNode[];
+  selected: string | null;
+  onSelect: (path: string) => void;
+  collapsed: Set<string>;
+  onToggle: (path: string) => void;
+  matches: Map<string, number> | null;
+}
+
+function FileTree({ nodes, selected, onSelect, collapsed, onToggle, matches }: FileTreeProps) {
+  return (
+    <ul className="space-y-0.5 text-sm">
+      {/* The model can output a path twice, or a file and a folder with the
+          same path, so the position keeps the keys apart */}
+      {nodes.map((node, index) =>
+        node.file ? (
+          <li key={`${node.path}#${index}`}>
+            <button
+              className={`flex w-full items-center gap-2 rounded px-2 py-0.5 text-left hover:bg-accent ${node.path === selected ? "bg-accent font-medium" : ""}`}
+              onClick={() => onSelect(node.path)}
+            >
+              <span className="truncate">{node.name}</span>
+              {node.file.isFallback && <Badge variant="destructive" className="px-1.5 py-0 text-[10px]">fallback</Badge>}
+              {node.file.edited && <Badge variant="outline" className="px-1.5 py-0 text-[10px]">edited</Badge>}
+              {!!matches?.get(node.path) && (
+                <span className="ml-auto text-xs text-muted-foreground">{matches.get(node.path)}</span>
+              )}
+            </button>
+          </li>
+        ) : (
+          <li key={`${node.path}#${index}`}>
+            <Collapsible open={!!matches || !collapsed.has(node.path)} onOpenChange={() => onToggle(node.path)}>
+              <CollapsibleTrigger className="flex w-full items-center gap-1 rounded px-1 py-0.5 text-left hover:bg-accent">
+                {!!matches || !collapsed.has(node.path) ? <ChevronDown className="h-3 w-3" /> : <ChevronRight className="h-3 w-3" />}
+                <span className="truncate">{node.name}</span>
+              </CollapsibleTrigger>
+              <CollapsibleContent className="pl-3">
+                <FileTree
+                  nodes={node.children}
+                  selected={selected}
+                  onSelect={onSelect}
+                  collapsed={collapsed}
+                  onToggle={onToggle}
+                  matches={matches}
+                />
+              </CollapsibleContent>
+            </Collapsible>
+          </li>
+        )
+      )}
+    </ul>
+  );
+}
+
+interface ConvertedFilesProps {
+  files: ConvertedFile[];
+  // Run the files belong to, for loading the original files
+  conversionId: string | null;
+  // Without these the files are read-only
+  onChange?: (path: string, content: string) => void;
+  onReconvert?: (file: ConvertedFile, instructions: string) => Promise<void>;
+}
+
+// Every generated file in a collapsible tree with search across paths and
+// contents, shown highlighted and optionally next to the file it came from.
+// Files can be edited in place or converted again from their sources.
+export function ConvertedFiles({ files, conversionId, onChange, onReconvert }: ConvertedFilesProps) {
+  const [query, setQuery] = useState("");
+  const [selected, setSelected] = useState<string | null>(files[0]?.path ?? null);
+  const [collapsed, setCollapsed] = useState<Set<string>>(new Set());
+  const [sideBySide, setSideBySide] = useState(true);
+  const [sourcePath, setSourcePath] = useState<string | null>(null);
+  // Original contents by run and source path (see originalKey); null when
+  // it could not be loaded
+  const [originals, setOriginals] = useState<Record<string, string | null>>({});
+  const [editing, setEditing] = useState(false);
+  const [instructions, setInstructions] = useState("");
+  const [reconverting, setReconverting] = useState(false);
+
+  useEffect(() => {
+    if (!files.some((f) => f.path === selected)) setSelected(files[0]?.path ?? null);
+  }, [files, selected]);
+
+  // Number of matching lines per file, or null without a query
+  const matches = useMemo(() => {
+    const q = query.trim().toLowerCase();
+    if (!q) return null;
+    const result = new Map<string, number>();
+    for (const f of files) {
+      const lines = f.content.split("\n").filter((l) => l.toLowerCase().includes(q)).length;
+      if (lines > 0 || f.path.toLowerCase().includes(q)) result.set(f.path, lines);
+    }
+    return result;
+  }, [files, query]);
+
+  const tree = useMemo(
+    () => buildTree(matches ? files.filter((f) => matches.has(f.path)) : files),
+    [files, matches]
+  );
+
+  const file = files.find((f) => f.path === selected) ?? null;
+  const sources = file ? getSourcePaths(file) : [];
+  const source = sourcePath && sources.includes(sourcePath) ? sourcePath : sources[0] ?? null;
+  const showOriginal = sideBySide && !!conversionId && !!source;
+  // Another run from the history can have a different file at the same path
+  const originalKey = `${conversionId}:${source}`;
+
+  useEffect(() => {
+    if (!showOriginal || !source || originalKey in originals) return;
+
+    const fetchOriginal = async () => {
+      try {
+        const response = await fetch(
+          `${API_BASE}/api/history/${conversionId}/source?path=${encodeURIComponent(source)}`,
+          { credentials: 'include' }
+        );
+        const data = response.ok ? await response.json() : null;
+        setOriginals((prev) => ({ ...prev, [originalKey]: data?.content ?? null }));
+      } catch (error) {
+        console.error('Failed to load original file:', error);
+        setOriginals((prev) => ({ ...prev, [originalKey]: null }));
+      }
+    };
+
+    fetchOriginal();
+  }, [showOriginal, source, originalKey, originals, conversionId]);
+
+  const reconvert = async () => {
+    if (!file || !onReconvert) return;
+    setReconverting(true);
+    try {
+      await onReconvert(file, instructions.trim());
+      setInstructions("");
+    } finally {
+      setReconverting(false);
+    }
+  };
+
+  const convertedView = file && (editing && onChange ? (
+    <Textarea
+      value={file.content}
+      onChange={(e) => onChange(file.path, e.target.value)}
+      spellCheck={false}
+      className="h-full resize-none font-mono text-sm"
+    />
+  ) : (
+    <CodeView path={file.path} content={file.content} />
+  ));
+
+  const toggleFolder = (path: string) => {
+    setCollapsed((prev) => {
+      const next = new Set(prev);
+      if (next.has(path)) next.delete(path);
+      else next.add(path);
+      return next;
+    });
+  };
+
+  return (
+    <div className="grid gap-4 md:grid-cols-[16rem_1fr]">
+      <div className="space-y-2">
+        <Input value={query} onChange={(e) => setQuery(e.target.value)} placeholder="Search files..." />
+        <p className="text-xs text-muted-foreground">
+          {matches ? `${matches.size} of ${files.length} files match` : `${files.length} files`}
+        </p>
+        <ScrollArea className="h-[480px] rounded-md border p-2">
+          <FileTree
+            nodes={tree}
+            selected={selected}
+            onSelect={setSelected}
+            collapsed={collapsed}
+            onToggle={toggleFolder}
+            matches={matches}
+          />
+        </ScrollArea>
+      </div>
+
+      {file ? (
+        <div className="min-w-0 space-y-2">
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            <span className="font-medium">{file.path}</span>
+            {file.isFallback && <Badge variant="destructive">fallback - needs manual review</Badge>}
+            {file.cached && <Badge variant="secondary">cached</Badge>}
+            {file.edited && <Badge variant="outline">edited</Badge>}
+            <div className="ml-auto flex items-center gap-2">
+              {onChange && (
+                <Button variant="outline" size="sm" onClick={() => setEditing(!editing)}>
+                  {editing ? "Done editing" : "Edit"}
+                </Button>
+              )}
+              <Switch id="side-by-side" checked={sideBySide} onCheckedChange={setSideBySide} disabled={!conversionId || !source} />
+              <Label htmlFor="side-by-side">Side by side</Label>
+            </div>
+          </div>
+          {onReconvert && sources.length > 0 && (
+            <div className="flex gap-2">
+              <Input
+                value={instructions}
+                onChange={(e) => setInstructions(e.target.value)}
+                placeholder="Optional instructions for the model, e.g. use async/await"
+                disabled={reconverting}
+              />
+              <Button variant="secondary" onClick={reconvert} disabled={reconverting}>
+                {reconverting ? "Re-converting..." : "Re-convert this file"}
+              </Button>
+            </div>
+          )}
+          {showOriginal && sources.length > 1 && (
+            <div className="flex flex-wrap gap-1 text-xs">
+              {sources.map((p) => (
+                <Badge
+                  key={p}
+                  variant={p === source ? "default" : "outline"}
+                  className="cursor-pointer"
+                  onClick={() => setSourcePath(p)}
+                >
+                  {p}
+                </Badge>
+              ))}
+            </div>
+          )}
+          <div className="h-[480px]">
+            {showOriginal && source ? (
+              <ResizablePanelGroup direction="horizontal" className="rounded-md border">
+                <ResizablePanel defaultSize={50} minSize={20}>
+                  <div className="flex h-full flex-col">
+                    <p className="border-b px-3 py-1 text-xs text-muted-foreground">Original: {source}</p>
+                    <div className="min-h-0 flex-1">
+                      {!(originalKey in originals) ? (
+                        <p className="p-4 text-sm text-muted-foreground">Loading original file...</p>
+                      ) : originals[originalKey] === null ? (
+                        <p className="p-4 text-sm text-muted-foreground">The original file could not be loaded.</p>
+                      ) : (
+                        <CodeView path={source} content={originals[originalKey] ?? ""} />
+                      )}
+                    </div>
+                  </div>
+                </ResizablePanel>
+                <ResizableHandle withHandle />
+                <ResizablePanel defaultSize={50} minSize={20}>
+                  <div className="flex h-full flex-col">
+                    <p className="border-b px-3 py-1 text-xs text-muted-foreground">Converted: {file.path}</p>
+                    <div className="min-h-0 flex-1">
+                      {convertedView}
+                    </div>
+                  </div>
+                </ResizablePanel>
+              </ResizablePanelGroup>
+            ) : (
+              convertedView
+            )}
+          </div>
+        </div>
+      ) : (
+        <p className="text-sm text-muted-foreground">No files match the search.</p>
+      )}
+    </div>
+  );
+}
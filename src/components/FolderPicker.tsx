@@ -0,0 +1,110 @@
+import { useMemo, useState } from "react";
+import { Button } from "@/components/ui/button";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { ScrollArea } from "@/components/ui/scroll-area";
+
+export interface RepoFolder {
+  path: string;
+  files: number;
+}
+
+interface FolderPickerProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  folders: RepoFolder[];
+  loading: boolean;
+  value: string;
+  onSelect: (path: string) => void;
+}
+
+// Browse the repository's folders one level at a time and pick the root of
+// the conversion ("" is the repository root)
+export function FolderPicker({ open, onOpenChange, folders, loading, value, onSelect }: FolderPickerProps) {
+  const [current, setCurrent] = useState(value);
+
+  const children = useMemo(() => {
+    const prefix = current ? `${current}/` : "";
+    return folders.filter((f) => f.path.startsWith(prefix) && !f.path.slice(prefix.length).includes("/"));
+  }, [folders, current]);
+
+  const crumbs = current ? current.split("/") : [];
+
+  const choose = (path: string) => {
+    onSelect(path);
+    onOpenChange(false);
+  };
+
+  return (
+    <Dialog
+      open={open}
+      onOpenChange={(next) => {
+        if (next) setCurrent(value);
+        onOpenChange(next);
+      }}
+    >
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>Choose root folder</DialogTitle>
+          <DialogDescription>
+            Only files under this folder are converted, with paths relative to it.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="flex flex-wrap items-center gap-1 text-sm">
+          <Button variant="link" size="sm" className="h-auto p-0" onClick={() => setCurrent("")}>
+            (repository root)
+          </Button>
+          {crumbs.map((name, i) => (
+            <span key={i} className="flex items-center gap-1">
+              <span className="text-muted-foreground">/</span>
+              <Button
+                variant="link"
+                size="sm"
+                className="h-auto p-0"
+                onClick={() => setCurrent(crumbs.slice(0, i + 1).join("/"))}
+              >
+                {name}
+              </Button>
+            </span>
+          ))}
+        </div>
+
+        <ScrollArea className="h-64 rounded-md border">
+          {loading ? (
+            <p className="p-3 text-sm text-muted-foreground">Loading folders...</p>
+          ) : children.length === 0 ? (
+            <p className="p-3 text-sm text-muted-foreground">No subfolders</p>
+          ) : (
+            <ul className="p-1">
+              {children.map((f) => (
+                <li key={f.path}>
+                  <button
+                    type="button"
+                    className="flex w-full items-center justify-between rounded px-2 py-1.5 text-left text-sm hover:bg-accent"
+                    onClick={() => setCurrent(f.path)}
+                  >
+                    <span className="font-mono">{f.path.split("/").pop()}/</span>
+                    <span className="text-xs text-muted-foreground">{f.files} files</span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </ScrollArea>
+
+        <DialogFooter>
+          <Button onClick={() => choose(current)}>
+            Use {current ? `${current}/` : "repository root"}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
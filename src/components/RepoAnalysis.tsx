@@ -0,0 +1,74 @@
+import { Badge } from "@/components/ui/badge";
+import type { RepoAnalysis as RepoAnalysisReport } from "@/lib/conversion";
+
+function formatBytes(bytes: number) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function formatCost(cost: number | null) {
+  if (cost === null) return "unknown (no pricing configured)";
+  if (cost === 0) return "free";
+  return `~$${cost < 0.01 ? cost.toFixed(4) : cost.toFixed(2)}`;
+}
+
+interface RepoAnalysisProps {
+  analysis: RepoAnalysisReport;
+}
+
+export function RepoAnalysis({ analysis }: RepoAnalysisProps) {
+  const { sourceStack, categories, estimate, ingestion } = analysis;
+  const stackBadges = [...sourceStack.frameworks, ...sourceStack.orms, ...sourceStack.databases];
+
+  return (
+    <div className="space-y-4 rounded-md border p-4 text-sm">
+      <div className="space-y-2">
+        <div className="flex items-center justify-between">
+          <span className="font-medium">Source stack</span>
+          <span className="text-muted-foreground">{sourceStack.summary}</span>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          {sourceStack.languages.map((l) => (
+            <Badge key={l.name} variant="secondary">
+              {l.name} · {l.files} files
+            </Badge>
+          ))}
+          {stackBadges.map((name) => (
+            <Badge key={name} variant="outline">{name}</Badge>
+          ))}
+        </div>
+      </div>
+
+      <div className="space-y-1">
+        <span className="font-medium">Files</span>
+        <p className="text-muted-foreground">
+          {ingestion.included} included, {ingestion.filtered} filtered, {ingestion.skipped} skipped
+          ({formatBytes(analysis.totalBytes)})
+        </p>
+        <ul className="grid grid-cols-2 gap-x-4 text-muted-foreground">
+          {Object.entries(categories).map(([category, stats]) => (
+            <li key={category} className="flex justify-between">
+              <span className="capitalize">{category}</span>
+              <span>{stats.files} · {formatBytes(stats.bytes)}</span>
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      <div className="space-y-1">
+        <span className="font-medium">Estimate</span>
+        <ul className="text-muted-foreground">
+          <li>
+            {estimate.batches} batches, {estimate.llmCalls} LLM calls
+            {estimate.largeFiles > 0 && ` (${estimate.largeFiles} large files converted in chunks)`}
+          </li>
+          <li>
+            ~{estimate.inputTokens.toLocaleString()} input / ~{estimate.outputTokens.toLocaleString()} output tokens
+          </li>
+          <li>Cost with {analysis.model}: {formatCost(estimate.estimatedCost)}</li>
+        </ul>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,33 @@
+import { useEffect, useState } from "react";
+import { API_BASE } from "@/lib/api";
+
+export interface GithubUser {
+  login: string;
+  avatar_url: string | null;
+}
+
+// The GitHub token lives in a server-side session; the browser only sends
+// its HttpOnly session cookie (credentials: 'include')
+export function useGithubSession() {
+  const [user, setUser] = useState<GithubUser | null>(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetch(`${API_BASE}/api/auth/session`, { credentials: 'include' })
+      .then((response) => (response.ok ? response.json() : null))
+      .then((data) => setUser(data?.authenticated ? data.user : null))
+      .catch((error) => console.error('Failed to load session:', error))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const logout = async () => {
+    try {
+      await fetch(`${API_BASE}/api/auth/logout`, { method: 'POST', credentials: 'include' });
+    } catch (error) {
+      console.error('Logout failed:', error);
+    }
+    setUser(null);
+  };
+
+  return { user, loading, logout } as const;
+}
@@ -0,0 +1,4 @@
+// Configure your Node.js API base URL
+export const API_BASE = process.env.NODE_ENV === 'production' 
+  ? 'https://your-api-domain.com'  // Replace with your production API URL
+  : 'http://localhost:3000';
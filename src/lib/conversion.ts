@@ -0,0 +1,179 @@
+// How the repository was read: files kept for conversion vs. filtered out
+// (not source code) vs. skipped (binary, too large or failed to fetch)
+export interface IngestionStats {
+  method: "tarball" | "blobs" | "upload";
+  commit: string;
+  totalFiles: number;
+  included: number;
+  filtered: number;
+  skipped: number;
+}
+
+// One generated file; `originalPath` names the source file(s) it came from.
+// `edited` marks files changed by hand in the preview.
+export interface ConvertedFile {
+  path: string;
+  content: string;
+  originalPath?: string | string[];
+  isFallback?: boolean;
+  cached?: boolean;
+  edited?: boolean;
+}
+
+// Source paths of a generated file; the model may list merged sources
+// as an array or comma-separated
+export function getSourcePaths(file: ConvertedFile): string[] {
+  const raw = file.originalPath;
+  if (!raw) return [];
+  return (Array.isArray(raw) ? raw : raw.split(",")).map((p) => p.trim()).filter(Boolean);
+}
+
+// Final report of a completed conversion job
+export interface ConversionSummary {
+  totalOriginalFiles: number;
+  totalConvertedFiles: number;
+  successfullyConverted: number;
+  fallbackFiles: number;
+  cachedFiles?: number;
+  target: { language: string; framework: string; database: string };
+  provider: string;
+  model: string;
+  sourceStack: string;
+  ingestion: IngestionStats;
+  coverage?: { total: number; converted: number; merged: number; partial: number; fallback: number; dropped: number };
+  validation?: { valid: number; invalid: number; repaired: number };
+  // Incremental conversions: the source changes and the output paths to delete
+  incremental?: {
+    base: string;
+    head: string;
+    added: string[];
+    modified: string[];
+    removed: string[];
+    renamed: { from: string; to: string }[];
+    deletions: string[];
+  };
+}
+
+export interface ConversionWarnings {
+  message?: string;
+  fallbackFiles?: string[];
+  droppedFiles?: string[];
+  invalidFiles?: string[];
+}
+
+export interface ConversionEvent {
+  id: number;
+  type: string;
+  timestamp: string;
+  status?: string;
+  progress?: number;
+  error_message?: string | null;
+  phase?: "download" | "files";
+  bytes?: number;
+  fetched?: number;
+  total?: number;
+  count?: number;
+  files?: string[];
+  skippedFiles?: { path: string; reason: string }[];
+  ingestion?: IngestionStats;
+  path?: string;
+  chunk?: number;
+  chunks?: number;
+  batch?: number | string;
+  attempt?: number;
+  delay?: number;
+  sizes?: number[];
+  totalBatches?: number;
+  fileCount?: number;
+  valid?: number;
+  invalid?: number;
+  repaired?: number;
+  skipped?: number;
+  error?: string;
+  summary?: ConversionSummary;
+  base?: string;
+  head?: string;
+  added?: number;
+  modified?: number;
+  removed?: number;
+  renamed?: number;
+}
+
+// Event types sent by GET /api/convert/:id/events
+export const CONVERSION_EVENT_TYPES = [
+  "status",
+  "changes-detected",
+  "fetch-progress",
+  "files-fetched",
+  "cache-hit",
+  "batches-planned",
+  "batch-started",
+  "batch-retry",
+  "batch-split",
+  "coverage-retry",
+  "large-file-started",
+  "chunk-completed",
+  "batch-completed",
+  "fallback",
+  "validation-started",
+  "validation-completed",
+  "summary",
+];
+
+interface CategoryStats {
+  files: number;
+  bytes: number;
+}
+
+// Response of POST /api/analyze
+export interface RepoAnalysis {
+  repo: string;
+  branch: string;
+  commit: string;
+  ingestion: IngestionStats;
+  skippedFiles: { path: string; reason: string }[];
+  provider: string;
+  model: string;
+  sourceStack: {
+    languages: ({ name: string } & CategoryStats)[];
+    frameworks: string[];
+    orms: string[];
+    databases: string[];
+    summary: string;
+  };
+  categories: Record<string, CategoryStats>;
+  totalFiles: number;
+  totalBytes: number;
+  estimate: {
+    batches: number;
+    largeFiles: number;
+    llmCalls: number;
+    inputTokens: number;
+    outputTokens: number;
+    estimatedCost: number | null;
+  };
+}
+
+// A past run, from GET /api/history (columns of the `conversions` table plus
+// what is needed to re-open it)
+export interface ConversionRecord {
+  id: string;
+  repo_name: string;
+  source_stack: string;
+  target_stack: string;
+  status: "queued" | "running" | "completed" | "failed" | "cancelled";
+  progress: number;
+  error_message: string | null;
+  github_url: string | null;
+  download_url: string | null;
+  created_at: string;
+  completed_at: string | null;
+  // `include` / `exclude` are the file filters the run used
+  source: (
+    | { owner: string; repo: string; branch: string; rootPath: string; base?: string; previousConversionId?: string }
+    | { uploadId: string; rootPath?: string }
+  ) & { include?: string[]; exclude?: string[] };
+  target: { language: string; framework: string; database: string };
+  model: string;
+  commit: string | null;
+}
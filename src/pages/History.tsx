@@ -0,0 +1,155 @@
+import { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { toast } from "@/hooks/use-toast";
+import { useGithubSession } from "@/hooks/use-github-session";
+import { API_BASE } from "@/lib/api";
+import type { ConversionRecord } from "@/lib/conversion";
+
+const STATUS_VARIANTS: Record<ConversionRecord["status"], "default" | "secondary" | "destructive" | "outline"> = {
+  queued: "outline",
+  running: "secondary",
+  completed: "default",
+  failed: "destructive",
+  cancelled: "outline",
+};
+
+// Past conversion runs of the signed-in user, with links to re-open,
+// re-download or re-export each one
+const History = () => {
+  const { user, loading: loadingSession } = useGithubSession();
+  const [conversions, setConversions] = useState<ConversionRecord[]>([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!user) return;
+
+    const fetchHistory = async () => {
+      setLoading(true);
+
+      try {
+        const response = await fetch(`${API_BASE}/api/history`, { credentials: 'include' });
+
+        if (!response.ok) {
+          throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const data = await response.json();
+        setConversions(data?.conversions ?? []);
+      } catch (error) {
+        console.error('Failed to load history:', error);
+        toast({ 
+          title: "Failed to load history", 
+          description: error instanceof Error ? error.message : "Unknown error occurred"
+        });
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchHistory();
+  }, [user]);
+
+  return (
+    <div className="min-h-screen bg-background">
+      <header className="container py-10">
+        <div className="flex items-center justify-between">
+          <h1 className="text-3xl font-bold tracking-tight">Conversion History</h1>
+          <Button variant="outline" asChild>
+            <Link to="/">New conversion</Link>
+          </Button>
+        </div>
+      </header>
+
+      <main className="container pb-16">
+        <Card>
+          <CardHeader>
+            <CardTitle>Past runs</CardTitle>
+            <CardDescription>Every conversion you started, newest first.</CardDescription>
+          </CardHeader>
+          <CardContent>
+            {!user ? (
+              <p className="text-sm text-muted-foreground">
+                {loadingSession ? "Loading..." : "Login with GitHub to see your conversion history."}
+              </p>
+            ) : loading ? (
+              <p className="text-sm text-muted-foreground">Loading history...</p>
+            ) : conversions.length === 0 ? (
+              <p className="text-sm text-muted-foreground">No conversions yet.</p>
+            ) : (
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Repository</TableHead>
+                    <TableHead>Stack</TableHead>
+                    <TableHead>Status</TableHead>
+                    <TableHead>Started</TableHead>
+                    <TableHead className="text-right">Actions</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {conversions.map((c) => (
+                    <TableRow key={c.id}>
+                      <TableCell className="font-medium">
+                        {c.repo_name}
+                        {"branch" in c.source && (
+                          <span className="text-muted-foreground">:{c.source.branch}{c.source.rootPath && `/${c.source.rootPath}`}</span>
+                        )}
+                        {"base" in c.source && c.source.base && (
+                          <p className="text-xs text-muted-foreground">Changes since {c.source.base.slice(0, 7)}</p>
+                        )}
+                      </TableCell>
+                      <TableCell className="text-sm">
+                        {c.source_stack || "?"} → {c.target_stack}
+                      </TableCell>
+                      <TableCell>
+                        <Badge variant={STATUS_VARIANTS[c.status]}>
+                          {c.status === "running" ? `running ${c.progress}%` : c.status}
+                        </Badge>
+                        {c.error_message && (
+                          <p className="mt-1 max-w-xs truncate text-xs text-muted-foreground" title={c.error_message}>
+                            {c.error_message}
+                          </p>
+                        )}
+                      </TableCell>
+                      <TableCell className="text-sm text-muted-foreground">
+                        {new Date(c.created_at).toLocaleString()}
+                      </TableCell>
+                      <TableCell>
+                        <div className="flex justify-end gap-2">
+                          <Button size="sm" variant="outline" asChild>
+                            <Link to={`/?conversion=${c.id}`}>Open</Link>
+                          </Button>
+                          {c.download_url && (
+                            <Button size="sm" variant="outline" asChild>
+                              <a href={`${API_BASE}${c.download_url}`}>Download</a>
+                            </Button>
+                          )}
+                          {c.status === "completed" && (
+                            <Button size="sm" variant="outline" asChild>
+                              <Link to={`/?conversion=${c.id}#export`}>Re-export</Link>
+                            </Button>
+                          )}
+                          {c.github_url && (
+                            <Button size="sm" variant="link" asChild>
+                              <a href={c.github_url} target="_blank" rel="noreferrer">GitHub</a>
+                            </Button>
+                          )}
+                        </div>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </CardContent>
+        </Card>
+      </main>
+    </div>
+  );
+};
+
+export default History;
@@ -1,36 +1,30 @@
-import { useEffect, useMemo, useState } from "react";
+import { useEffect, useMemo, useRef, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
 import { Button } from "@/components/ui/button";
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
 import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { Switch } from "@/components/ui/switch";
 import { toast } from "@/hooks/use-toast";
-
-// Configure your Node.js API base URL
-const API_BASE = process.env.NODE_ENV === 'production' 
-  ? 'https://your-api-domain.com'  // Replace with your production API URL
-  : 'http://localhost:3000';
-
-function useGithubToken() {
-  const [token, setToken] = useState<string | null>(null);
-
-  useEffect(() => {
-    const hash = window.location.hash;
-    if (hash.startsWith("#github_token=")) {
-      const t = decodeURIComponent(hash.replace("#github_token=", ""));
-      // Store token in memory instead of localStorage for this session
-      setToken(t);
-      history.replaceState(null, "", window.location.pathname);
-    }
-  }, []);
-
-  const logout = () => {
-    setToken(null);
-  };
-
-  return { token, logout } as const;
-}
+import { ConversionProgress } from "@/components/ConversionProgress";
+import { RepoAnalysis } from "@/components/RepoAnalysis";
+import { FolderPicker, type RepoFolder } from "@/components/FolderPicker";
+import { ConvertedFiles } from "@/components/ConvertedFiles";
+import {
+  CONVERSION_EVENT_TYPES,
+  getSourcePaths,
+  type ConversionEvent,
+  type ConversionRecord,
+  type ConvertedFile,
+  type ConversionSummary,
+  type ConversionWarnings,
+  type RepoAnalysis as RepoAnalysisReport,
+} from "@/lib/conversion";
+import { API_BASE } from "@/lib/api";
+import { useGithubSession } from "@/hooks/use-github-session";
 
 interface Repo {
   id: number;
@@ -41,13 +35,43 @@ interface Repo {
   owner: { login: string };
 }
 
-interface ConvertedFile { 
-  path: string; 
-  content: string; 
+interface UploadedArchive {
+  id: string;
+  name: string;
+  size: number;
+  files: number;
+  folders: RepoFolder[];
 }
 
+interface ConversionJob {
+  id: string;
+  status: "queued" | "running" | "completed" | "failed" | "cancelled";
+  progress: number;
+  error_message: string | null;
+  files?: ConvertedFile[];
+  deletions?: string[];
+  summary?: ConversionSummary;
+  warnings?: ConversionWarnings;
+}
+
+// The GitHub branch a completed conversion was read from, for pull requests
+interface ConversionSource {
+  owner: string;
+  repo: string;
+  branch: string;
+  rootPath: string;
+}
+
+const JOB_POLL_INTERVAL = 2000;
+
+// "owner/repo" of a GitHub repository or pull request URL
+const toRepoName = (url: string | null) => url?.match(/^https:\/\/github\.com\/([^/]+\/[^/]+)/)?.[1] ?? "";
+
+const sleep = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
 const Index = () => {
-  const { token, logout } = useGithubToken();
+  const { user, logout } = useGithubSession();
+  const [searchParams, setSearchParams] = useSearchParams();
   const [repos, setRepos] = useState<Repo[]>([]);
   const [loadingRepos, setLoadingRepos] = useState(false);
   const [selectedRepo, setSelectedRepo] = useState<string>("");
@@ -57,10 +81,69 @@ const Index = () => {
   const [targetFramework, setTargetFramework] = useState("angular");
   const [targetDb, setTargetDb] = useState("postgresql");
   const [converted, setConverted] = useState<ConvertedFile[] | null>(null);
+  const [convResult, setConvResult] = useState<{ summary?: ConversionSummary; warnings?: ConversionWarnings } | null>(null);
+  const [convSource, setConvSource] = useState<ConversionSource | null>(null);
+  const [conversionId, setConversionId] = useState<string | null>(null);
+  // Uploaded archive the loaded run converted, for re-converting single files
+  const [convUpload, setConvUpload] = useState<{ uploadId: string; rootPath: string } | null>(null);
+  // Set for a patch set from an incremental conversion
+  const [deletions, setDeletions] = useState<string[] | null>(null);
+  // Where the loaded run was last exported to, and where its patch set goes
+  const [exportUrl, setExportUrl] = useState<string | null>(null);
+  const [patchRepo, setPatchRepo] = useState("");
   const [convLoading, setConvLoading] = useState(false);
+  const [convProgress, setConvProgress] = useState(0);
+  const [jobId, setJobId] = useState<string | null>(null);
+  const [resumableJobId, setResumableJobId] = useState<string | null>(null);
+  const [convEvents, setConvEvents] = useState<ConversionEvent[]>([]);
+  const pollingRef = useRef(false);
   const [newRepoName, setNewRepoName] = useState("converted-repo");
+  const [repoDescription, setRepoDescription] = useState("");
+  const [repoTopics, setRepoTopics] = useState("");
+  const [repoPrivate, setRepoPrivate] = useState(false);
+  const [useExistingRepo, setUseExistingRepo] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [openingPr, setOpeningPr] = useState(false);
   
-  const canConvert = useMemo(() => !!token && selectedRepo && selectedBranch, [token, selectedRepo, selectedBranch]);
+  const [sourceMode, setSourceMode] = useState<"github" | "upload">("github");
+  const [upload, setUpload] = useState<UploadedArchive | null>(null);
+  const [uploading, setUploading] = useState(false);
+  const [rootPath, setRootPath] = useState("");
+  const [folders, setFolders] = useState<RepoFolder[]>([]);
+  const [loadingFolders, setLoadingFolders] = useState(false);
+  const [folderPickerOpen, setFolderPickerOpen] = useState(false);
+  const [includeGlobs, setIncludeGlobs] = useState("");
+  const [excludeGlobs, setExcludeGlobs] = useState("");
+  const [analysis, setAnalysis] = useState<RepoAnalysisReport | null>(null);
+  const [analyzing, setAnalyzing] = useState(false);
+  
+  // What to convert: the selected GitHub branch or the uploaded archive
+  const sourceParams = useMemo(() => {
+    if (sourceMode === "upload") {
+      return upload ? { uploadId: upload.id } : null;
+    }
+    if (!user || !selectedRepo || !selectedBranch) return null;
+    const [owner, repo] = selectedRepo.split("/");
+    return { owner, repo, branch: selectedBranch };
+  }, [sourceMode, upload, user, selectedRepo, selectedBranch]);
+
+  // Conversion is only offered once the repository has been analyzed
+  const canConvert = useMemo(() => !!sourceParams && !!analysis, [sourceParams, analysis]);
+
+  useEffect(() => {
+    setRootPath("");
+    setFolders(sourceMode === "upload" ? upload?.folders ?? [] : []);
+  }, [sourceMode, upload, selectedRepo, selectedBranch]);
+
+  useEffect(() => {
+    setAnalysis(null);
+  }, [sourceParams, rootPath, includeGlobs, excludeGlobs]);
+
+  // One gitignore-style pattern per line
+  const fileFilters = useMemo(() => {
+    const toList = (text: string) => text.split("\n").map((l) => l.trim()).filter(Boolean);
+    return { rootPath, include: toList(includeGlobs), exclude: toList(excludeGlobs) };
+  }, [rootPath, includeGlobs, excludeGlobs]);
 
   const startGithubLogin = () => {
     const returnTo = window.location.origin;
@@ -68,7 +151,7 @@ const Index = () => {
   };
 
   const fetchRepos = async () => {
-    if (!token) return;
+    if (!user) return;
     setLoadingRepos(true);
     
     try {
@@ -77,7 +160,8 @@ const Index = () => {
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ token }),
+        credentials: 'include',
+        body: JSON.stringify({}),
       });
 
       if (!response.ok) {
@@ -98,7 +182,7 @@ const Index = () => {
   };
 
   const fetchBranches = async (fullName: string) => {
-    if (!token) return;
+    if (!user) return;
     const [owner, repo] = fullName.split("/");
     
     try {
@@ -107,8 +191,8 @@ const Index = () => {
         headers: {
           'Content-Type': 'application/json',
         },
+        credentials: 'include',
         body: JSON.stringify({ 
-          token, 
           action: "branches", 
           owner, 
           repo 
@@ -131,27 +215,107 @@ const Index = () => {
     }
   };
 
-  const runConversion = async () => {
-    if (!token || !selectedRepo || !selectedBranch) return;
+  // Resolves with null when polling is stopped before the job finishes
+  const pollConversion = async (id: string): Promise<ConversionJob | null> => {
+    while (pollingRef.current) {
+      const response = await fetch(`${API_BASE}/api/convert/${id}`, { credentials: 'include' });
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      const job: ConversionJob = await response.json();
+      setConvProgress(job.progress ?? 0);
+
+      if (job.status === "completed" || job.status === "failed" || job.status === "cancelled") {
+        return job;
+      }
+
+      await sleep(JOB_POLL_INTERVAL);
+    }
+
+    return null;
+  };
+
+  // Follow the job over Server-Sent Events, falling back to polling if the
+  // stream cannot be opened or drops before the job finishes
+  const streamConversion = (id: string, lastEventId = 0) => new Promise<void>((resolve) => {
+    const source = new EventSource(`${API_BASE}/api/convert/${id}/events?lastEventId=${lastEventId}`, {
+      withCredentials: true,
+    });
+
+    const handleEvent = (message: MessageEvent) => {
+      const event: ConversionEvent = JSON.parse(message.data);
+      setConvEvents((prev) => [...prev, event]);
+
+      if (typeof event.progress === "number") {
+        setConvProgress(event.progress);
+      }
+
+      if (event.type === "status" && ["completed", "failed", "cancelled"].includes(event.status)) {
+        source.close();
+        resolve();
+      }
+    };
+
+    CONVERSION_EVENT_TYPES.forEach((type) => source.addEventListener(type, handleEvent));
+    source.onerror = () => {
+      source.close();
+      resolve();
+    };
+  });
+
+  const uploadArchive = async (file: File) => {
+    setUploading(true);
+
+    try {
+      const response = await fetch(`${API_BASE}/api/uploads?name=${encodeURIComponent(file.name)}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/octet-stream',
+        },
+        credentials: 'include',
+        body: file,
+      });
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => null);
+        throw new Error(data?.error ?? `HTTP error! status: ${response.status}`);
+      }
+
+      setUpload(await response.json());
+    } catch (error) {
+      console.error('Upload failed:', error);
+      setUpload(null);
+      toast({ 
+        title: "Upload failed", 
+        description: error instanceof Error ? error.message : "Unknown error occurred"
+      });
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const openFolderPicker = async () => {
+    if (!sourceParams) return;
+    setFolderPickerOpen(true);
+    if (sourceMode === "upload" || folders.length > 0) return;
+
     const [owner, repo] = selectedRepo.split("/");
-    setConvLoading(true);
-    
+    setLoadingFolders(true);
+
     try {
-      const response = await fetch(`${API_BASE}/api/convert`, {
+      const response = await fetch(`${API_BASE}/api/github`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({
-          token,
-          owner,
+        credentials: 'include',
+        body: JSON.stringify({ 
+          action: "folders", 
+          owner, 
           repo,
-          branch: selectedBranch,
-          target: { 
-            language: targetLang, 
-            framework: targetFramework, 
-            database: targetDb 
-          },
+          branch: selectedBranch 
         }),
       });
 
@@ -160,11 +324,113 @@ const Index = () => {
       }
 
       const data = await response.json();
-      setConverted(data?.files ?? null);
+      setFolders(data?.folders ?? []);
+    } catch (error) {
+      console.error('Failed to load folders:', error);
+      toast({ 
+        title: "Failed to load folders", 
+        description: error instanceof Error ? error.message : "Unknown error occurred"
+      });
+    } finally {
+      setLoadingFolders(false);
+    }
+  };
+
+  const analyzeRepository = async () => {
+    if (!sourceParams) return;
+    setAnalyzing(true);
+
+    try {
+      const response = await fetch(`${API_BASE}/api/analyze`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        credentials: 'include',
+        body: JSON.stringify({
+          ...sourceParams,
+          ...fileFilters,
+        }),
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      setAnalysis(await response.json());
+    } catch (error) {
+      console.error('Analysis failed:', error);
+      toast({ 
+        title: "Analysis failed", 
+        description: error instanceof Error ? error.message : "Unknown error occurred"
+      });
+    } finally {
+      setAnalyzing(false);
+    }
+  };
+
+  // Stream a started job to completion and collect its files. Failed and
+  // cancelled jobs can be resumed from where they stopped.
+  const followConversion = async (id: string, lastEventId = 0) => {
+    setJobId(id);
+    setResumableJobId(null);
+    pollingRef.current = true;
+
+    try {
+      await streamConversion(id, lastEventId);
+      const job = await pollConversion(id);
+      if (!job) return;
+
+      if (job.status === "cancelled") {
+        setResumableJobId(id);
+        toast({ title: "Conversion cancelled" });
+        return;
+      }
+
+      if (job.status === "failed") {
+        setResumableJobId(id);
+        throw new Error(job.error_message || "Conversion failed");
+      }
+
+      setConverted(job.files ?? null);
+      setDeletions(job.deletions ?? null);
+      setConvResult({ summary: job.summary, warnings: job.warnings });
       toast({ 
         title: "Conversion complete", 
-        description: `Converted ${data?.files?.length ?? 0} files.` 
+        description: `Converted ${job.files?.length ?? 0} files.` 
+      });
+    } finally {
+      pollingRef.current = false;
+      setJobId(null);
+    }
+  };
+
+  // Start a job and follow it; `source` is the branch pull requests go to
+  const startConversion = async (body: Record<string, unknown>, source: ConversionSource | null) => {
+    setConvLoading(true);
+    setConvProgress(0);
+    setConvEvents([]);
+    setConvSource(source);
+    
+    try {
+      const response = await fetch(`${API_BASE}/api/convert`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        credentials: 'include',
+        body: JSON.stringify(body),
       });
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      const { id } = await response.json();
+      // Keep the run in the URL so a reload re-attaches to it
+      setConversionId(id);
+      setSearchParams({ conversion: id }, { replace: true });
+      await followConversion(id);
     } catch (error) {
       console.error('Conversion failed:', error);
       toast({ 
@@ -176,28 +442,286 @@ const Index = () => {
     }
   };
 
+  const runConversion = () => {
+    if (!sourceParams) return;
+    setConvUpload("uploadId" in sourceParams ? { uploadId: sourceParams.uploadId, rootPath } : null);
+    startConversion(
+      {
+        ...sourceParams,
+        ...fileFilters,
+        target: { 
+          language: targetLang, 
+          framework: targetFramework, 
+          database: targetDb 
+        },
+      },
+      "owner" in sourceParams
+        ? { owner: sourceParams.owner, repo: sourceParams.repo, branch: sourceParams.branch, rootPath }
+        : null
+    );
+  };
+
+  // Convert only what changed on the source branch since the loaded run. The
+  // result is a patch set for the repository that run was exported to.
+  const convertChanges = () => {
+    const summary = convResult?.summary;
+    if (!convSource || !conversionId || !summary?.ingestion?.commit) return;
+    setPatchRepo(toRepoName(exportUrl));
+    startConversion(
+      {
+        owner: convSource.owner,
+        repo: convSource.repo,
+        branch: convSource.branch,
+        rootPath: convSource.rootPath,
+        target: summary.target,
+        base: summary.ingestion.commit,
+        previousConversionId: conversionId,
+      },
+      convSource
+    );
+  };
+
+  // Hand edits in the preview replace the file in what gets exported
+  const updateFile = (path: string, content: string) => {
+    setConverted((prev) => prev?.map((f) => (f.path === path ? { ...f, content, edited: true } : f)) ?? null);
+  };
+
+  // Convert the sources of one file again, optionally following
+  // `instructions`, and swap the result in for everything they produced
+  const reconvertFile = async (file: ConvertedFile, instructions: string) => {
+    const summary = convResult?.summary;
+    const source = convSource
+      ? { owner: convSource.owner, repo: convSource.repo, branch: convSource.branch, rootPath: convSource.rootPath }
+      : convUpload;
+    if (!source || !conversionId || !summary) return;
+    const paths = getSourcePaths(file);
+
+    try {
+      const response = await fetch(`${API_BASE}/api/convert`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        credentials: 'include',
+        body: JSON.stringify({
+          ...source,
+          target: summary.target,
+          // Convert the same commit as the loaded run
+          ...(convSource && summary.ingestion?.commit && { head: summary.ingestion.commit }),
+          paths,
+          ...(instructions && { instructions }),
+          previousConversionId: conversionId,
+        }),
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      const { id } = await response.json();
+      let job: ConversionJob;
+      do {
+        await sleep(JOB_POLL_INTERVAL);
+        const jobResponse = await fetch(`${API_BASE}/api/convert/${id}`, { credentials: 'include' });
+        if (!jobResponse.ok) {
+          throw new Error(`HTTP error! status: ${jobResponse.status}`);
+        }
+        job = await jobResponse.json();
+      } while (job.status === "queued" || job.status === "running");
+
+      if (job.status !== "completed") {
+        throw new Error(job.error_message || `Re-conversion ${job.status}`);
+      }
+
+      const replaced = new Set(paths);
+      setConverted((prev) => [
+        ...(prev ?? []).filter((f) => !getSourcePaths(f).some((p) => replaced.has(p))),
+        ...(job.files ?? []),
+      ]);
+      toast({ 
+        title: "File re-converted", 
+        description: `${paths.join(", ")} produced ${job.files?.length ?? 0} files.` 
+      });
+    } catch (error) {
+      console.error('Re-conversion failed:', error);
+      toast({ 
+        title: "Re-conversion failed", 
+        description: error instanceof Error ? error.message : "Unknown error occurred"
+      });
+    }
+  };
+
+  // Re-open a run from the history: follow it while it is still going,
+  // otherwise load its converted files for download and export
+  const openConversion = async (id: string) => {
+    setConversionId(id);
+    setConverted(null);
+    setDeletions(null);
+    setConvResult(null);
+    setConvEvents([]);
+
+    try {
+      const response = await fetch(`${API_BASE}/api/history/${id}`, { credentials: 'include' });
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      const data: {
+        conversion: ConversionRecord;
+        job?: ConversionJob;
+        files?: ConvertedFile[];
+        deletions?: string[];
+        summary?: ConversionSummary;
+        warnings?: ConversionWarnings;
+      } = await response.json();
+      const { conversion, job } = data;
+
+      setConvSource("owner" in conversion.source ? conversion.source : null);
+      setConvUpload("uploadId" in conversion.source
+        ? { uploadId: conversion.source.uploadId, rootPath: conversion.source.rootPath ?? "" }
+        : null);
+      setExportUrl(conversion.github_url);
+      setConvProgress(conversion.progress);
+
+      if (job?.status === "queued" || job?.status === "running") {
+        setConvLoading(true);
+        try {
+          await followConversion(id);
+        } finally {
+          setConvLoading(false);
+        }
+        return;
+      }
+
+      if (conversion.status !== "completed") {
+        // Failed and cancelled jobs can be resumed while the server still has them
+        if (job) setResumableJobId(id);
+        toast({ 
+          title: `Conversion ${conversion.status}`, 
+          description: conversion.error_message ?? undefined 
+        });
+        return;
+      }
+
+      setConverted(data.files ?? null);
+      setDeletions(data.deletions ?? null);
+      setConvResult({ summary: data.summary, warnings: data.warnings });
+      if (window.location.hash === "#export") {
+        document.getElementById("export")?.scrollIntoView();
+      }
+    } catch (error) {
+      console.error('Failed to open conversion:', error);
+      toast({ 
+        title: "Failed to open conversion", 
+        description: error instanceof Error ? error.message : "Unknown error occurred"
+      });
+    }
+  };
+
+  useEffect(() => {
+    const id = searchParams.get("conversion");
+    if (id && id !== conversionId) openConversion(id);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [searchParams]);
+
+  const resumeConversion = async () => {
+    if (!resumableJobId) return;
+    setConvLoading(true);
+    // Keep the log of the previous run and stream only what comes after it
+    const lastEventId = convEvents[convEvents.length - 1]?.id ?? 0;
+
+    try {
+      const response = await fetch(`${API_BASE}/api/convert/${resumableJobId}/resume`, {
+        method: 'POST',
+        credentials: 'include',
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      await followConversion(resumableJobId, lastEventId);
+    } catch (error) {
+      console.error('Resume failed:', error);
+      toast({ 
+        title: "Resume failed", 
+        description: error instanceof Error ? error.message : "Unknown error occurred"
+      });
+    } finally {
+      setConvLoading(false);
+    }
+  };
+
+  const cancelConversion = async () => {
+    if (!jobId) return;
+
+    try {
+      const response = await fetch(`${API_BASE}/api/convert/${jobId}/cancel`, {
+        method: 'POST',
+        credentials: 'include',
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+    } catch (error) {
+      console.error('Cancel failed:', error);
+      toast({ 
+        title: "Cancel failed", 
+        description: error instanceof Error ? error.message : "Unknown error occurred"
+      });
+    }
+  };
+
+  useEffect(() => {
+    return () => {
+      pollingRef.current = false;
+    };
+  }, []);
+
+  // Exporting again into the same repository resumes a failed export: only
+  // files that are missing or differ are uploaded
   const exportToGithub = async () => {
-    if (!token || !converted?.length) return;
+    if (!user || !(converted?.length || deletions?.length)) return;
+    setExporting(true);
     
     try {
-      // Note: You'll need to implement this endpoint in your Node.js server
       const response = await fetch(`${API_BASE}/api/github-create`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
+        credentials: 'include',
         body: JSON.stringify({ 
-          token, 
           repoName: newRepoName, 
-          files: converted 
+          description: repoDescription || undefined,
+          topics: repoTopics.split(",").map((t) => t.trim()).filter(Boolean),
+          isPrivate: repoPrivate,
+          useExisting: useExistingRepo,
+          files: converted ?? [],
+          deletions: deletions ?? undefined,
+          summary: convResult?.summary,
+          conversionId,
         }),
       });
 
+      const data = await response.json();
       if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+        // The repository exists now; the next export continues into it
+        if (data?.repository || data?.code === "repo_exists") {
+          setUseExistingRepo(true);
+        }
+        throw new Error(data?.error || `HTTP error! status: ${response.status}`);
       }
 
-      const data = await response.json();
+      const stats = data.upload_stats;
+      toast({
+        title: stats.commit ? "Export complete" : "Already up to date",
+        description: `${data.repository.full_name}: ${stats.added} added, ${stats.updated} updated, ${stats.deleted} deleted, ${stats.unchanged} unchanged.`,
+      });
+      setUseExistingRepo(true);
+      setExportUrl(data.html_url);
       if (data?.html_url) {
         window.open(data.html_url, "_blank");
       }
@@ -207,6 +731,61 @@ const Index = () => {
         title: "Export failed", 
         description: error instanceof Error ? error.message : "Unknown error occurred"
       });
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  // Commit the converted files to a new branch of the source repository (or a
+  // fork) and open a pull request against the branch that was converted. A
+  // patch set goes to the default branch of the repository in `patchRepo`.
+  const openPullRequest = async () => {
+    if (!user || !convSource || !(converted?.length || deletions?.length)) return;
+    const [patchOwner, patchName] = patchRepo.split("/");
+    if (deletions && (!patchOwner || !patchName)) return;
+    setOpeningPr(true);
+
+    try {
+      const response = await fetch(`${API_BASE}/api/github-pr`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        credentials: 'include',
+        body: JSON.stringify({
+          ...(deletions
+            ? { owner: patchOwner, repo: patchName, deletions }
+            : { owner: convSource.owner, repo: convSource.repo, baseBranch: convSource.branch, rootPath: convSource.rootPath }),
+          files: converted ?? [],
+          summary: convResult?.summary,
+          warnings: convResult?.warnings,
+          conversionId,
+        }),
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data?.error || `HTTP error! status: ${response.status}`);
+      }
+
+      toast({
+        title: "Pull request opened",
+        description: data.repository?.forked
+          ? `Branch ${data.pull_request.head} was pushed to your fork ${data.repository.full_name}.`
+          : `Branch ${data.pull_request.head} was pushed to ${data.repository.full_name}.`,
+      });
+      setExportUrl(data.html_url);
+      if (data?.html_url) {
+        window.open(data.html_url, "_blank");
+      }
+    } catch (error) {
+      console.error('Pull request failed:', error);
+      toast({ 
+        title: "Pull request failed", 
+        description: error instanceof Error ? error.message : "Unknown error occurred"
+      });
+    } finally {
+      setOpeningPr(false);
     }
   };
 
@@ -243,18 +822,21 @@ const Index = () => {
   };
 
   useEffect(() => {
-    if (token) fetchRepos();
+    if (user) fetchRepos();
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [token]);
+  }, [user]);
 
   return (
     <div className="min-h-screen bg-background">
       <header className="container py-10">
         <div className="flex items-center justify-between">
           <h1 className="text-3xl font-bold tracking-tight">StaxChange AI</h1>
-          {token ? (
+          {user ? (
             <div className="flex items-center gap-3">
-              <span className="text-sm text-muted-foreground">Connected to GitHub</span>
+              <span className="text-sm text-muted-foreground">Connected to GitHub as {user.login}</span>
+              <Button variant="outline" asChild>
+                <Link to="/history">History</Link>
+              </Button>
               <Button variant="outline" onClick={logout}>Logout</Button>
             </div>
           ) : (
@@ -268,53 +850,135 @@ const Index = () => {
           <Card>
             <CardHeader>
               <CardTitle>1. Select Repository</CardTitle>
-              <CardDescription>Choose a repository and branch to convert.</CardDescription>
+              <CardDescription>Choose a repository and branch or upload an archive, then analyze it before converting.</CardDescription>
             </CardHeader>
             <CardContent className="space-y-4">
+              <Tabs value={sourceMode} onValueChange={(v) => setSourceMode(v as "github" | "upload")}>
+                <TabsList className="grid w-full grid-cols-2">
+                  <TabsTrigger value="github">GitHub</TabsTrigger>
+                  <TabsTrigger value="upload">Upload archive</TabsTrigger>
+                </TabsList>
+                <TabsContent value="github" className="space-y-4">
+                  <div className="space-y-2">
+                    <Label>Repository</Label>
+                    <Select 
+                      onValueChange={(v) => { 
+                        setSelectedRepo(v); 
+                        fetchBranches(v); 
+                      }} 
+                      disabled={!user || loadingRepos}
+                    >
+                      <SelectTrigger>
+                        <SelectValue placeholder={
+                          user 
+                            ? (loadingRepos ? "Loading repos..." : "Select a repository") 
+                            : "Login to load repos"
+                        } />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {repos.map((r) => (
+                          <SelectItem key={r.id} value={r.full_name}>
+                            {r.full_name}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                  <div className="space-y-2">
+                    <Label>Branch</Label>
+                    <Select 
+                      onValueChange={setSelectedBranch} 
+                      value={selectedBranch} 
+                      disabled={!branches.length}
+                    >
+                      <SelectTrigger>
+                        <SelectValue placeholder={
+                          branches.length ? "Select a branch" : "No branches"
+                        } />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {branches.map((b) => (
+                          <SelectItem key={b} value={b}>{b}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                </TabsContent>
+                <TabsContent value="upload" className="space-y-2">
+                  <Label>Archive (.zip, .tar.gz)</Label>
+                  <Input 
+                    type="file" 
+                    accept=".zip,.tar,.tar.gz,.tgz" 
+                    disabled={uploading || !user} 
+                    onChange={(e) => {
+                      const file = e.target.files?.[0];
+                      if (file) uploadArchive(file);
+                    }} 
+                  />
+                  <p className="text-xs text-muted-foreground">
+                    {uploading 
+                      ? "Uploading..." 
+                      : !user
+                        ? "Login with GitHub to upload an archive."
+                        : upload 
+                          ? `${upload.name}: ${upload.files} files` 
+                          : "For code that is not on GitHub, e.g. GitLab or Bitbucket exports."}
+                  </p>
+                </TabsContent>
+              </Tabs>
               <div className="space-y-2">
-                <Label>Repository</Label>
-                <Select 
-                  onValueChange={(v) => { 
-                    setSelectedRepo(v); 
-                    fetchBranches(v); 
-                  }} 
-                  disabled={!token || loadingRepos}
-                >
-                  <SelectTrigger>
-                    <SelectValue placeholder={
-                      token 
-                        ? (loadingRepos ? "Loading repos..." : "Select a repository") 
-                        : "Login to load repos"
-                    } />
-                  </SelectTrigger>
-                  <SelectContent>
-                    {repos.map((r) => (
-                      <SelectItem key={r.id} value={r.full_name}>
-                        {r.full_name}
-                      </SelectItem>
-                    ))}
-                  </SelectContent>
-                </Select>
+                <Label>Root Folder</Label>
+                <div className="flex gap-2">
+                  <Input value={rootPath ? `${rootPath}/` : "(repository root)"} readOnly />
+                  <Button 
+                    variant="outline" 
+                    disabled={!sourceParams} 
+                    onClick={openFolderPicker}
+                  >
+                    Browse
+                  </Button>
+                </div>
+                <FolderPicker 
+                  open={folderPickerOpen} 
+                  onOpenChange={setFolderPickerOpen} 
+                  folders={folders} 
+                  loading={loadingFolders} 
+                  value={rootPath} 
+                  onSelect={setRootPath} 
+                />
               </div>
-              <div className="space-y-2">
-                <Label>Branch</Label>
-                <Select 
-                  onValueChange={setSelectedBranch} 
-                  value={selectedBranch} 
-                  disabled={!branches.length}
-                >
-                  <SelectTrigger>
-                    <SelectValue placeholder={
-                      branches.length ? "Select a branch" : "No branches"
-                    } />
-                  </SelectTrigger>
-                  <SelectContent>
-                    {branches.map((b) => (
-                      <SelectItem key={b} value={b}>{b}</SelectItem>
-                    ))}
-                  </SelectContent>
-                </Select>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div className="space-y-2">
+                  <Label>Include</Label>
+                  <Textarea 
+                    value={includeGlobs} 
+                    onChange={(e) => setIncludeGlobs(e.target.value)} 
+                    placeholder={"src/\n*.ts"} 
+                    rows={3}
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label>Exclude</Label>
+                  <Textarea 
+                    value={excludeGlobs} 
+                    onChange={(e) => setExcludeGlobs(e.target.value)} 
+                    placeholder={"vendor/\n*.md"} 
+                    rows={3}
+                  />
+                </div>
+                <p className="md:col-span-2 text-xs text-muted-foreground">
+                  One gitignore-style pattern per line. Leave Include empty to use the default file types, which leave out docs and lock files; paths are relative to the root folder, whose .staxchangeignore file is always applied.
+                </p>
               </div>
+              <Button 
+                variant="outline" 
+                className="w-full" 
+                disabled={!sourceParams || analyzing} 
+                onClick={analyzeRepository}
+              >
+                {analyzing ? "Analyzing..." : "Analyze Repository"}
+              </Button>
+              {analysis && <RepoAnalysis analysis={analysis} />}
             </CardContent>
           </Card>
 
@@ -360,40 +1024,102 @@ const Index = () => {
                   </SelectContent>
                 </Select>
               </div>
-              <div className="md:col-span-3">
+              {(convLoading || convEvents.length > 0) && (
+                <div className="md:col-span-3">
+                  <ConversionProgress progress={convProgress} events={convEvents} />
+                </div>
+              )}
+              <div className="md:col-span-3 flex gap-3">
                 <Button 
-                  className="w-full" 
+                  className="flex-1" 
                   disabled={!canConvert || convLoading} 
                   onClick={runConversion}
                 >
-                  {convLoading ? "Converting..." : "Run Conversion"}
+                  {convLoading ? `Converting... ${convProgress}%` : "Run Conversion"}
                 </Button>
+                {convLoading && (
+                  <Button 
+                    variant="outline" 
+                    onClick={cancelConversion} 
+                    disabled={!jobId}
+                  >
+                    Cancel
+                  </Button>
+                )}
+                {!convLoading && resumableJobId && (
+                  <Button variant="outline" onClick={resumeConversion}>
+                    Resume
+                  </Button>
+                )}
+                {!convLoading && convSource && conversionId && convResult?.summary?.ingestion?.commit && (
+                  <Button variant="outline" onClick={convertChanges}>
+                    Convert changes since {convResult.summary.ingestion.commit.slice(0, 7)}
+                  </Button>
+                )}
               </div>
             </CardContent>
           </Card>
         </section>
 
-        <section className="grid gap-6 md:grid-cols-2">
+        <section id="export">
           <Card>
             <CardHeader>
               <CardTitle>3. Export</CardTitle>
-              <CardDescription>Push to GitHub or download a ZIP.</CardDescription>
+              <CardDescription>Push to a new GitHub repo, open a pull request on the source repo, or download a ZIP.</CardDescription>
             </CardHeader>
             <CardContent className="space-y-4">
               <div className="space-y-2">
-                <Label>New GitHub Repo Name</Label>
+                <Label>GitHub Repo Name</Label>
                 <Input 
                   value={newRepoName} 
                   onChange={(e) => setNewRepoName(e.target.value)} 
                   placeholder="converted-repo" 
                 />
               </div>
+              <div className="space-y-2">
+                <Label>Description</Label>
+                <Input 
+                  value={repoDescription} 
+                  onChange={(e) => setRepoDescription(e.target.value)} 
+                  placeholder="Converted repository via StaxChange" 
+                />
+              </div>
+              <div className="space-y-2">
+                <Label>Topics</Label>
+                <Input 
+                  value={repoTopics} 
+                  onChange={(e) => setRepoTopics(e.target.value)} 
+                  placeholder="csharp, angular, migration" 
+                />
+              </div>
+              <div className="flex items-center justify-between">
+                <Label htmlFor="repo-private">Private repository</Label>
+                <Switch 
+                  id="repo-private" 
+                  checked={repoPrivate} 
+                  onCheckedChange={setRepoPrivate} 
+                />
+              </div>
+              <div className="flex items-center justify-between gap-4">
+                <div className="space-y-1">
+                  <Label htmlFor="repo-existing">Export into existing repository</Label>
+                  <p className="text-xs text-muted-foreground">
+                    Continues an earlier export: only missing or changed files are uploaded. The
+                    options above only apply when the repository is created.
+                  </p>
+                </div>
+                <Switch 
+                  id="repo-existing" 
+                  checked={useExistingRepo} 
+                  onCheckedChange={setUseExistingRepo} 
+                />
+              </div>
               <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
                 <Button 
                   onClick={exportToGithub} 
-                  disabled={!converted?.length}
+                  disabled={!(converted?.length || deletions?.length) || exporting}
                 >
-                  Export to GitHub
+                  {exporting ? "Exporting..." : "Export to GitHub"}
                 </Button>
                 <Button 
                   variant="secondary" 
@@ -402,37 +1128,55 @@ const Index = () => {
                 >
                   Download ZIP
                 </Button>
+                {deletions && (
+                  <div className="space-y-2 md:col-span-2">
+                    <Label>Converted repository</Label>
+                    <Input 
+                      value={patchRepo} 
+                      onChange={(e) => setPatchRepo(e.target.value)} 
+                      placeholder="owner/converted-repo" 
+                    />
+                    <p className="text-xs text-muted-foreground">
+                      Patch set: {converted?.length ?? 0} updated files, {deletions.length} deletions.
+                    </p>
+                  </div>
+                )}
+                <Button 
+                  variant="outline" 
+                  className="md:col-span-2" 
+                  onClick={openPullRequest} 
+                  disabled={!(converted?.length || deletions?.length) || !convSource || !user || openingPr || (!!deletions && !patchRepo.includes("/"))}
+                >
+                  {openingPr
+                    ? "Opening pull request..."
+                    : deletions
+                      ? `Open Pull Request on ${patchRepo || "the converted repository"}`
+                      : convSource
+                        ? `Open Pull Request on ${convSource.owner}/${convSource.repo}`
+                        : "Open Pull Request (GitHub sources only)"}
+                </Button>
               </div>
             </CardContent>
           </Card>
 
+        </section>
+
+        <section>
           <Card>
             <CardHeader>
               <CardTitle>Converted Files</CardTitle>
-              <CardDescription>Preview of what was generated.</CardDescription>
+              <CardDescription>
+                Review what was generated next to the original files, edit it or convert single files again. Downloads and exports use the edited files.
+              </CardDescription>
             </CardHeader>
             <CardContent>
               {converted?.length ? (
-                <Tabs defaultValue={converted[0]?.path} className="w-full">
-                  <TabsList className="max-w-full overflow-x-auto">
-                    {converted.slice(0, 6).map((f) => (
-                      <TabsTrigger 
-                        key={f.path} 
-                        value={f.path} 
-                        className="truncate max-w-[12rem]"
-                      >
-                        {f.path}
-                      </TabsTrigger>
-                    ))}
-                  </TabsList>
-                  {converted.slice(0, 6).map((f) => (
-                    <TabsContent key={f.path} value={f.path}>
-                      <pre className="p-4 text-sm bg-secondary rounded-md overflow-auto max-h-[360px]">
-                        <code>{f.content}</code>
-                      </pre>
-                    </TabsContent>
-                  ))}
-                </Tabs>
+                <ConvertedFiles
+                  files={converted}
+                  conversionId={conversionId}
+                  onChange={updateFile}
+                  onReconvert={convResult?.summary && (convSource || convUpload) ? reconvertFile : undefined}
+                />
               ) : (
                 <p className="text-sm text-muted-foreground">
                   Run a conversion to preview files.
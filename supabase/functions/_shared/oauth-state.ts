@@ -0,0 +1,79 @@
+// Signed, expiring OAuth state shared by github-auth-start and
+// github-oauth-callback, mirroring services/lib/oauth-state.js. The nonce is
+// also set as a cookie on the browser that started the login, so the
+// callback only succeeds in that browser. return_to must be on one of the
+// ALLOWED_ORIGINS (comma-separated) or FRONTEND_URL.
+
+export const NONCE_COOKIE = "staxchange_oauth_nonce";
+export const STATE_TTL_SECONDS = 10 * 60;
+
+interface StatePayload {
+  return_to: string;
+  nonce: string;
+  exp: number;
+}
+
+const encoder = new TextEncoder();
+
+function toBase64Url(bytes: Uint8Array) {
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(value: string) {
+  const base64 = value.replace(/-/g, "+").replace(/_/g, "/");
+  return Uint8Array.from(atob(base64 + "=".repeat((4 - (base64.length % 4)) % 4)), (c) => c.charCodeAt(0));
+}
+
+async function getKey() {
+  const secret = Deno.env.get("OAUTH_STATE_SECRET");
+  if (!secret) throw new Error("Missing OAUTH_STATE_SECRET secret");
+  return crypto.subtle.importKey("raw", encoder.encode(secret), { name: "HMAC", hash: "SHA-256" }, false, ["sign", "verify"]);
+}
+
+function toOrigin(value: string) {
+  try {
+    return new URL(value).origin;
+  } catch {
+    return null;
+  }
+}
+
+export function isAllowedReturnTo(returnTo: string) {
+  const allowed = [Deno.env.get("FRONTEND_URL") ?? "", ...(Deno.env.get("ALLOWED_ORIGINS") ?? "").split(",")]
+    .map((value) => toOrigin(value.trim()))
+    .filter(Boolean);
+  const origin = toOrigin(returnTo);
+  return !!origin && allowed.includes(origin);
+}
+
+export async function createState(returnTo: string) {
+  const nonce = toBase64Url(crypto.getRandomValues(new Uint8Array(16)));
+  const payload: StatePayload = { return_to: returnTo, nonce, exp: Date.now() + STATE_TTL_SECONDS * 1000 };
+  const encoded = toBase64Url(encoder.encode(JSON.stringify(payload)));
+  const signature = new Uint8Array(await crypto.subtle.sign("HMAC", await getKey(), encoder.encode(encoded)));
+  return { state: `${encoded}.${toBase64Url(signature)}`, nonce };
+}
+
+// Throws when the state is malformed, tampered with, expired or was issued
+// to another browser
+export async function verifyState(state: string, nonce: string | null): Promise<StatePayload> {
+  const [encoded, signature] = state.split(".");
+  if (!encoded || !signature) throw new Error("Missing or malformed OAuth state");
+
+  const valid = await crypto.subtle.verify("HMAC", await getKey(), fromBase64Url(signature), encoder.encode(encoded));
+  if (!valid) throw new Error("Invalid OAuth state signature");
+
+  const payload: StatePayload = JSON.parse(new TextDecoder().decode(fromBase64Url(encoded)));
+  if (payload.exp <= Date.now()) throw new Error("OAuth state expired, please log in again");
+  if (!nonce || nonce !== payload.nonce) throw new Error("OAuth state was not issued to this browser");
+
+  return payload;
+}
+
+export function getCookie(req: Request, name: string) {
+  for (const part of (req.headers.get("cookie") ?? "").split(";")) {
+    const [key, ...value] = part.trim().split("=");
+    if (key === name) return value.join("=");
+  }
+  return null;
+}
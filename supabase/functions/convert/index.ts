@@ -1,12 +1,16 @@
 import "https://deno.land/x/xhr@0.1.0/mod.ts";
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
+import JSZip from "https://esm.sh/jszip@3.10.1";
 
 const corsHeaders = {
   "Access-Control-Allow-Origin": "*",
   "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
 };
 
-const OPENROUTER_KEY = Deno.env.get("OPENROUTER_API_KEY");
+// Any OpenAI-compatible chat completions endpoint; defaults to OpenRouter
+const LLM_BASE_URL = (Deno.env.get("LLM_BASE_URL") ?? "https://openrouter.ai/api/v1").replace(/\/+$/, "");
+const LLM_API_KEY = Deno.env.get("LLM_API_KEY") ?? Deno.env.get("OPENROUTER_API_KEY");
+const DEFAULT_MODEL = Deno.env.get("LLM_MODEL") ?? "gpt-4o-mini";
 
 async function gh(token: string, path: string) {
   const resp = await fetch(`https://api.github.com${path}`, {
@@ -20,36 +24,53 @@ function isCodeFile(path: string) {
   return /\.(ts|tsx|js|jsx|py|cs|java|go|rs|php|rb|kt|scala|sql|sh|yml|yaml|json)$/i.test(path);
 }
 
+// Downloads the whole branch as one zipball instead of one request per file
 async function fetchFiles(token: string, owner: string, repo: string, branch: string) {
   const branchInfo = await gh(token, `/repos/${owner}/${repo}/branches/${encodeURIComponent(branch)}`);
   const sha = branchInfo?.commit?.sha;
-  const tree = await gh(token, `/repos/${owner}/${repo}/git/trees/${sha}?recursive=1`);
-  const files = (tree.tree || []).filter((n: any) => n.type === "blob" && isCodeFile(n.path)).slice(0, 50);
+  if (!sha) throw new Error(`Could not find SHA for branch ${branch}`);
+
+  const resp = await fetch(`https://api.github.com/repos/${owner}/${repo}/zipball/${sha}`, {
+    headers: { Authorization: `Bearer ${token}`, Accept: "application/vnd.github+json" },
+  });
+  if (!resp.ok) throw new Error(`GitHub API error ${resp.status}`);
+
+  const zip = await JSZip.loadAsync(await resp.arrayBuffer());
+  const entries = Object.values(zip.files).filter((e) => !e.dir);
 
   const results: { path: string; content: string }[] = [];
-  for (const f of files) {
-    const contentResp = await gh(token, `/repos/${owner}/${repo}/contents/${encodeURIComponent(f.path)}?ref=${encodeURIComponent(branch)}`);
-    const decoded = atob(contentResp.content.replace(/\n/g, ""));
-    results.push({ path: f.path, content: decoded });
+  let filtered = 0;
+  for (const entry of entries) {
+    // Strip the "owner-repo-sha/" folder GitHub wraps the archive in
+    const path = entry.name.split("/").slice(1).join("/");
+    if (!isCodeFile(path)) {
+      filtered++;
+      continue;
+    }
+    results.push({ path, content: await entry.async("string") });
   }
-  return results;
+
+  return {
+    files: results,
+    stats: { commit: sha, totalFiles: entries.length, included: results.length, filtered },
+  };
 }
 
-async function convertBatch(batch: { path: string; content: string }[], target: any) {
-  if (!OPENROUTER_KEY) throw new Error("Missing OPENROUTER_API_KEY");
+async function convertBatch(batch: { path: string; content: string }[], target: any, model: string) {
+  if (!LLM_API_KEY && LLM_BASE_URL.includes("openrouter.ai")) throw new Error("Missing OPENROUTER_API_KEY");
   const sys = `You are a senior software engineer that converts codebases between stacks. Convert each file to the target stack preserving functionality and folder structure. Return ONLY strict JSON with an array named files, each item {path, content}. Target: ${JSON.stringify(target)}.`;
   const user = batch.map((b) => ({ role: "user", content: `FILE PATH: ${b.path}\nCONTENT:\n\n${b.content}` }));
 
-  const resp = await fetch("https://openrouter.ai/api/v1/chat/completions", {
+  const resp = await fetch(`${LLM_BASE_URL}/chat/completions`, {
     method: "POST",
     headers: {
-      Authorization: `Bearer ${OPENROUTER_KEY}`,
+      ...(LLM_API_KEY ? { Authorization: `Bearer ${LLM_API_KEY}` } : {}),
       "Content-Type": "application/json",
       "HTTP-Referer": "https://staxchange.ai",
       "X-Title": "StaxChange AI Converter",
     },
     body: JSON.stringify({
-      model: "gpt-4o-mini",
+      model,
       messages: [
         { role: "system", content: sys },
         ...user,
@@ -67,10 +88,10 @@ async function convertBatch(batch: { path: string; content: string }[], target:
 serve(async (req) => {
   if (req.method === "OPTIONS") return new Response(null, { headers: corsHeaders });
   try {
-    const { token, owner, repo, branch, target } = await req.json();
+    const { token, owner, repo, branch, target, model } = await req.json();
     if (!token || !owner || !repo || !branch) throw new Error("Missing required fields");
 
-    const originals = await fetchFiles(token, owner, repo, branch);
+    const { files: originals, stats: ingestion } = await fetchFiles(token, owner, repo, branch);
 
     const batches: { path: string; content: string }[][] = [];
     const sizeLimit = 80_000; // ~80KB per batch
@@ -91,7 +112,7 @@ serve(async (req) => {
     const converted: { path: string; content: string }[] = [];
     for (const b of batches) {
       try {
-        const out = await convertBatch(b, target);
+        const out = await convertBatch(b, target, model || DEFAULT_MODEL);
         if (Array.isArray(out)) converted.push(...out);
       } catch (_) {
         // Fallback: keep originals when conversion fails
@@ -99,7 +120,7 @@ serve(async (req) => {
       }
     }
 
-    return new Response(JSON.stringify({ files: converted }), { headers: { ...corsHeaders, "Content-Type": "application/json" } });
+    return new Response(JSON.stringify({ files: converted, ingestion }), { headers: { ...corsHeaders, "Content-Type": "application/json" } });
   } catch (e) {
     return new Response(JSON.stringify({ error: e.message }), { status: 500, headers: { ...corsHeaders, "Content-Type": "application/json" } });
   }
@@ -1,5 +1,6 @@
 import "https://deno.land/x/xhr@0.1.0/mod.ts";
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
+import { NONCE_COOKIE, STATE_TTL_SECONDS, createState, isAllowedReturnTo } from "../_shared/oauth-state.ts";
 
 const corsHeaders = {
   "Access-Control-Allow-Origin": "*",
@@ -14,13 +15,16 @@ serve(async (req) => {
     const clientId = Deno.env.get("GITHUB_CLIENT_ID");
     if (!clientId) throw new Error("Missing GITHUB_CLIENT_ID secret");
 
-    const returnTo = url.searchParams.get("return_to") ?? "";
+    const returnTo = url.searchParams.get("return_to") ?? Deno.env.get("FRONTEND_URL") ?? "";
+    if (!isAllowedReturnTo(returnTo)) {
+      return new Response(JSON.stringify({ error: "return_to is not an allowed origin" }), { status: 400, headers: { ...corsHeaders, "Content-Type": "application/json" } });
+    }
 
     const isFunctionsSubdomain = url.hostname.endsWith(".functions.supabase.co");
     const redirectUri = isFunctionsSubdomain
       ? `${url.origin}/github-oauth-callback`
       : `${url.origin}/functions/v1/github-oauth-callback`;
-    const state = btoa(JSON.stringify({ return_to: returnTo }));
+    const { state, nonce } = await createState(returnTo);
 
     const ghUrl = new URL("https://github.com/login/oauth/authorize");
     ghUrl.searchParams.set("client_id", clientId);
@@ -29,7 +33,13 @@ serve(async (req) => {
     ghUrl.searchParams.set("state", state);
 
     console.log('github-auth-start redirect', { request_origin: url.origin, request_hostname: url.hostname, redirect_uri: redirectUri, gh_url: ghUrl.toString() });
-    return Response.redirect(ghUrl.toString(), 302);
+    return new Response(null, {
+      status: 302,
+      headers: {
+        Location: ghUrl.toString(),
+        "Set-Cookie": `${NONCE_COOKIE}=${nonce}; Max-Age=${STATE_TTL_SECONDS}; Path=/; HttpOnly; Secure; SameSite=Lax`,
+      },
+    });
   } catch (e) {
     return new Response(JSON.stringify({ error: e.message }), { status: 500, headers: { ...corsHeaders, "Content-Type": "application/json" } });
   }
@@ -1,5 +1,6 @@
 import "https://deno.land/x/xhr@0.1.0/mod.ts";
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
+import { NONCE_COOKIE, getCookie, isAllowedReturnTo, verifyState } from "../_shared/oauth-state.ts";
 
 const corsHeaders = {
   "Access-Control-Allow-Origin": "*",
@@ -13,10 +14,19 @@ serve(async (req) => {
   try {
     const code = url.searchParams.get("code");
     const stateRaw = url.searchParams.get("state") || "";
-    const state = JSON.parse(atob(stateRaw || "e30="));
 
     if (!code) throw new Error("Missing code");
 
+    let state;
+    try {
+      state = await verifyState(stateRaw, getCookie(req, NONCE_COOKIE));
+    } catch (e) {
+      return new Response(JSON.stringify({ error: e.message }), { status: 400, headers: { ...corsHeaders, "Content-Type": "application/json" } });
+    }
+    if (!isAllowedReturnTo(state.return_to)) {
+      return new Response(JSON.stringify({ error: "return_to is not an allowed origin" }), { status: 400, headers: { ...corsHeaders, "Content-Type": "application/json" } });
+    }
+
     const clientId = Deno.env.get("GITHUB_CLIENT_ID");
     const clientSecret = Deno.env.get("GITHUB_CLIENT_SECRET");
     if (!clientId || !clientSecret) throw new Error("Missing GitHub OAuth secrets");
@@ -30,10 +40,16 @@ serve(async (req) => {
     const tokenJson = await tokenResp.json();
     if (!tokenResp.ok || tokenJson.error) throw new Error(tokenJson.error_description || "Failed to exchange code");
 
-    const returnTo = state?.return_to || "/";
+    const returnTo = state.return_to;
     const redirect = `${returnTo}#github_token=${encodeURIComponent(tokenJson.access_token)}`;
-    console.log('github-oauth-callback redirect', { request_origin: url.origin, request_pathname: url.pathname, return_to: returnTo, final_redirect: redirect });
-    return Response.redirect(redirect, 302);
+    console.log('github-oauth-callback redirect', { request_origin: url.origin, request_pathname: url.pathname, return_to: returnTo });
+    return new Response(null, {
+      status: 302,
+      headers: {
+        Location: redirect,
+        "Set-Cookie": `${NONCE_COOKIE}=; Max-Age=0; Path=/; HttpOnly; Secure; SameSite=Lax`,
+      },
+    });
   } catch (e) {
     return new Response(JSON.stringify({ error: e.message }), { status: 500, headers: { ...corsHeaders, "Content-Type": "application/json" } });
   }